@@ -13,6 +13,7 @@ import ProtectedRoute from './components/common/ProtectedRoute'
 import LoginPage           from './pages/LoginPage'
 import NotificationsPage   from './pages/NotificationsPage'
 import ProfilePage         from './pages/ProfilePage'
+import GoalDetailPage      from './pages/GoalDetailPage'
 
 // ─── Manager Pages ────────────────────────────────────────────────────────────
 import ManagerDashboard    from './pages/manager/ManagerDashboard'
@@ -33,6 +34,7 @@ import AdminUsersPage        from './pages/admin/AdminUsersPage'
 import AdminReviewCyclesPage from './pages/admin/AdminReviewCyclesPage'
 import AdminAuditLogsPage    from './pages/admin/AdminAuditLogsPage'
 import AdminReportsPage      from './pages/admin/AdminReportsPage'
+import AdminGoalTemplatesPage from './pages/admin/AdminGoalTemplatesPage'
 
 // ─── Smart Dashboard: redirects to role-specific dashboard ───────────────────
 function SmartDashboard() {
@@ -132,8 +134,16 @@ export default function App() {
                 <AdminReportsPage />
               </ProtectedRoute>
             } />
+            <Route path="/goal-templates" element={
+              <ProtectedRoute roles={['ADMIN']}>
+                <AdminGoalTemplatesPage />
+              </ProtectedRoute>
+            } />
 
             {/* ── Shared routes ── */}
+            <Route path="/goals/:goalId" element={
+              <ProtectedRoute><GoalDetailPage /></ProtectedRoute>
+            } />
             <Route path="/notifications" element={
               <ProtectedRoute><NotificationsPage /></ProtectedRoute>
             } />
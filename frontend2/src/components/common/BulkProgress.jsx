@@ -0,0 +1,19 @@
+import React from 'react'
+
+// ─── BULK PROGRESS ────────────────────────────────────────────────────────────
+// Progress bar for a bulk run (utils/bulkRun) while it is going.
+//
+// Usage:
+//   {running && <BulkProgress progress={progress} />}     // progress = { done, total }
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function BulkProgress({ progress }) {
+  return (
+    <div>
+      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+        <div className="h-full bg-blue-500 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+      </div>
+      <p className="text-xs text-gray-500 mt-1">Processing {progress.done} / {progress.total}…</p>
+    </div>
+  )
+}
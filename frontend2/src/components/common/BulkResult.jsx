@@ -0,0 +1,42 @@
+import React from 'react'
+
+// ─── BULK RESULT ──────────────────────────────────────────────────────────────
+// Outcome of a bulk run (utils/bulkRun): how many goals succeeded and failed,
+// then each failed goal with the reason.
+//
+// Usage:
+//   <BulkResult result={result} succeededLabel="Carried forward" failedLabel="Not carried forward"
+//     getEmployeeName={getEmployeeName} onDone={close} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function BulkResult({
+  result, succeededLabel = 'Succeeded', failedLabel = 'Failed', getEmployeeName = () => '', onDone,
+}) {
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3">
+        <div className="rounded-xl p-4 bg-green-50 text-green-700">
+          <p className="text-2xl font-bold">{result.succeeded.length}</p>
+          <p className="text-xs font-medium mt-0.5 opacity-80">{succeededLabel}</p>
+        </div>
+        <div className={`rounded-xl p-4 ${result.failed.length ? 'bg-red-50 text-red-700' : 'bg-gray-50 text-gray-500'}`}>
+          <p className="text-2xl font-bold">{result.failed.length}</p>
+          <p className="text-xs font-medium mt-0.5 opacity-80">{failedLabel}</p>
+        </div>
+      </div>
+      {result.failed.length > 0 && (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg max-h-64 overflow-y-auto text-sm">
+          {result.failed.map(({ goal, reason }) => (
+            <li key={goal.goalId} className="px-3 py-2">
+              <p className="font-medium text-gray-800 truncate">{goal.title}</p>
+              <p className="text-xs text-gray-500">
+                {getEmployeeName(goal) && `${getEmployeeName(goal)} · `}<span className="text-red-600">{reason}</span>
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+      <button onClick={onDone} className="btn-primary w-full">Done</button>
+    </div>
+  )
+}
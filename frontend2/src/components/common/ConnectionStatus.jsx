@@ -0,0 +1,34 @@
+import React from 'react'
+
+// ─── CONNECTION STATUS ────────────────────────────────────────────────────────
+// Shows the state of the real-time notification stream (from NotificationContext).
+//
+// Usage:
+//   <ConnectionStatus state={connectionState} />          → pill with label
+//   <ConnectionStatus state={connectionState} compact />  → dot only (header)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const STATES = {
+  connecting:   { label: 'Connecting…',   pill: 'text-blue-600 bg-blue-50',     dot: 'bg-blue-400 animate-pulse' },
+  live:         { label: 'Live',          pill: 'text-green-600 bg-green-50',   dot: 'bg-green-500 animate-pulse' },
+  reconnecting: { label: 'Reconnecting…', pill: 'text-yellow-700 bg-yellow-50', dot: 'bg-yellow-500 animate-pulse' },
+  offline:      { label: 'Offline',       pill: 'text-gray-500 bg-gray-100',    dot: 'bg-gray-400' },
+}
+
+export default function ConnectionStatus({ state, compact = false }) {
+  const config = STATES[state] || STATES.offline
+
+  if (compact) {
+    return (
+      <span className={`block w-2 h-2 rounded-full ${config.dot}`}
+        title={`Notifications: ${config.label}`} />
+    )
+  }
+
+  return (
+    <div className={`flex items-center gap-1.5 text-xs px-2 py-1 rounded-full ${config.pill}`}>
+      <span className={`w-1.5 h-1.5 rounded-full ${config.dot}`} />
+      {config.label}
+    </div>
+  )
+}
@@ -0,0 +1,52 @@
+import React from 'react'
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine,
+} from 'recharts'
+import { getEntryDate } from '../../utils/progressEntries'
+
+// ─── PROGRESS CHART ───────────────────────────────────────────────────────────
+// Small line chart of a goal's progress entries (0–100%) over time.
+// The X axis spans the goal's start → end date, so you can see at a glance
+// whether progress is on track for the deadline.
+//
+// Usage:
+//   <ProgressChart entries={progressList} startDate={goal.startDate} endDate={goal.endDate} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+const formatTick = (ms) => new Date(ms).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+
+export default function ProgressChart({ entries = [], startDate, endDate, height = 160 }) {
+  const points = entries
+    .filter(e => e.progressPercentage != null && getEntryDate(e))
+    .map(e => ({ time: new Date(getEntryDate(e)).getTime(), progress: e.progressPercentage }))
+    .sort((a, b) => a.time - b.time)
+
+  if (points.length === 0) {
+    return <p className="text-xs text-gray-400 italic">No progress percentages recorded yet.</p>
+  }
+
+  const start = startDate ? new Date(startDate).getTime() : null
+  const end   = endDate ? new Date(endDate).getTime() : null
+
+  // Every goal starts at 0% on its start date
+  if (start && points[0].time > start) points.unshift({ time: start, progress: 0 })
+
+  const domain = [start ?? 'dataMin', end ?? 'dataMax']
+  const today = Date.now()
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={points} margin={{ top: 8, right: 16, left: -16, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+        <XAxis dataKey="time" type="number" scale="time" domain={domain}
+          tickFormatter={formatTick} tick={{ fontSize: 11 }} />
+        <YAxis domain={[0, 100]} tick={{ fontSize: 11 }} tickFormatter={(v) => `${v}%`} />
+        <Tooltip labelFormatter={formatTick} formatter={(v) => [`${v}%`, 'Progress']} />
+        {(!start || today >= start) && (!end || today <= end) && (
+          <ReferenceLine x={today} stroke="#9ca3af" strokeDasharray="4 4" />
+        )}
+        <Line type="monotone" dataKey="progress" stroke="#2563eb" strokeWidth={2} dot={{ r: 3 }} />
+      </LineChart>
+    </ResponsiveContainer>
+  )
+}
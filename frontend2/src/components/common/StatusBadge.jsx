@@ -60,8 +60,11 @@ const STATUS_LABELS = {
   COMPLETED_AND_ACKNOWLEDGED: 'Acknowledged',
 }
 
+// Same palette for anything else that colors by status (e.g. timeline bars)
+export const getStatusColor = (status) => STATUS_COLORS[status] || 'bg-gray-100 text-gray-600'
+
 export default function StatusBadge({ status }) {
-  const colorClass = STATUS_COLORS[status] || 'bg-gray-100 text-gray-600'
+  const colorClass = getStatusColor(status)
   const label = STATUS_LABELS[status] || status?.replace(/_/g, ' ')
 
   return (
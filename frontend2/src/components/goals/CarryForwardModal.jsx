@@ -0,0 +1,155 @@
+import React, { useState } from 'react'
+import { ArrowRightCircle } from 'lucide-react'
+import Modal from '../common/Modal'
+import BulkProgress from '../common/BulkProgress'
+import BulkResult from '../common/BulkResult'
+import { canCarryForward, carryForwardGoals, getCarryForwardDates } from '../../utils/carryForward'
+import toast from 'react-hot-toast'
+
+// ─── CARRY FORWARD MODAL ──────────────────────────────────────────────────────
+// Copies unfinished goals into the active review cycle (utils/carryForward).
+//   Employee (one goal):  can adjust the new dates; the copy goes to the
+//                         manager for approval.
+//   Manager (selection):  must confirm the employees agreed; the copies start
+//                         IN_PROGRESS. Goals that don't qualify are skipped
+//                         and listed with the reason.
+//
+// Usage:
+//   <CarryForwardModal goals={[goal]} user={user} activeCycle={activeCycle}
+//     getEmployeeName={getEmployeeName} onClose={(changed) => …} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function CarryForwardModal({ goals, user, activeCycle, getEmployeeName = () => '', onClose }) {
+  const isManager = user?.role === 'MANAGER'
+  const eligible = goals.filter(g => canCarryForward(g, user, activeCycle))
+  const single = !isManager && eligible.length === 1 ? eligible[0] : null
+
+  const [dates, setDates]       = useState(() => (single
+    ? getCarryForwardDates(single, activeCycle) || { startDate: '', endDate: '' }
+    : null))
+  const [consent, setConsent]   = useState(false)
+  const [progress, setProgress] = useState(null)   // { done, total } while running
+  const [result, setResult]     = useState(null)   // { succeeded, failed } once finished
+
+  const running = progress && !result
+  const close = () => { if (!running) onClose(!!result?.succeeded.length) }
+
+  const cycleStart = activeCycle?.startDate ?? activeCycle?.startDt
+  const cycleEnd = activeCycle?.endDate ?? activeCycle?.endDt
+
+  const handleRun = async (e) => {
+    e.preventDefault()
+    if (single && (!dates.startDate || !dates.endDate || dates.endDate <= dates.startDate)) {
+      toast.error('The end date must be after the start date')
+      return
+    }
+    if (single && cycleStart && cycleEnd && (dates.startDate < cycleStart || dates.endDate > cycleEnd)) {
+      toast.error(`The dates must be inside the active review cycle (${cycleStart} → ${cycleEnd})`)
+      return
+    }
+    if (isManager && !consent) {
+      toast.error('Confirm that the employees agreed to carry these goals forward')
+      return
+    }
+    setProgress({ done: 0, total: eligible.length })
+    const outcome = await carryForwardGoals(eligible, activeCycle,
+      { managerApproved: isManager, dates: single ? { [single.goalId]: dates } : {} },
+      (done, total) => setProgress({ done, total }))
+    const skipped = goals.filter(g => !eligible.includes(g)).map(goal => ({
+      goal, reason: 'Only in-progress goals from an earlier cycle that were not carried forward yet qualify',
+    }))
+    const final = { succeeded: outcome.succeeded, failed: [...outcome.failed, ...skipped] }
+    setResult(final)
+    if (final.failed.length === 0) {
+      toast.success(single
+        ? 'Goal carried forward — waiting for your manager\'s approval'
+        : `${final.succeeded.length} goal(s) carried forward`)
+      onClose(true)
+    }
+  }
+
+  return (
+    <Modal isOpen onClose={close}
+      title={single ? 'Carry Goal Forward' : `Carry Forward — ${goals.length} goal${goals.length !== 1 ? 's' : ''}`}>
+      {result ? (
+        <BulkResult result={result} succeededLabel="Carried forward" failedLabel="Not carried forward"
+          getEmployeeName={getEmployeeName} onDone={close} />
+      ) : (
+        <form onSubmit={handleRun} className="space-y-4">
+          <div className="bg-blue-50 rounded-lg p-3 text-sm text-blue-800">
+            <p className="font-medium flex items-center gap-1">
+              <ArrowRightCircle size={14} /> Into {activeCycle?.title || 'the active review cycle'}
+              {cycleStart && <span className="font-normal"> ({cycleStart} → {cycleEnd})</span>}
+            </p>
+            <p className="text-xs mt-1">
+              A copy is created with new dates and its key results; the original keeps its history and is linked to the copy.
+              {isManager
+                ? ' The copies start In Progress.'
+                : ' The copy goes to your manager for approval before you can work on it.'}
+            </p>
+          </div>
+
+          {single ? (
+            <>
+              <p className="text-sm font-medium text-gray-800">{single.title}</p>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="form-label">New Start Date</label>
+                  <input type="date" className="input-field" value={dates.startDate} min={cycleStart} max={cycleEnd}
+                    onChange={e => setDates({ ...dates, startDate: e.target.value })} />
+                </div>
+                <div>
+                  <label className="form-label">New End Date</label>
+                  <input type="date" className="input-field" value={dates.endDate} min={cycleStart} max={cycleEnd}
+                    onChange={e => setDates({ ...dates, endDate: e.target.value })} />
+                </div>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">
+                <strong>{eligible.length}</strong> of {goals.length} selected goal{goals.length !== 1 ? 's' : ''} can
+                be carried forward. {goals.length - eligible.length > 0 && 'The others will be skipped and listed with the reason.'}
+              </p>
+              {eligible.length > 0 && (
+                <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg max-h-56 overflow-y-auto text-sm">
+                  {eligible.map(goal => {
+                    const newDates = getCarryForwardDates(goal, activeCycle)
+                    return (
+                      <li key={goal.goalId} className="px-3 py-2">
+                        <p className="font-medium text-gray-800 truncate">{goal.title}</p>
+                        <p className="text-xs text-gray-500">
+                          {getEmployeeName(goal)} ·{' '}
+                          {newDates
+                            ? `${newDates.startDate} → ${newDates.endDate}`
+                            : <span className="text-red-600">the cycle has already ended</span>}
+                        </p>
+                      </li>
+                    )
+                  })}
+                </ul>
+              )}
+              {isManager && (
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input type="checkbox" checked={consent} disabled={running}
+                    onChange={e => setConsent(e.target.checked)} className="w-4 h-4 mt-0.5 text-blue-600" />
+                  <span className="text-sm text-gray-700">
+                    I have agreed with these employees that their goals continue into the new cycle
+                  </span>
+                </label>
+              )}
+            </>
+          )}
+
+          {running && !single && <BulkProgress progress={progress} />}
+          <div className="flex gap-3">
+            <button type="button" onClick={close} disabled={running} className="btn-secondary flex-1">Cancel</button>
+            <button type="submit" disabled={running || eligible.length === 0 || (isManager && !consent)} className="btn-primary flex-1">
+              {running ? 'Carrying forward...' : single ? 'Carry Forward' : `Carry Forward (${eligible.length})`}
+            </button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  )
+}
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react'
+import { Download, Eye, FileText, Link2, X } from 'lucide-react'
+import evidenceService from '../../services/evidenceService'
+import { formatFileSize, getPreviewKind } from '../../utils/evidenceFiles'
+import { downloadBlob } from '../../utils/download'
+import toast from 'react-hot-toast'
+
+// ─── EVIDENCE FILES ───────────────────────────────────────────────────────────
+// Everything an employee submitted as completion evidence — the link and the
+// files of that submission (not uploads from cancelled or earlier ones) — with
+// inline previews for images / PDFs and downloads for the rest. Managers look
+// at this before verifying the evidence.
+//
+// Usage:
+//   <EvidenceFiles goal={goal} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function EvidenceFiles({ goal }) {
+  const [files, setFiles]     = useState([])
+  const [loading, setLoading] = useState(true)
+  const [preview, setPreview] = useState(null)   // { file, kind, url }
+
+  useEffect(() => {
+    setLoading(true)
+    evidenceService.getSubmittedEvidence(goal)
+      .then(setFiles)
+      .catch(() => setFiles([]))
+      .finally(() => setLoading(false))
+  }, [goal.goalId])
+
+  // Release the object URL when the preview changes or the component goes away
+  useEffect(() => () => { if (preview) URL.revokeObjectURL(preview.url) }, [preview])
+
+  const handlePreview = async (file) => {
+    try {
+      const blob = await evidenceService.getEvidenceFileBlob(goal.goalId, file)
+      setPreview({ file, kind: getPreviewKind(file), url: URL.createObjectURL(blob) })
+    } catch (err) {
+      toast.error(err.response?.data?.msg || err.message || 'Failed to open file')
+    }
+  }
+
+  const handleDownload = async (file) => {
+    try {
+      downloadBlob(await evidenceService.getEvidenceFileBlob(goal.goalId, file), file.fileName)
+    } catch (err) {
+      toast.error(err.response?.data?.msg || err.message || 'Failed to download file')
+    }
+  }
+
+  const nothingSubmitted = !loading && files.length === 0 && !goal.evidenceLink
+
+  return (
+    <div className="space-y-2">
+      {goal.evidenceLink && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
+          <p className="text-xs font-medium text-blue-700 mb-1">Evidence Link:</p>
+          <a href={goal.evidenceLink} target="_blank" rel="noopener noreferrer"
+            className="text-sm text-blue-600 hover:underline break-all flex items-center gap-1">
+            <Link2 size={14} className="flex-shrink-0" /> {goal.evidenceLink}
+          </a>
+          {goal.evidenceLinkDescription && (
+            <p className="text-xs text-blue-600 mt-1">{goal.evidenceLinkDescription}</p>
+          )}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-xs text-gray-400">Loading attached files...</p>
+      ) : files.map(file => (
+        <div key={file.fileId} className="flex items-center gap-2 bg-gray-50 rounded-lg px-3 py-2 text-sm">
+          <FileText size={14} className="text-gray-500 flex-shrink-0" />
+          <span className="flex-1 truncate text-gray-700" title={file.fileName}>{file.fileName}</span>
+          <span className="text-xs text-gray-400">{formatFileSize(file.size)}</span>
+          {getPreviewKind(file) && (
+            <button type="button" onClick={() => handlePreview(file)} className="text-gray-500 hover:text-blue-600" title="Preview">
+              <Eye size={14} />
+            </button>
+          )}
+          <button type="button" onClick={() => handleDownload(file)} className="text-gray-500 hover:text-blue-600" title="Download">
+            <Download size={14} />
+          </button>
+        </div>
+      ))}
+
+      {nothingSubmitted && (
+        <p className="text-xs text-gray-400 italic">No evidence link or files were submitted.</p>
+      )}
+
+      {preview && (
+        <div className="border border-gray-200 rounded-lg overflow-hidden">
+          <div className="flex items-center justify-between px-3 py-1.5 bg-gray-50 border-b border-gray-200">
+            <span className="text-xs font-medium text-gray-600 truncate">{preview.file.fileName}</span>
+            <button type="button" onClick={() => setPreview(null)} className="text-gray-400 hover:text-gray-600"><X size={14} /></button>
+          </div>
+          {preview.kind === 'image'
+            ? <img src={preview.url} alt={preview.file.fileName} className="max-h-80 mx-auto" />
+            : <iframe src={preview.url} title={preview.file.fileName} className="w-full h-80" />}
+        </div>
+      )}
+    </div>
+  )
+}
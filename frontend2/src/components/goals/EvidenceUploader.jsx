@@ -0,0 +1,109 @@
+import React, { useRef, useState } from 'react'
+import { Paperclip, X, FileText, CheckCircle } from 'lucide-react'
+import evidenceService from '../../services/evidenceService'
+import {
+  EVIDENCE_ACCEPT, EVIDENCE_MAX_FILES, EVIDENCE_MAX_SIZE, formatFileSize, validateEvidenceFile,
+} from '../../utils/evidenceFiles'
+import toast from 'react-hot-toast'
+
+// ─── EVIDENCE UPLOADER ────────────────────────────────────────────────────────
+// File picker for the completion form. Files upload as soon as they are picked
+// (with a progress bar each), so submitting the completion only has to send
+// the stored file ids.
+//
+// Usage:
+//   <EvidenceUploader goalId={goal.goalId} files={form.evidenceFiles}
+//     onChange={(files) => setForm({ ...form, evidenceFiles: files })}
+//     onBusyChange={setUploading} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function EvidenceUploader({ goalId, files = [], onChange, onBusyChange }) {
+  const inputRef = useRef(null)
+  const [uploads, setUploads] = useState([])   // in flight: [{ id, name, size, percent }]
+
+  // Latest list for the async callbacks below
+  const filesRef = useRef(files)
+  filesRef.current = files
+
+  const setUploadsAndBusy = (updater) => {
+    setUploads(prev => {
+      const next = updater(prev)
+      onBusyChange?.(next.length > 0)
+      return next
+    })
+  }
+
+  const handlePick = async (e) => {
+    const picked = Array.from(e.target.files || [])
+    e.target.value = ''   // allow picking the same file again after removing it
+
+    const room = EVIDENCE_MAX_FILES - files.length - uploads.length
+    if (picked.length > room) toast.error(`You can attach up to ${EVIDENCE_MAX_FILES} files`)
+
+    for (const file of picked.slice(0, Math.max(room, 0))) {
+      const problem = validateEvidenceFile(file)
+      if (problem) { toast.error(problem); continue }
+
+      const id = `${file.name}-${Date.now()}`
+      setUploadsAndBusy(prev => [...prev, { id, name: file.name, size: file.size, percent: 0 }])
+      try {
+        const stored = await evidenceService.uploadEvidence(goalId, file, (percent) =>
+          setUploads(prev => prev.map(u => (u.id === id ? { ...u, percent } : u))))
+        onChange([...filesRef.current, stored])
+      } catch (err) {
+        toast.error(err.response?.data?.msg || `Failed to upload ${file.name}`)
+      } finally {
+        setUploadsAndBusy(prev => prev.filter(u => u.id !== id))
+      }
+    }
+  }
+
+  const handleRemove = async (file) => {
+    onChange(files.filter(f => f.fileId !== file.fileId))
+    try {
+      await evidenceService.deleteEvidenceFile(goalId, file)
+    } catch { /* an orphaned upload is harmless */ }
+  }
+
+  return (
+    <div>
+      <label className="form-label">Evidence Files (optional)</label>
+      <div className="space-y-2">
+        {files.map(file => (
+          <div key={file.fileId} className="flex items-center gap-2 bg-gray-50 rounded-lg px-3 py-2 text-sm">
+            <CheckCircle size={14} className="text-green-600 flex-shrink-0" />
+            <span className="flex-1 truncate text-gray-700">{file.fileName}</span>
+            <span className="text-xs text-gray-400">{formatFileSize(file.size)}</span>
+            <button type="button" onClick={() => handleRemove(file)} className="text-gray-400 hover:text-red-600" title="Remove">
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+
+        {uploads.map(u => (
+          <div key={u.id} className="bg-blue-50 rounded-lg px-3 py-2 text-sm">
+            <div className="flex items-center gap-2">
+              <FileText size={14} className="text-blue-600 flex-shrink-0" />
+              <span className="flex-1 truncate text-gray-700">{u.name}</span>
+              <span className="text-xs text-blue-600">{u.percent}%</span>
+            </div>
+            <div className="h-1 bg-blue-100 rounded-full overflow-hidden mt-1.5">
+              <div className="h-full bg-blue-500 transition-all" style={{ width: `${u.percent}%` }} />
+            </div>
+          </div>
+        ))}
+
+        {files.length + uploads.length < EVIDENCE_MAX_FILES && (
+          <button type="button" onClick={() => inputRef.current?.click()}
+            className="w-full border-2 border-dashed border-gray-200 hover:border-blue-300 rounded-lg py-3 text-sm text-gray-500 hover:text-blue-600 flex items-center justify-center gap-2 transition-colors">
+            <Paperclip size={16} /> Attach files
+          </button>
+        )}
+        <p className="text-xs text-gray-400">
+          PDFs, images and office documents · up to {EVIDENCE_MAX_FILES} files, {formatFileSize(EVIDENCE_MAX_SIZE)} each
+        </p>
+      </div>
+      <input ref={inputRef} type="file" multiple accept={EVIDENCE_ACCEPT} onChange={handlePick} className="hidden" />
+    </div>
+  )
+}
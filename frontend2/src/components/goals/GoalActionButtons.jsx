@@ -0,0 +1,40 @@
+import React from 'react'
+import { getAvailableActions } from '../../utils/goalWorkflow'
+
+// ─── GOAL ACTION BUTTONS ──────────────────────────────────────────────────────
+// The workflow buttons a user may press for one goal, straight from
+// utils/goalWorkflow — so every page offers exactly the same actions.
+//
+// Usage:
+//   <GoalActionButtons goal={goal} user={user} onAction={(key) => openAction(goal, key)} />
+//   size     → 'xs' (table rows) | 'sm' (cards, default) | 'block' (full-width stack)
+//   emptyText → shown when no action is available (omit to render nothing)
+//   exclude   → action keys this page does not offer (e.g. ['EDIT'])
+// ─────────────────────────────────────────────────────────────────────────────
+
+const SIZES = {
+  xs:    { button: 'text-xs py-1 px-2',     icon: 12, wrap: 'flex flex-wrap gap-1' },
+  sm:    { button: 'text-xs py-1.5 px-3',   icon: 14, wrap: 'flex flex-wrap gap-2' },
+  block: { button: 'text-sm',               icon: 16, wrap: 'flex flex-col gap-2' },
+}
+
+export default function GoalActionButtons({ goal, user, onAction, size = 'sm', emptyText = null, exclude = [] }) {
+  const actions = getAvailableActions(goal, user).filter(a => !exclude.includes(a.key))
+  const style = SIZES[size] || SIZES.sm
+
+  if (actions.length === 0) {
+    return emptyText ? <span className="text-xs text-gray-400 italic">{emptyText}</span> : null
+  }
+
+  return (
+    <div className={style.wrap}>
+      {actions.map(({ key, label, icon: Icon, buttonClass }) => (
+        <button key={key}
+          onClick={(e) => { e.stopPropagation(); onAction(key) }}
+          className={`${buttonClass} ${style.button} flex items-center gap-1`}>
+          <Icon size={style.icon} /> {label}
+        </button>
+      ))}
+    </div>
+  )
+}
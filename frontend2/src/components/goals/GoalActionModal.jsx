@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react'
+import Modal from '../common/Modal'
+import EvidenceUploader from './EvidenceUploader'
+import EvidenceFiles from './EvidenceFiles'
+import evidenceService from '../../services/evidenceService'
+import { GOAL_ACTIONS, getInitialForm, runGoalAction } from '../../utils/goalWorkflow'
+import { getKeyResultProgress, getKeyResultsProgress } from '../../utils/keyResults'
+import { getOtherCycleWeight } from '../../utils/goalWeights'
+import toast from 'react-hot-toast'
+
+// ─── GOAL ACTION MODAL ────────────────────────────────────────────────────────
+// One modal for every goal workflow action (approve, request changes, progress,
+// completion, evidence verification, …). The fields come from the action's
+// `form` kind in utils/goalWorkflow, and submitting runs its goalService call.
+//
+// Usage:
+//   <GoalActionModal goal={selectedGoal} actionKey={actionKey}
+//     context={{ latestProgress }}          // optional — pre-fills the progress slider
+//     onClose={() => setActionKey('')}
+//     onDone={loadGoals} />                  // called after a successful action
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function GoalActionModal({ goal, actionKey, context, onClose, onDone }) {
+  const action = GOAL_ACTIONS[actionKey]
+  const [form, setForm] = useState({})
+  const [submitting, setSubmitting] = useState(false)
+  const [uploading, setUploading]   = useState(false)   // evidence files still uploading
+
+  // Fresh form each time the modal opens for a goal/action
+  useEffect(() => {
+    if (action && goal) setForm(getInitialForm(actionKey, goal, context))
+  }, [actionKey, goal])
+
+  // Weighted actions: what the owner's other goals in the active cycle already weigh
+  useEffect(() => {
+    if (!action?.weight || !goal) return
+    let current = true
+    getOtherCycleWeight(goal)
+      .then(otherWeight => { if (current) setForm(prev => ({ ...prev, otherWeight })) })
+      .catch(() => {/* approval re-checks the budget itself */})
+    return () => { current = false }
+  }, [actionKey, goal])
+
+  if (!action || !goal || action.form === 'EDIT') return null
+
+  // Cancelling a completion discards the files uploaded for it, so they never
+  // show up as submitted evidence. Not while uploads are still running.
+  const handleCancel = () => {
+    if (uploading) return
+    for (const file of form.evidenceFiles || []) {
+      evidenceService.deleteEvidenceFile(goal.goalId, file).catch(() => {/* an orphaned upload is harmless */})
+    }
+    onClose()
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    try {
+      await runGoalAction(actionKey, goal, form)
+      toast.success(action.success)
+      onClose()
+      onDone?.(actionKey, goal)
+    } catch (err) {
+      toast.error(err.response?.data?.msg || err.message || 'Action failed')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const confirmStyles = {
+    success: 'bg-green-50 border-green-200 text-green-700',
+    danger:  'bg-red-50 border-red-200 text-red-700',
+  }
+
+  return (
+    <Modal isOpen onClose={handleCancel} title={action.title || action.label}
+      size={['COMPLETION', 'EVIDENCE'].includes(action.form) ? 'lg' : 'md'}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">Goal: <strong>{goal.title}</strong></p>
+
+        {action.form === 'CONFIRM' && (
+          <div className={`border rounded-lg p-3 text-sm ${confirmStyles[action.confirmTone] || confirmStyles.success}`}>
+            {action.confirmText}
+          </div>
+        )}
+
+        {action.weight && (
+          <div>
+            <label className="form-label">Goal Weight (%)</label>
+            <input type="number" min={0} max={100} className="input-field" value={form.weight ?? ''}
+              onChange={e => setForm({ ...form, weight: e.target.value })} placeholder="e.g. 25" />
+            <p className={`text-xs mt-1 ${form.otherWeight != null && form.otherWeight + (Number(form.weight) || 0) > 100 ? 'text-red-600' : 'text-gray-400'}`}>
+              {form.otherWeight != null
+                ? `The employee's other goals in the active cycle weigh ${form.otherWeight}% — ${Math.max(0, 100 - form.otherWeight)}% is left. `
+                : ''}
+              The weights of the employee's goals in a review cycle should add up to 100%.
+            </p>
+          </div>
+        )}
+
+        {action.form === 'COMMENT' && (
+          <div>
+            <label className="form-label">{action.comment.label}{action.comment.required ? ' *' : ''}</label>
+            <textarea className="input-field" rows={4} value={form.comments || ''}
+              onChange={e => setForm({ ...form, comments: e.target.value })}
+              placeholder={action.comment.placeholder} />
+          </div>
+        )}
+
+        {action.form === 'PROGRESS' && (
+          <>
+            {form.keyResults ? (
+              <div>
+                <label className="form-label">Key Results — overall progress: {getKeyResultsProgress(form)}%</label>
+                <div className="space-y-2">
+                  {form.keyResults.map((kr, i) => (
+                    <div key={kr.keyResultId ?? i} className="flex items-center gap-2 text-sm">
+                      <span className="flex-1 truncate text-gray-700" title={kr.metric}>{kr.metric}</span>
+                      <span className="text-xs text-gray-400 whitespace-nowrap">{kr.startValue} → {kr.targetValue}</span>
+                      <input type="number" step="any" className="input-field w-28" value={kr.currentValue ?? ''}
+                        onChange={e => setForm({
+                          ...form,
+                          keyResults: form.keyResults.map((k, j) => (j === i ? { ...k, currentValue: e.target.value } : k)),
+                        })} />
+                      <span className="text-xs font-medium text-gray-600 w-10 text-right">{getKeyResultProgress(kr)}%</span>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-400 mt-1">
+                  Enter where each key result stands now; the goal's progress is their average.
+                </p>
+              </div>
+            ) : (
+              <div>
+                <label className="form-label">Progress Percentage: {form.progressPercentage}%</label>
+                <input type="range" min="0" max="100" value={form.progressPercentage ?? 0}
+                  onChange={e => setForm({ ...form, progressPercentage: parseInt(e.target.value) })}
+                  className="w-full" />
+              </div>
+            )}
+            <div>
+              <label className="form-label">Progress Notes *</label>
+              <textarea className="input-field" rows={4} value={form.notes || ''}
+                onChange={e => setForm({ ...form, notes: e.target.value })}
+                placeholder="Describe what you've accomplished so far..." />
+            </div>
+          </>
+        )}
+
+        {action.form === 'COMPLETION' && (
+          <>
+            <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-sm text-green-800">
+              Your manager will verify your work before the goal is marked completed.
+            </div>
+            <div>
+              <label className="form-label">Completion Notes *</label>
+              <textarea className="input-field" rows={4} value={form.completionNotes || ''}
+                onChange={e => setForm({ ...form, completionNotes: e.target.value })}
+                placeholder="Describe how you completed this goal and what you achieved..." />
+            </div>
+            <div>
+              <label className="form-label">Evidence Link (optional)</label>
+              <input className="input-field" value={form.evidenceLink || ''}
+                onChange={e => setForm({ ...form, evidenceLink: e.target.value })}
+                placeholder="https://docs.google.com/... or https://github.com/..." />
+            </div>
+            <div>
+              <label className="form-label">Evidence Description</label>
+              <input className="input-field" value={form.evidenceLinkDescription || ''}
+                onChange={e => setForm({ ...form, evidenceLinkDescription: e.target.value })}
+                placeholder="What does the evidence link contain?" />
+            </div>
+            <EvidenceUploader goalId={goal.goalId} files={form.evidenceFiles || []}
+              onChange={(files) => setForm(prev => ({ ...prev, evidenceFiles: files }))}
+              onBusyChange={setUploading} />
+          </>
+        )}
+
+        {action.form === 'EVIDENCE' && (
+          <>
+            <EvidenceFiles goal={goal} />
+            <div>
+              <label className="form-label">Verification Decision</label>
+              <select className="input-field" value={form.verificationStatus || 'VERIFIED'}
+                onChange={e => setForm({ ...form, verificationStatus: e.target.value })}>
+                <option value="VERIFIED">Verified — Evidence is acceptable</option>
+                <option value="NEEDS_REVISION">Needs Revision — More work needed</option>
+                <option value="REJECTED">Rejected — Evidence does not meet requirements</option>
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Notes</label>
+              <textarea className="input-field" rows={3} value={form.notes || ''}
+                onChange={e => setForm({ ...form, notes: e.target.value })}
+                placeholder="Add notes about your verification decision..." />
+            </div>
+          </>
+        )}
+
+        <div className="flex gap-3">
+          <button type="button" onClick={handleCancel} disabled={uploading} className="btn-secondary flex-1">Cancel</button>
+          <button type="submit" disabled={submitting || uploading} className={`${action.buttonClass} flex-1`}>
+            {submitting ? 'Processing...' : uploading ? 'Uploading files...' : action.title || action.label}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  )
+}
@@ -0,0 +1,95 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Calendar, User } from 'lucide-react'
+import StatusBadge from '../common/StatusBadge'
+import { GOAL_STATUSES, findTransition } from '../../utils/goalWorkflow'
+
+// ─── GOAL BOARD ───────────────────────────────────────────────────────────────
+// Kanban view of goals — one column per workflow status.
+// Dragging a card onto another column asks the page to move it there; while a
+// card is dragged, the columns it may move to are highlighted and the others
+// are dimmed (rules from utils/goalWorkflow → findTransition).
+//
+// Usage:
+//   <GoalBoard goals={filtered} user={user} getEmployeeName={getEmployeeName}
+//     onMove={(goal, toStatus) => handleMove(goal, toStatus)} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+const priorityColors = {
+  CRITICAL: 'border-l-red-500',
+  HIGH:     'border-l-orange-400',
+  MEDIUM:   'border-l-yellow-400',
+  LOW:      'border-l-green-400',
+}
+
+export default function GoalBoard({ goals, user, getEmployeeName, onMove }) {
+  const [dragging, setDragging] = useState(null)   // the goal being dragged
+  const [overStatus, setOverStatus] = useState('') // column under the pointer
+
+  const endDrag = () => { setDragging(null); setOverStatus('') }
+
+  const handleDrop = (e, status) => {
+    e.preventDefault()
+    const goal = dragging
+    endDrag()
+    if (goal && goal.status !== status) onMove(goal, status)
+  }
+
+  return (
+    <div className="overflow-x-auto pb-2">
+      <div className="grid grid-cols-5 gap-3 min-w-[1000px]">
+        {GOAL_STATUSES.map(status => {
+          const cards = goals.filter(g => g.status === status)
+          const move = dragging ? findTransition(dragging, status, user) : null
+          const allowed = move?.key
+          const blocked = move?.reason
+          return (
+            <div key={status}
+              onDragOver={(e) => { if (dragging) { e.preventDefault(); setOverStatus(status) } }}
+              onDragLeave={() => setOverStatus(prev => (prev === status ? '' : prev))}
+              onDrop={(e) => handleDrop(e, status)}
+              title={blocked || undefined}
+              className={`rounded-xl p-2 min-h-[300px] transition-colors ${
+                allowed && overStatus === status ? 'bg-green-50 ring-2 ring-green-400'
+                  : allowed ? 'bg-green-50/50 ring-1 ring-green-200'
+                  : blocked ? 'bg-gray-100 opacity-60'
+                  : 'bg-gray-50'}`}>
+              <div className="flex items-center justify-between px-1 mb-2">
+                <StatusBadge status={status} />
+                <span className="text-xs font-medium text-gray-500">{cards.length}</span>
+              </div>
+
+              <div className="space-y-2">
+                {cards.map(goal => (
+                  <div key={goal.goalId} draggable
+                    onDragStart={(e) => { e.dataTransfer.effectAllowed = 'move'; setDragging(goal) }}
+                    onDragEnd={endDrag}
+                    className={`bg-white rounded-lg border border-gray-200 border-l-4 ${priorityColors[goal.priority] || 'border-l-gray-300'}
+                      p-3 shadow-sm cursor-grab active:cursor-grabbing hover:shadow-md transition-shadow
+                      ${dragging?.goalId === goal.goalId ? 'opacity-50' : ''}`}>
+                    <Link to={`/goals/${goal.goalId}`} draggable={false}
+                      className="text-sm font-medium text-gray-900 hover:text-blue-600 line-clamp-2">
+                      {goal.title}
+                    </Link>
+                    <p className="text-xs text-gray-500 mt-1 flex items-center gap-1 truncate">
+                      <User size={12} /> {getEmployeeName(goal)}
+                    </p>
+                    <div className="flex items-center justify-between mt-2 text-xs">
+                      <span className="text-gray-500">{goal.priority}</span>
+                      {goal.endDate && (
+                        <span className="text-gray-400 flex items-center gap-1"><Calendar size={12} /> {goal.endDate}</span>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                {cards.length === 0 && (
+                  <p className="text-xs text-gray-400 italic text-center py-6">No goals</p>
+                )}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,29 @@
+import React from 'react'
+import { checkGoalQuality, getQualityColor } from '../../utils/goalQuality'
+import { isGoalInCycle } from '../../utils/goalWeights'
+
+// ─── GOAL QUALITY BADGE ───────────────────────────────────────────────────────
+// The goal's SMART score as a pill (same checks as the create wizard, see
+// utils/goalQuality). Hover lists the checks the goal fails.
+// The "inside the active review cycle" check only applies to goals of that
+// cycle, and to goals still waiting for approval — a goal approved in an
+// earlier cycle is scored the way it was when it was created.
+//
+// Usage:
+//   <GoalQualityBadge goal={goal} activeCycle={activeCycle} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function GoalQualityBadge({ goal, activeCycle }) {
+  const checkCycle = goal.status === 'PENDING' || isGoalInCycle(goal, activeCycle)
+  const { score, warnings } = checkGoalQuality(goal, { activeCycle: checkCycle ? activeCycle : null })
+  const tooltip = warnings.length === 0
+    ? 'All SMART checks pass'
+    : warnings.map(w => `• ${w.label}: ${w.message}`).join('\n')
+
+  return (
+    <span title={tooltip}
+      className={`inline-block text-xs font-semibold px-2 py-0.5 rounded-full whitespace-nowrap cursor-help ${getQualityColor(score)}`}>
+      {score}%
+    </span>
+  )
+}
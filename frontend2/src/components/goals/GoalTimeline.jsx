@@ -0,0 +1,170 @@
+import React, { useState } from 'react'
+import { Link } from 'react-router-dom'
+import { ChevronLeft, ChevronRight, AlertTriangle } from 'lucide-react'
+import {
+  addMonths, addQuarters, startOfMonth, endOfMonth, startOfQuarter, endOfQuarter,
+  eachWeekOfInterval, eachMonthOfInterval, differenceInCalendarDays, format,
+} from 'date-fns'
+import { getStatusColor } from '../common/StatusBadge'
+import { goalStart, goalEnd, isGoalOverdue } from '../../utils/goalDates'
+
+// ─── GOAL TIMELINE ────────────────────────────────────────────────────────────
+// Gantt-style view of goals: one bar per goal from its start to its end date,
+// grouped by team member, so overlapping deadlines are easy to spot.
+//   - Bars use the StatusBadge palette
+//   - A dashed line marks today; open goals past their end date are flagged red
+//   - Goals without dates are listed in their group instead of being hidden
+//   - Zoom between one month and one quarter, and page back / forward
+//
+// Usage:
+//   <GoalTimeline goals={filtered} getGroupName={getEmployeeName} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+const ZOOMS = {
+  month:   { label: 'Month',   start: startOfMonth,   end: endOfMonth,   shift: addMonths },
+  quarter: { label: 'Quarter', start: startOfQuarter, end: endOfQuarter, shift: addQuarters },
+}
+
+export default function GoalTimeline({ goals, getGroupName = (g) => g.employeeName || 'My Goals' }) {
+  const [zoom, setZoom]     = useState('month')
+  const [anchor, setAnchor] = useState(() => new Date())
+
+  const today = new Date()
+  const { start: startOf, end: endOf, shift } = ZOOMS[zoom]
+  const rangeStart = startOf(anchor)
+  const rangeEnd   = endOf(anchor)
+  const totalDays  = differenceInCalendarDays(rangeEnd, rangeStart) + 1
+
+  // Position of a date across the visible range, as a clamped percentage
+  const toPercent = (date) =>
+    Math.min(100, Math.max(0, (differenceInCalendarDays(date, rangeStart) / totalDays) * 100))
+
+  // Column ticks: weeks when zoomed to a month, months for a quarter
+  const ticks = zoom === 'month'
+    ? eachWeekOfInterval({ start: rangeStart, end: rangeEnd }, { weekStartsOn: 1 })
+        .filter(d => d >= rangeStart)
+        .map(d => ({ date: d, label: format(d, 'MMM d') }))
+    : eachMonthOfInterval({ start: rangeStart, end: rangeEnd })
+        .map(d => ({ date: d, label: format(d, 'MMMM') }))
+
+  // Group by member, sorted by name; goals sorted by start date within a group
+  const groups = {}
+  goals.forEach(goal => {
+    const name = getGroupName(goal)
+    ;(groups[name] = groups[name] || []).push(goal)
+  })
+  const groupNames = Object.keys(groups).sort((a, b) => a.localeCompare(b))
+  groupNames.forEach(name => groups[name].sort((a, b) => (goalStart(a) || 0) - (goalStart(b) || 0)))
+
+  const showToday = today >= rangeStart && today <= rangeEnd
+  const rangeLabel = zoom === 'month'
+    ? format(rangeStart, 'MMMM yyyy')
+    : `Q${Math.floor(rangeStart.getMonth() / 3) + 1} ${format(rangeStart, 'yyyy')}`
+
+  return (
+    <div>
+      {/* Toolbar: navigation + zoom */}
+      <div className="flex items-center justify-between gap-3 mb-4 flex-wrap">
+        <div className="flex items-center gap-2">
+          <button onClick={() => setAnchor(shift(anchor, -1))} className="btn-secondary p-1.5"><ChevronLeft size={16} /></button>
+          <button onClick={() => setAnchor(new Date())} className="btn-secondary text-xs px-3 py-1.5">Today</button>
+          <button onClick={() => setAnchor(shift(anchor, 1))} className="btn-secondary p-1.5"><ChevronRight size={16} /></button>
+          <span className="text-sm font-medium text-gray-700 ml-2">{rangeLabel}</span>
+        </div>
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden">
+          {Object.entries(ZOOMS).map(([key, z]) => (
+            <button key={key} onClick={() => setZoom(key)}
+              className={`px-3 py-1.5 text-xs ${zoom === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}>
+              {z.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="min-w-[760px]">
+          {/* Header ticks */}
+          <div className="flex border-b border-gray-200 pb-1">
+            <div className="w-48 flex-shrink-0" />
+            <div className="flex-1 relative h-5">
+              {ticks.map(t => (
+                <span key={t.label} className="absolute text-xs text-gray-400 -translate-x-1/2 whitespace-nowrap"
+                  style={{ left: `${toPercent(t.date)}%` }}>
+                  {t.label}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {groupNames.map(name => (
+            <div key={name} className="border-b border-gray-100 py-2">
+              <p className="text-xs font-semibold text-gray-700 uppercase tracking-wider mb-1">{name}</p>
+              {groups[name].map(goal => (
+                <TimelineRow key={goal.goalId} goal={goal} today={today}
+                  rangeStart={rangeStart} rangeEnd={rangeEnd} toPercent={toPercent}
+                  ticks={ticks} showToday={showToday} />
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div className="flex items-center gap-4 mt-3 text-xs text-gray-500 flex-wrap">
+        <span className="flex items-center gap-1"><span className="w-4 border-t-2 border-dashed border-blue-500" /> Today</span>
+        <span className="flex items-center gap-1"><span className="w-3 h-3 rounded ring-2 ring-red-500" /> Overdue</span>
+        <span>Bars are cut off where a goal runs past the visible range.</span>
+      </div>
+    </div>
+  )
+}
+
+// One goal: its title on the left, its bar across the range on the right
+function TimelineRow({ goal, today, rangeStart, rangeEnd, toPercent, ticks, showToday }) {
+  const start = goalStart(goal)
+  const end   = goalEnd(goal)
+  const overdue = isGoalOverdue(goal, today)
+  const inRange = start && end && start <= rangeEnd && end >= rangeStart
+
+  const left  = inRange ? toPercent(start) : 0
+  const right = inRange ? toPercent(new Date(end.getTime() + 86400000)) : 0  // end date is inclusive
+
+  return (
+    <div className="flex items-center h-8">
+      <div className="w-48 flex-shrink-0 pr-3 flex items-center gap-1 min-w-0">
+        {overdue && <AlertTriangle size={12} className="text-red-500 flex-shrink-0" />}
+        <Link to={`/goals/${goal.goalId}`} className="text-sm text-gray-700 hover:text-blue-600 truncate" title={goal.title}>
+          {goal.title}
+        </Link>
+      </div>
+      <div className="flex-1 relative h-full">
+        {/* Grid lines + today marker */}
+        {ticks.map(t => (
+          <div key={t.label} className="absolute top-0 bottom-0 border-l border-gray-100" style={{ left: `${toPercent(t.date)}%` }} />
+        ))}
+        {showToday && (
+          <div className="absolute top-0 bottom-0 border-l-2 border-dashed border-blue-500 z-10"
+            style={{ left: `${toPercent(today)}%` }} />
+        )}
+
+        {!start || !end ? (
+          <span className="absolute inset-y-0 left-2 flex items-center text-xs text-gray-400 italic">
+            No {!start && !end ? 'dates' : !start ? 'start date' : 'end date'} set
+          </span>
+        ) : inRange ? (
+          <Link to={`/goals/${goal.goalId}`}
+            title={`${goal.title}: ${format(start, 'MMM d')} – ${format(end, 'MMM d, yyyy')}${overdue ? ' (overdue)' : ''}`}
+            className={`absolute top-1.5 bottom-1.5 rounded-md px-2 flex items-center text-xs font-medium truncate
+              ${getStatusColor(goal.status)} ${overdue ? 'ring-2 ring-red-500' : ''}`}
+            style={{ left: `${left}%`, width: `${Math.max(right - left, 1)}%` }}>
+            {goal.status?.replace(/_/g, ' ')}
+          </Link>
+        ) : (
+          <span className="absolute inset-y-0 left-2 flex items-center text-xs text-gray-400">
+            {end < rangeStart ? `Ended ${format(end, 'MMM d, yyyy')}` : `Starts ${format(start, 'MMM d, yyyy')}`}
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
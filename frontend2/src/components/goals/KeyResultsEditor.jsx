@@ -0,0 +1,65 @@
+import React from 'react'
+import { Plus, X } from 'lucide-react'
+import { getKeyResultProgress } from '../../utils/keyResults'
+
+// ─── KEY RESULTS EDITOR ───────────────────────────────────────────────────────
+// Editable list of a goal's key results for the create / edit goal form.
+// Each row: metric, start value, target, current value (+ its live progress).
+//
+// Usage:
+//   <KeyResultsEditor value={goalForm.keyResults}
+//     onChange={(keyResults) => setGoalForm({ ...goalForm, keyResults })} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EMPTY_KEY_RESULT = { metric: '', startValue: 0, targetValue: '', currentValue: 0 }
+
+export default function KeyResultsEditor({ value = [], onChange }) {
+  const update = (index, field, fieldValue) =>
+    onChange(value.map((kr, i) => (i === index ? { ...kr, [field]: fieldValue } : kr)))
+
+  return (
+    <div>
+      <label className="form-label">Key Results (optional)</label>
+      {value.length > 0 && (
+        <div className="space-y-2 mb-2">
+          <div className="grid grid-cols-12 gap-2 text-xs text-gray-500 px-1">
+            <span className="col-span-5">Metric</span>
+            <span className="col-span-2">Start</span>
+            <span className="col-span-2">Target</span>
+            <span className="col-span-2">Current</span>
+          </div>
+          {value.map((kr, i) => (
+            <div key={kr.keyResultId ?? i}>
+              <div className="grid grid-cols-12 gap-2 items-center">
+                <input className="input-field col-span-5" value={kr.metric}
+                  onChange={e => update(i, 'metric', e.target.value)}
+                  placeholder="e.g. Test coverage (%)" />
+                {['startValue', 'targetValue', 'currentValue'].map(field => (
+                  <input key={field} type="number" step="any" className="input-field col-span-2"
+                    value={kr[field]} onChange={e => update(i, field, e.target.value)} />
+                ))}
+                <button type="button" onClick={() => onChange(value.filter((_, j) => j !== i))}
+                  className="col-span-1 text-gray-400 hover:text-red-600 flex justify-center" title="Remove">
+                  <X size={16} />
+                </button>
+              </div>
+              <div className="flex items-center gap-2 mt-1 px-1">
+                <div className="flex-1 h-1 bg-gray-100 rounded-full overflow-hidden">
+                  <div className="h-full bg-blue-500 rounded-full" style={{ width: `${getKeyResultProgress(kr)}%` }} />
+                </div>
+                <span className="text-xs text-gray-500 w-9 text-right">{getKeyResultProgress(kr)}%</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <button type="button" onClick={() => onChange([...value, { ...EMPTY_KEY_RESULT }])}
+        className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1">
+        <Plus size={14} /> Add key result
+      </button>
+      {value.length > 0 && (
+        <p className="text-xs text-gray-400 mt-1">The goal's progress is the average of its key results.</p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,245 @@
+import React, { useState } from 'react'
+import { Check, AlertTriangle, MessageSquare, LayoutTemplate, ChevronLeft, ChevronRight } from 'lucide-react'
+import KeyResultsEditor from './KeyResultsEditor'
+import { SMART_STEPS, MIN_DESCRIPTION_LENGTH, checkGoalQuality, getQualityColor } from '../../utils/goalQuality'
+import { GOAL_CATEGORIES, GOAL_PRIORITIES } from '../../utils/goalWorkflow'
+
+// ─── SMART GOAL WIZARD ────────────────────────────────────────────────────────
+// The create / edit goal form as five steps — Specific, Measurable, Achievable,
+// Relevant, Time-bound. Each step shows the quality checks it is about
+// (utils/goalQuality); the last step lists whatever still fails, so warnings
+// are seen before the goal is saved. Warnings don't block saving.
+//
+// Usage:
+//   <SmartGoalWizard form={goalForm} onChange={setGoalForm} activeCycle={activeCycle}
+//     otherWeight={30}                      // weight of my other goals in the cycle (or null)
+//     templates={templates} onTemplatePick={handleTemplatePick}
+//     managerName="Jane Doe" changeRequest={editingGoal?.changeRequestComments}
+//     isEdit={!!editingGoal} submitting={submitting}
+//     onCancel={close} onSubmit={handleCreateGoal} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function SmartGoalWizard({
+  form, onChange, activeCycle, otherWeight = null, templates = [], onTemplatePick, managerName, changeRequest,
+  isEdit, submitting, onCancel, onSubmit,
+}) {
+  const [stepIndex, setStepIndex] = useState(0)
+  const step = SMART_STEPS[stepIndex]
+  const isLast = stepIndex === SMART_STEPS.length - 1
+
+  const { score, checks, warnings } = checkGoalQuality(form, { activeCycle })
+  const stepChecks = checks.filter(c => c.step === step.key)
+  const set = (field, value) => onChange({ ...form, [field]: value })
+
+  // Enter in a field moves on; only the last step saves
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (isLast) onSubmit()
+    else setStepIndex(stepIndex + 1)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {/* Manager's change request, shown above every step */}
+      {changeRequest && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-3">
+          <p className="text-xs font-medium text-orange-700 mb-1 flex items-center gap-1">
+            <MessageSquare size={14} /> Changes requested by your manager:
+          </p>
+          <p className="text-sm text-orange-800 whitespace-pre-line">{changeRequest}</p>
+        </div>
+      )}
+
+      {/* Stepper — any step can be revisited */}
+      <div className="flex items-center gap-1">
+        {SMART_STEPS.map((s, i) => {
+          const ok = checks.filter(c => c.step === s.key).every(c => c.passed)
+          return (
+            <button key={s.key} type="button" onClick={() => setStepIndex(i)}
+              className={`flex-1 rounded-lg px-2 py-2 text-left border transition-colors ${
+                i === stepIndex ? 'border-blue-400 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}>
+              <span className="flex items-center gap-1 text-xs font-semibold text-gray-700">
+                <span className={`w-5 h-5 rounded-full flex items-center justify-center text-[10px] ${
+                  ok ? 'bg-green-100 text-green-700' : 'bg-yellow-100 text-yellow-800'}`}>
+                  {ok ? <Check size={11} /> : s.key}
+                </span>
+                <span className="hidden sm:inline">{s.label}</span>
+              </span>
+            </button>
+          )
+        })}
+      </div>
+      <p className="text-sm text-gray-500">{step.hint}</p>
+
+      {step.key === 'S' && (
+        <>
+          {!isEdit && templates.length > 0 && (
+            <div className="bg-blue-50 border border-blue-100 rounded-lg p-3">
+              <label className="form-label flex items-center gap-1"><LayoutTemplate size={14} /> Start from template</label>
+              <select className="input-field" defaultValue="" onChange={e => onTemplatePick(e.target.value)}>
+                <option value="" disabled>Choose a template…</option>
+                {templates.map(t => (
+                  <option key={t.templateId} value={String(t.templateId)}>
+                    {t.title} · {t.category}{t.department ? ` · ${t.department}` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="form-label">Goal Title *</label>
+            <input className="input-field" value={form.title} autoFocus
+              onChange={e => set('title', e.target.value)}
+              placeholder="e.g., Complete the AWS Solutions Architect certification" />
+          </div>
+          <div>
+            <label className="form-label">Description</label>
+            <textarea className="input-field" rows={4} value={form.description}
+              onChange={e => set('description', e.target.value)}
+              placeholder="What will be different when this goal is done, and how will you get there?" />
+            <p className="text-xs text-gray-400 mt-1 text-right">
+              {form.description.trim().length} / {MIN_DESCRIPTION_LENGTH}+ characters
+            </p>
+          </div>
+        </>
+      )}
+
+      {step.key === 'M' && (
+        <KeyResultsEditor value={form.keyResults} onChange={keyResults => set('keyResults', keyResults)} />
+      )}
+
+      {step.key === 'A' && (
+        <>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Priority</label>
+              <select className="input-field" value={form.priority} onChange={e => set('priority', e.target.value)}>
+                {GOAL_PRIORITIES.map(p => <option key={p}>{p}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Weight (%)</label>
+              <input type="number" min={0} max={100} className="input-field" value={form.weight ?? ''}
+                onChange={e => set('weight', e.target.value)} placeholder="e.g. 25" />
+            </div>
+          </div>
+          {otherWeight != null && (
+            <p className={`text-xs ${otherWeight + (Number(form.weight) || 0) > 100 ? 'text-red-600' : 'text-gray-500'}`}>
+              Your other goals in this cycle weigh {otherWeight}% —{' '}
+              {Math.max(0, 100 - otherWeight)}% is left. The weights of a cycle add up to 100%.
+            </p>
+          )}
+          <p className="text-xs text-gray-400">
+            Keep the scope to what you can deliver alongside your regular work; your manager will confirm it and its weight when approving.
+          </p>
+        </>
+      )}
+
+      {step.key === 'R' && (
+        <>
+          <div>
+            <label className="form-label">Category</label>
+            <select className="input-field" value={form.category} onChange={e => set('category', e.target.value)}>
+              {GOAL_CATEGORIES.map(c => <option key={c}>{c}</option>)}
+            </select>
+          </div>
+          {/* Manager is auto-assigned from the employee's profile */}
+          {managerName && (
+            <div className="bg-gray-50 rounded-lg p-3 text-sm text-gray-600">
+              <span className="font-medium">Assigned Manager: </span>{managerName}
+            </div>
+          )}
+        </>
+      )}
+
+      {step.key === 'T' && (
+        <>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Start Date</label>
+              <input type="date" className="input-field" value={form.startDate}
+                onChange={e => set('startDate', e.target.value)} />
+            </div>
+            <div>
+              <label className="form-label">End Date (Deadline)</label>
+              <input type="date" className="input-field" value={form.endDate}
+                onChange={e => set('endDate', e.target.value)} />
+            </div>
+          </div>
+          {activeCycle && (activeCycle.startDate || activeCycle.startDt) && (
+            <p className="text-xs text-gray-400">
+              Active review cycle: {activeCycle.title ? `${activeCycle.title} · ` : ''}
+              {activeCycle.startDate ?? activeCycle.startDt} → {activeCycle.endDate ?? activeCycle.endDt}
+            </p>
+          )}
+        </>
+      )}
+
+      {/* Checks for this step */}
+      {!isLast && stepChecks.length > 0 && (
+        <ul className="space-y-1">
+          {stepChecks.map(c => <li key={c.key}><QualityCheck check={c} /></li>)}
+        </ul>
+      )}
+
+      {/* Review before saving: every check that still fails */}
+      {isLast && (
+        <div className="border border-gray-200 rounded-lg p-3">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-sm font-medium text-gray-700">Goal quality</span>
+            <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${getQualityColor(score)}`}>SMART {score}%</span>
+          </div>
+          {warnings.length === 0 ? (
+            <p className="text-sm text-green-700 flex items-center gap-1"><Check size={14} /> All checks pass</p>
+          ) : (
+            <ul className="space-y-1">
+              {warnings.map(c => (
+                <li key={c.key}>
+                  <button type="button" onClick={() => setStepIndex(SMART_STEPS.findIndex(s => s.key === c.step))}
+                    className="text-left w-full hover:bg-gray-50 rounded">
+                    <QualityCheck check={c} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-3 pt-2">
+        {stepIndex === 0 ? (
+          <button type="button" onClick={onCancel} className="btn-secondary flex-1">Cancel</button>
+        ) : (
+          <button type="button" onClick={() => setStepIndex(stepIndex - 1)} className="btn-secondary flex-1 flex items-center justify-center gap-1">
+            <ChevronLeft size={16} /> Back
+          </button>
+        )}
+        {isLast ? (
+          <button type="submit" disabled={submitting} className="btn-primary flex-1">
+            {submitting
+              ? (isEdit ? 'Saving...' : 'Creating...')
+              : `${isEdit ? 'Save Changes' : 'Create Goal'}${warnings.length > 0 ? ' Anyway' : ''}`}
+          </button>
+        ) : (
+          <button type="submit" className="btn-primary flex-1 flex items-center justify-center gap-1">
+            Next <ChevronRight size={16} />
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+function QualityCheck({ check }) {
+  return (
+    <div className={`flex items-start gap-2 text-xs ${check.passed ? 'text-green-700' : 'text-yellow-800'}`}>
+      {check.passed
+        ? <Check size={13} className="mt-0.5 flex-shrink-0" />
+        : <AlertTriangle size={13} className="mt-0.5 flex-shrink-0" />}
+      <span>
+        <span className="font-medium">{check.label}</span>
+        {!check.passed && <span className="text-gray-600"> — {check.message}</span>}
+      </span>
+    </div>
+  )
+}
@@ -3,17 +3,18 @@ import { useNavigate } from 'react-router-dom'
 import { Bell, ChevronDown } from 'lucide-react'
 import { useAuth } from '../../context/AuthContext'
 import { useNotifications } from '../../context/NotificationContext'
+import ConnectionStatus from '../common/ConnectionStatus'
 
 // ─── HEADER ────────────────────────────────────────────────────────────────────
 // Top bar that shows:
 //   - Page title (dynamic, based on URL)
-//   - Notification bell with unread count badge
+//   - Notification bell with unread count badge + live-stream status dot
 //   - User avatar and name
 // ─────────────────────────────────────────────────────────────────────────────
 
 export default function Header({ title }) {
   const { user } = useAuth()
-  const { unreadCount } = useNotifications()
+  const { unreadCount, connectionState } = useNotifications()
   const navigate = useNavigate()
 
   return (
@@ -46,6 +47,10 @@ export default function Header({ title }) {
               {unreadCount > 9 ? '9+' : unreadCount}
             </span>
           )}
+          {/* Real-time stream status */}
+          <span className="absolute bottom-1 right-1 ring-2 ring-white rounded-full">
+            <ConnectionStatus state={connectionState} compact />
+          </span>
         </button>
 
         {/* User Avatar + Name */}
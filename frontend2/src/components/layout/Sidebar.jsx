@@ -4,7 +4,7 @@ import { useAuth } from '../../context/AuthContext'
 import {
   LayoutDashboard, Target, ClipboardList, RefreshCw, Users,
   BarChart2, Bell, Shield, LogOut, User, MessageSquare,
-  FileText, UserCheck, TrendingUp,
+  FileText, UserCheck, TrendingUp, LayoutTemplate,
 } from 'lucide-react'
 
 // Role-specific navigation menus
@@ -29,6 +29,7 @@ const ADMIN_NAV = [
   { label: 'Dashboard',       icon: LayoutDashboard, path: '/dashboard' },
   { label: 'Users',           icon: Users,           path: '/users' },
   { label: 'Review Cycles',   icon: RefreshCw,       path: '/review-cycles' },
+  { label: 'Goal Templates',  icon: LayoutTemplate,  path: '/goal-templates' },
   { label: 'Reports',         icon: BarChart2,       path: '/reports' },
   { label: 'Audit Logs',      icon: Shield,          path: '/audit-logs' },
   { label: 'Notifications',   icon: Bell,            path: '/notifications' },
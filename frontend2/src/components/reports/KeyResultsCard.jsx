@@ -0,0 +1,49 @@
+import React from 'react'
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
+} from 'recharts'
+
+// ─── KEY RESULTS CARD ─────────────────────────────────────────────────────────
+// Key-result roll-up for the goal analytics (goalAnalytics.keyResults, see
+// utils/reportData → withKeyResults): headline counts + average progress per
+// goal category. Renders nothing when no goal has key results.
+//
+// Usage:
+//   <KeyResultsCard summary={goalAnalytics?.keyResults} color="#3b82f6" />
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function KeyResultsCard({ summary, color = '#3b82f6' }) {
+  if (!summary?.totalKeyResults) return null
+
+  const stats = [
+    { label: 'Goals with key results', value: summary.goalsWithKeyResults },
+    { label: 'Key results',            value: summary.totalKeyResults },
+    { label: 'Achieved',               value: summary.achieved },
+    { label: 'Average progress',       value: summary.avgProgress != null ? `${summary.avgProgress}%` : '—' },
+  ]
+
+  return (
+    <div className="card">
+      <h3 className="section-title mb-4">Key Results</h3>
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        {stats.map(({ label, value }) => (
+          <div key={label} className="text-center bg-gray-50 rounded-lg p-3">
+            <p className="text-xl font-bold text-gray-800">{value ?? '—'}</p>
+            <p className="text-xs text-gray-500 mt-0.5">{label}</p>
+          </div>
+        ))}
+      </div>
+      {summary.byCategory?.length > 0 && (
+        <ResponsiveContainer width="100%" height={220}>
+          <BarChart data={summary.byCategory}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis dataKey="category" tick={{ fontSize: 11 }} />
+            <YAxis domain={[0, 100]} tick={{ fontSize: 12 }} tickFormatter={(v) => `${v}%`} />
+            <Tooltip formatter={(v) => [`${v}%`, 'Avg progress']} />
+            <Bar dataKey="avgProgress" fill={color} radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  )
+}
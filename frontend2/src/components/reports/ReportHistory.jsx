@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from 'react'
+import { ArrowLeft, Download, Eye, FileText, GitCompare, RefreshCw } from 'lucide-react'
+import LoadingSpinner from '../common/LoadingSpinner'
+import Pagination from '../common/Pagination'
+import ReportSnapshotView from './ReportSnapshotView'
+import reportService from '../../services/reportService'
+import { parseReportSnapshot, getSnapshotKpis } from '../../utils/reportData'
+import { EXPORT_FORMATS, downloadGeneratedReport } from '../../utils/reportExport'
+import toast from 'react-hot-toast'
+
+// ─── REPORT HISTORY ───────────────────────────────────────────────────────────
+// "Generated Reports" tab of the report pages.
+//   - Lists past reports (GET /reports, paginated)
+//   - Opens one (GET /reports/{id}) and renders its stored JSON snapshot
+//   - Downloads an opened report as CSV / XLSX / PDF
+//   - Compares the headline numbers of two snapshots side by side
+//
+// Usage:
+//   <ReportHistory colors={COLORS} refreshKey={generatedCount} />
+//   refreshKey → change it to reload the list (e.g. after generating a report)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PAGE_SIZE = 10
+
+const reportDate = (r) => (r.generatedDate || r.createdDate || '').replace('T', ' ').substring(0, 16)
+
+export default function ReportHistory({ colors, refreshKey = 0 }) {
+  const [reports, setReports]             = useState([])
+  const [loading, setLoading]             = useState(true)
+  const [page, setPage]                   = useState(0)
+  const [totalPages, setTotalPages]       = useState(0)
+  const [totalElements, setTotalElements] = useState(0)
+
+  const [openReport, setOpenReport]   = useState(null)   // the report being viewed
+  const [compareIds, setCompareIds]   = useState([])     // up to two reportIds
+  const [comparison, setComparison]   = useState(null)   // [reportA, reportB] once loaded
+  const [loadingReport, setLoadingReport] = useState(false)
+
+  useEffect(() => { loadReports() }, [page, refreshKey])
+
+  const loadReports = async () => {
+    setLoading(true)
+    try {
+      const data = await reportService.getAllReports(page, PAGE_SIZE)
+      const list = data?.content || data || []
+      setReports(list)
+      setTotalPages(data?.totalPages || 1)
+      setTotalElements(data?.totalElements ?? list.length)
+    } catch {
+      toast.error('Failed to load generated reports')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleOpen = async (reportId) => {
+    setLoadingReport(true)
+    try {
+      setOpenReport(await reportService.getReportById(reportId))
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to open report')
+    } finally {
+      setLoadingReport(false)
+    }
+  }
+
+  const toggleCompare = (reportId) => {
+    setCompareIds(prev =>
+      prev.includes(reportId)
+        ? prev.filter(id => id !== reportId)
+        : [...prev, reportId].slice(-2)  // keep the two most recent picks
+    )
+  }
+
+  const handleDownload = async (format) => {
+    try {
+      // Only reuse the stored file if it was generated in the format asked for
+      const report = (openReport.format || 'JSON') === format
+        ? openReport
+        : { ...openReport, downloadUrl: undefined, fileUrl: undefined }
+      await downloadGeneratedReport(report, format, openReport.scope || 'COMPANY', {})
+    } catch (err) {
+      toast.error(err.response?.data?.msg || err.message || 'Download failed')
+    }
+  }
+
+  const handleCompare = async () => {
+    setLoadingReport(true)
+    try {
+      const loaded = await Promise.all(compareIds.map(id => reportService.getReportById(id)))
+      // Oldest first, so the delta reads as "change since"
+      loaded.sort((a, b) => new Date(reportDate(a)) - new Date(reportDate(b)))
+      setComparison(loaded)
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to load reports for comparison')
+    } finally {
+      setLoadingReport(false)
+    }
+  }
+
+  if (loadingReport) return <LoadingSpinner message="Loading report..." />
+
+  // ── Single report view ──
+  if (openReport) {
+    return (
+      <div className="space-y-4">
+        <div className="flex items-center justify-between">
+          <button onClick={() => setOpenReport(null)} className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1">
+            <ArrowLeft size={16} /> All generated reports
+          </button>
+          <div className="flex items-center gap-3">
+            <p className="text-sm text-gray-500">
+              <span className="font-medium text-gray-700">{openReport.scope} report</span> · {reportDate(openReport)}
+            </p>
+            {EXPORT_FORMATS.map(format => (
+              <button key={format} onClick={() => handleDownload(format)}
+                className="btn-secondary text-xs py-1 px-2 inline-flex items-center gap-1">
+                <Download size={12} /> {format}
+              </button>
+            ))}
+          </div>
+        </div>
+        <ReportSnapshotView snapshot={parseReportSnapshot(openReport)} colors={colors} />
+      </div>
+    )
+  }
+
+  // ── Side-by-side comparison ──
+  if (comparison) {
+    const [older, newer] = comparison
+    const olderKpis = getSnapshotKpis(parseReportSnapshot(older))
+    const newerKpis = getSnapshotKpis(parseReportSnapshot(newer))
+    return (
+      <div className="space-y-4">
+        <button onClick={() => setComparison(null)} className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1">
+          <ArrowLeft size={16} /> All generated reports
+        </button>
+        <div className="card p-0 overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                {['Metric', `#${older.reportId} · ${reportDate(older)}`, `#${newer.reportId} · ${reportDate(newer)}`, 'Change'].map(h => (
+                  <th key={h} className="text-left px-6 py-3 text-xs font-semibold text-gray-600 uppercase tracking-wider">{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {olderKpis.map((kpi, i) => {
+                const a = kpi.value
+                const b = newerKpis[i].value
+                const delta = a != null && b != null ? +(b - a).toFixed(2) : null
+                const fmt = (v) => (v != null ? `${v}${kpi.suffix || ''}` : '—')
+                return (
+                  <tr key={kpi.label}>
+                    <td className="px-6 py-3 font-medium text-gray-800">{kpi.label}</td>
+                    <td className="px-6 py-3 text-gray-600">{fmt(a)}</td>
+                    <td className="px-6 py-3 text-gray-600">{fmt(b)}</td>
+                    <td className={`px-6 py-3 font-medium ${delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                      {delta == null ? '—' : `${delta > 0 ? '+' : ''}${delta}${kpi.suffix || ''}`}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    )
+  }
+
+  // ── List ──
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-3">
+        <p className="text-sm text-gray-500 flex-1">
+          Select two reports to compare their snapshots.
+        </p>
+        <button onClick={handleCompare} disabled={compareIds.length !== 2}
+          className="btn-secondary flex items-center gap-2 text-sm">
+          <GitCompare size={16} /> Compare ({compareIds.length}/2)
+        </button>
+        <button onClick={loadReports} className="btn-secondary p-2"><RefreshCw size={16} /></button>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner message="Loading generated reports..." />
+      ) : reports.length === 0 ? (
+        <div className="card text-center py-16 text-gray-400">
+          <FileText size={40} className="mx-auto mb-2 opacity-50" />
+          <p>No reports generated yet.</p>
+          <p className="text-sm mt-1">Use the Generate buttons above to create a snapshot.</p>
+        </div>
+      ) : (
+        <div className="card p-0 overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  {['', 'ID', 'Scope', 'Format', 'Generated', 'Generated By', ''].map((h, i) => (
+                    <th key={i} className="text-left px-4 py-3 text-xs font-semibold text-gray-600 uppercase tracking-wider">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {reports.map(r => (
+                  <tr key={r.reportId} className="hover:bg-gray-50">
+                    <td className="px-4 py-3">
+                      <input type="checkbox" checked={compareIds.includes(r.reportId)}
+                        onChange={() => toggleCompare(r.reportId)} />
+                    </td>
+                    <td className="px-4 py-3 text-xs text-gray-400 font-mono">#{r.reportId}</td>
+                    <td className="px-4 py-3 font-medium text-gray-800">{r.scope}</td>
+                    <td className="px-4 py-3 text-gray-600">{r.format || 'JSON'}</td>
+                    <td className="px-4 py-3 text-gray-600 whitespace-nowrap">{reportDate(r) || '—'}</td>
+                    <td className="px-4 py-3 text-gray-600">{r.generatedByName || (r.generatedBy ? `User #${r.generatedBy}` : '—')}</td>
+                    <td className="px-4 py-3 text-right">
+                      <button onClick={() => handleOpen(r.reportId)}
+                        className="btn-secondary text-xs py-1 px-2 inline-flex items-center gap-1">
+                        <Eye size={12} /> View
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="px-4">
+            <Pagination currentPage={page} totalPages={totalPages} totalElements={totalElements} onPageChange={setPage} />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
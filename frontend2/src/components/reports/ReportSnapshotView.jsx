@@ -0,0 +1,142 @@
+import React from 'react'
+import { BarChart2, Target, TrendingUp, Award, Activity } from 'lucide-react'
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid,
+  Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Legend,
+} from 'recharts'
+import {
+  getGoalStatusData, getDeptData, getRatingData, getCompletionRate,
+} from '../../utils/reportData'
+import KeyResultsCard from './KeyResultsCard'
+
+// ─── REPORT SNAPSHOT VIEW ─────────────────────────────────────────────────────
+// Renders a stored report snapshot with the same charts and tables as the live
+// report pages: KPIs, goal status, goals by category, key results, ratings, departments.
+//
+// Usage:
+//   <ReportSnapshotView snapshot={parseReportSnapshot(report)} colors={COLORS} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+function Kpi({ label, value, icon: Icon, color }) {
+  return (
+    <div className="card">
+      <div className={`w-10 h-10 rounded-xl flex items-center justify-center mb-3 ${color}`}>
+        <Icon size={20} />
+      </div>
+      <p className="text-2xl font-bold text-gray-800">{value ?? '—'}</p>
+      <p className="text-sm text-gray-500 mt-0.5">{label}</p>
+    </div>
+  )
+}
+
+export default function ReportSnapshotView({ snapshot, colors }) {
+  const { dashboard, goalAnalytics, perfSummary, deptPerformance } = snapshot
+  const goalStatusData = getGoalStatusData(goalAnalytics, dashboard)
+  const deptData       = getDeptData(deptPerformance)
+  const ratingData     = getRatingData(perfSummary)
+  const completionRate = getCompletionRate(dashboard)
+
+  if (!dashboard && !goalAnalytics && !perfSummary && !deptPerformance) {
+    return (
+      <div className="card text-center py-16 text-gray-400">
+        <BarChart2 size={40} className="mx-auto mb-2 opacity-50" />
+        <p>This report has no stored data to display.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <Kpi label="Total Goals"     value={dashboard?.totalGoals} icon={Target} color="text-blue-600 bg-blue-50" />
+        <Kpi label="Completed"       value={goalAnalytics?.completed ?? dashboard?.completedGoals} icon={Award} color="text-green-600 bg-green-50" />
+        <Kpi label="Completion Rate" value={completionRate != null ? `${completionRate}%` : '—'} icon={TrendingUp} color="text-indigo-600 bg-indigo-50" />
+        <Kpi label="Total Reviews"   value={perfSummary?.totalReviews ?? dashboard?.totalReviews} icon={Activity} color="text-purple-600 bg-purple-50" />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {goalStatusData.length > 0 && (
+          <div className="card">
+            <h3 className="section-title mb-4">Goal Status Breakdown</h3>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={goalStatusData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                <XAxis dataKey="name" tick={{ fontSize: 12 }} />
+                <YAxis tick={{ fontSize: 12 }} />
+                <Tooltip />
+                <Bar dataKey="value" radius={[4, 4, 0, 0]}>
+                  {goalStatusData.map((_, i) => <Cell key={i} fill={colors[i % colors.length]} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        {goalAnalytics?.categoryBreakdown && (
+          <div className="card">
+            <h3 className="section-title mb-4">Goals by Category</h3>
+            <ResponsiveContainer width="100%" height={260}>
+              <PieChart>
+                <Pie
+                  data={Object.entries(goalAnalytics.categoryBreakdown).map(([name, value]) => ({ name, value }))}
+                  dataKey="value" nameKey="name" cx="50%" cy="50%" outerRadius={90}
+                  label={({ name, value }) => `${name}: ${value}`}>
+                  {Object.keys(goalAnalytics.categoryBreakdown).map((_, i) => (
+                    <Cell key={i} fill={colors[i % colors.length]} />
+                  ))}
+                </Pie>
+                <Tooltip /><Legend />
+              </PieChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        <KeyResultsCard summary={goalAnalytics?.keyResults} color={colors[0]} />
+
+        {ratingData.length > 0 && (
+          <div className="card">
+            <h3 className="section-title mb-4">Rating Comparison</h3>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={ratingData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                <XAxis dataKey="name" />
+                <YAxis />
+                <Tooltip />
+                <Bar dataKey="value" fill={colors[0]} radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+
+      {deptData.length > 0 && (
+        <div className="card p-0 overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-100">
+            <h3 className="section-title">Department Details</h3>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  {['Department', 'Employees', 'Completed Goals', 'Avg Rating'].map(h => (
+                    <th key={h} className="text-left px-6 py-3 text-xs font-semibold text-gray-600 uppercase tracking-wider">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {deptData.map((d, i) => (
+                  <tr key={i} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 font-medium text-gray-800">{d.department}</td>
+                    <td className="px-6 py-4 text-gray-600">{d.employeeCount || '—'}</td>
+                    <td className="px-6 py-4 text-gray-600">{d.completedGoals}</td>
+                    <td className="px-6 py-4 text-gray-600">{d.avgRating > 0 ? `${d.avgRating}/5` : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,98 @@
+import React from 'react'
+import { CheckCircle, XCircle, AlertTriangle, ClipboardPaste } from 'lucide-react'
+import StatusBadge from '../common/StatusBadge'
+import { formatFeedbackSummary, formatNextPeriodSummary } from '../../utils/goalSummary'
+
+// ─── GOAL OUTCOMES PANEL ──────────────────────────────────────────────────────
+// The reviewed employee's goals for the cycle (utils/goalSummary): completed,
+// rejected and overdue goals, latest progress notes and evidence results, with
+// buttons that paste a written summary into the review form.
+//
+// Usage:
+//   <GoalOutcomesPanel summary={summarizeGoalOutcomes(goals, progress)} loading={loading}
+//     onInsertFeedback={(text) => …} onInsertNextGoals={(text) => …} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function GoalOutcomesPanel({ summary, loading, onInsertFeedback, onInsertNextGoals }) {
+  if (loading) {
+    return <div className="bg-gray-50 rounded-lg p-3 text-xs text-gray-400">Loading goal outcomes…</div>
+  }
+  if (!summary?.total) {
+    return <div className="bg-gray-50 rounded-lg p-3 text-xs text-gray-400">No goals for this employee in this cycle.</div>
+  }
+
+  const counts = [
+    { label: 'Completed', value: summary.completed.length, icon: CheckCircle,   color: 'text-green-700 bg-green-50' },
+    { label: 'Rejected',  value: summary.rejected.length,  icon: XCircle,       color: 'text-red-700 bg-red-50' },
+    { label: 'Overdue',   value: summary.overdue.length,   icon: AlertTriangle, color: 'text-orange-700 bg-orange-50' },
+  ]
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-semibold text-gray-600 uppercase">Goal Summary · {summary.total} goals</p>
+        <div className="flex gap-2">
+          <button type="button" onClick={() => onInsertFeedback(formatFeedbackSummary(summary))}
+            className="text-xs text-blue-600 hover:text-blue-800 flex items-center gap-1">
+            <ClipboardPaste size={12} /> Insert into feedback
+          </button>
+          <button type="button" onClick={() => onInsertNextGoals(formatNextPeriodSummary(summary))}
+            className="text-xs text-blue-600 hover:text-blue-800 flex items-center gap-1">
+            <ClipboardPaste size={12} /> Insert into next-period goals
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {counts.map(({ label, value, icon: Icon, color }) => (
+          <div key={label} className={`rounded-lg px-3 py-2 ${color}`}>
+            <p className="text-lg font-bold flex items-center gap-1"><Icon size={14} /> {value}</p>
+            <p className="text-xs opacity-80">{label}</p>
+          </div>
+        ))}
+      </div>
+
+      {summary.overdue.length > 0 && (
+        <ul className="text-xs text-gray-600 space-y-0.5">
+          {summary.overdue.map(goal => (
+            <li key={goal.goalId} className="truncate">
+              <span className="text-orange-700">Overdue:</span> {goal.title} (due {goal.endDate})
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {summary.notes.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-gray-600 mb-1">Latest progress notes</p>
+          <ul className="space-y-1 max-h-32 overflow-y-auto">
+            {summary.notes.map(({ goal, note, date }) => (
+              <li key={goal.goalId} className="text-xs text-gray-600">
+                <span className="font-medium text-gray-700">{goal.title}</span>
+                {date && <span className="text-gray-400"> · {String(date).split('T')[0]}</span>}
+                <p className="whitespace-pre-line">{note}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {summary.evidence.length > 0 && (
+        <div>
+          <p className="text-xs font-medium text-gray-600 mb-1">Evidence verification</p>
+          <ul className="space-y-1">
+            {summary.evidence.map(({ goal, status, notes }) => (
+              <li key={goal.goalId} className="text-xs text-gray-600 flex items-start gap-2">
+                <StatusBadge status={status} />
+                <span className="flex-1">
+                  <span className="font-medium text-gray-700">{goal.title}</span>
+                  {notes && <span className="text-gray-500"> — {notes}</span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
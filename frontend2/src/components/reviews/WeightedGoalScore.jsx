@@ -0,0 +1,52 @@
+import React from 'react'
+import { Target, AlertTriangle } from 'lucide-react'
+import { getWeightedGoalScore } from '../../utils/goalWeights'
+
+// ─── WEIGHTED GOAL SCORE ──────────────────────────────────────────────────────
+// The employee's weighted goal completion for the cycle under review, shown
+// next to the manager's star rating so the rating can follow goal outcomes.
+// Each goal's completion (utils/goalWeights) counts by its weight.
+//
+// Usage:
+//   <WeightedGoalScore goals={reviewGoals} loading={loadingReviewGoals} />
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function WeightedGoalScore({ goals = [], loading }) {
+  if (loading) return <p className="text-xs text-gray-400">Loading goal outcomes…</p>
+
+  const result = getWeightedGoalScore(goals)
+  if (!result) {
+    return <p className="text-xs text-gray-400 flex items-center gap-1"><Target size={12} /> No goals in this cycle</p>
+  }
+
+  const { score, rating, totalWeight, weighted, rows } = result
+  return (
+    <div className="space-y-2">
+      <div className="flex items-baseline gap-2">
+        <span className="text-2xl font-bold text-gray-800">{score}%</span>
+        <span className="text-xs text-gray-500">weighted goal score · ≈ {rating}/5</span>
+      </div>
+      {weighted && totalWeight !== 100 && (
+        <p className="text-xs text-yellow-700 flex items-center gap-1">
+          <AlertTriangle size={12} /> Goal weights add up to {totalWeight}%, not 100%
+        </p>
+      )}
+      {!weighted && (
+        <p className="text-xs text-gray-400">No weights set — every goal counts the same</p>
+      )}
+      <ul className="space-y-1">
+        {rows.map(({ goal, weight, completion }) => (
+          <li key={goal.goalId} className="flex items-center gap-2 text-xs">
+            <span className="flex-1 truncate text-gray-600" title={goal.title}>{goal.title}</span>
+            <span className="text-gray-400 w-10 text-right">{Math.round(weight)}%</span>
+            <div className="w-16 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+              <div className={`h-full rounded-full ${goal.status === 'REJECTED' ? 'bg-red-400' : 'bg-green-500'}`}
+                style={{ width: `${completion}%` }} />
+            </div>
+            <span className="text-gray-500 w-9 text-right">{completion}%</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
@@ -29,11 +29,38 @@ export function AuthProvider({ children }) {
         // If the saved data is corrupted, clear it
         localStorage.removeItem('user')
         localStorage.removeItem('token')
+        localStorage.removeItem('refreshToken')
       }
     }
     setLoading(false)
   }, [])
 
+  // Keep the user in sync when api.js silently refreshes the JWT.
+  // The refresh response may carry updated user details (e.g. a role change);
+  // when nothing changed the same object is kept, so no consumer re-runs.
+  useEffect(() => {
+    const handleTokenRefreshed = (e) => {
+      const data = e.detail || {}
+      if (!data.userId) return
+      setUser((prev) => {
+        const userData = {
+          ...prev,
+          userId: data.userId,
+          name: data.name ?? prev?.name,
+          email: data.email ?? prev?.email,
+          role: data.role ?? prev?.role,
+          department: data.department ?? prev?.department,
+          managerId: data.managerId ?? prev?.managerId,
+        }
+        if (prev && Object.keys(userData).every((key) => userData[key] === prev[key])) return prev
+        localStorage.setItem('user', JSON.stringify(userData))
+        return userData
+      })
+    }
+    window.addEventListener('auth:token-refreshed', handleTokenRefreshed)
+    return () => window.removeEventListener('auth:token-refreshed', handleTokenRefreshed)
+  }, [])
+
   /**
    * Login function
    * - Calls the auth API
@@ -44,7 +71,7 @@ export function AuthProvider({ children }) {
     try {
       const data = await authService.login(email, password)
 
-      // The API returns: { token, userId, name, email, role, department, managerId }
+      // The API returns: { token, refreshToken, userId, name, email, role, department, managerId }
       const userData = {
         userId: data.userId,
         name: data.name,
@@ -56,6 +83,7 @@ export function AuthProvider({ children }) {
 
       // Save to localStorage so user stays logged in after page refresh
       localStorage.setItem('token', data.token)
+      if (data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken)
       localStorage.setItem('user', JSON.stringify(userData))
 
       setUser(userData)
@@ -1,96 +1,317 @@
 import React, { createContext, useContext, useState, useEffect, useRef } from 'react'
 import notificationService from '../services/notificationService'
+import { useNavigate } from 'react-router-dom'
 import { useAuth } from './AuthContext'
+import { getNotificationLink } from '../utils/notificationLinks'
+import {
+  loadNotificationPrefs, saveNotificationPrefs, getDeliveryMode, desktopNotificationsSupported,
+} from '../utils/notificationPrefs'
 import toast from 'react-hot-toast'
 
 // ─── NOTIFICATION CONTEXT ──────────────────────────────────────────────────────
 // Manages real-time notifications using SSE (Server-Sent Events).
 // SSE = the server continuously pushes updates to us (like a one-way WebSocket).
 // When a manager approves your goal, you instantly get a notification!
+//
+// Connection state: 'connecting' → 'live' ⇄ 'reconnecting' → 'offline'
+// If the stream drops we retry with exponential backoff (1s, 2s, 4s … 30s).
+// After a reconnect the list is re-synced from the REST API, so anything
+// sent while we were disconnected still shows up.
+//
+// Delivery follows the user's per-type preferences (utils/notificationPrefs):
+// muted types are hidden, the rest are listed and may also raise a toast or
+// a browser desktop notification.
+//
+// The list is paginated, so the bell badge counts from the server's unread
+// total (GET /notifications/unread-count) rather than from the loaded pages.
 // ─────────────────────────────────────────────────────────────────────────────
 
 const NotificationContext = createContext(null)
 
+const PAGE_SIZE = 20
+
+// Last page of a paginated response? (a plain array means "everything at once")
+const isLastPage = (data, page, list) => {
+  if (!data?.content) return true
+  if (data.last != null) return data.last
+  if (data.totalPages != null) return page + 1 >= data.totalPages
+  return list.length < PAGE_SIZE
+}
+
+const RETRY_BASE_MS = 1000
+const RETRY_MAX_MS = 30000
+const RETRIES_BEFORE_OFFLINE = 5  // keep retrying after this, but report 'offline'
+
+// 1s, 2s, 4s, … capped at 30s, with ±20% jitter so clients don't reconnect in lockstep
+const retryDelay = (attempt) => {
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt)
+  return delay * (0.8 + Math.random() * 0.4)
+}
+
 export function NotificationProvider({ children }) {
   // List of notifications loaded from the server
   const [notifications, setNotifications] = useState([])
-  // Count of unread notifications (shown as a badge on the bell icon)
-  const [unreadCount, setUnreadCount] = useState(0)
   const [loading, setLoading] = useState(false)
+  // Older pages are fetched on demand (infinite scroll on NotificationsPage)
+  const [hasMore, setHasMore] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  // The last older page failed — no more auto-loading until the user retries
+  const [loadMoreFailed, setLoadMoreFailed] = useState(false)
+  const nextPageRef = useRef(0)
+  // Per-type delivery preferences: { GOAL_APPROVAL: 'TOAST', ... }
+  const [preferences, setPreferences] = useState({})
+  // State of the SSE stream: 'connecting' | 'live' | 'reconnecting' | 'offline'
+  const [connectionState, setConnectionState] = useState('offline')
 
   const { user } = useAuth()
-  // ref to keep track of the SSE connection (so we can close it on logout)
+  const navigate = useNavigate()
+  // ref to keep track of the SSE connection (so we can abort it on logout)
   const eventSourceRef = useRef(null)
+  // Reconnect bookkeeping: failed attempts in a row + the pending retry timer
+  const retryAttemptRef = useRef(0)
+  const retryTimerRef = useRef(null)
+  // Latest list, for de-duplicating stream messages inside the SSE callbacks
+  const notificationsRef = useRef([])
+  notificationsRef.current = notifications
+  // Latest preferences, for the same reason
+  const preferencesRef = useRef(preferences)
+  preferencesRef.current = preferences
 
-  // Load initial notifications when user logs in
+  // Unread notifications over ALL pages, from the server — the list only holds
+  // the pages loaded so far. null until known (or if the server can't tell).
+  const [serverUnreadCount, setServerUnreadCount] = useState(null)
+
+  // Muted types are hidden everywhere, including the unread badge
+  const visibleNotifications = notifications.filter((n) => getDeliveryMode(preferences, n) !== 'MUTE')
+  // Count of unread notifications (shown as a badge on the bell icon).
+  // The server count includes muted types; the muted ones we have loaded are taken off.
+  const loadedUnread = visibleNotifications.filter((n) => n.status === 'UNREAD').length
+  const loadedMutedUnread = notifications.filter((n) => n.status === 'UNREAD').length - loadedUnread
+  const unreadCount = serverUnreadCount == null
+    ? loadedUnread
+    : Math.max(loadedUnread, serverUnreadCount - loadedMutedUnread)
+
+  // Load initial notifications when user logs in.
+  // Keyed on the user id, so a token refresh (a new user object for the same
+  // user) keeps the loaded pages and the running stream.
   useEffect(() => {
     if (user) {
+      setPreferences(loadNotificationPrefs(user.userId))
       loadNotifications()
+      // A new session: don't resume the previous user's stream position
+      notificationService.resetStreamPosition()
       startSSEStream()
     } else {
       // User logged out: close SSE connection and clear notifications
       stopSSEStream()
+      notificationService.resetStreamPosition()
+      retryAttemptRef.current = 0
+      setConnectionState('offline')
       setNotifications([])
-      setUnreadCount(0)
+      setPreferences({})
+      setHasMore(false)
+      setLoadMoreFailed(false)
+      setServerUnreadCount(null)
+      nextPageRef.current = 0
     }
 
     // Cleanup: close SSE when component unmounts
     return () => stopSSEStream()
+  }, [user?.userId])
+
+  // Browser went offline/online: show it straight away and reconnect as soon as we're back
+  useEffect(() => {
+    if (!user) return
+    const handleOffline = () => {
+      stopSSEStream()
+      setConnectionState('offline')
+    }
+    const handleOnline = () => {
+      retryAttemptRef.current = 0
+      startSSEStream(true)
+    }
+    window.addEventListener('offline', handleOffline)
+    window.addEventListener('online', handleOnline)
+    return () => {
+      window.removeEventListener('offline', handleOffline)
+      window.removeEventListener('online', handleOnline)
+    }
   }, [user])
 
-  // Load notifications from the REST API
-  const loadNotifications = async () => {
+  // Re-read the unread total from the server (after loading or marking read)
+  const loadUnreadCount = async () => {
     try {
-      setLoading(true)
-      const data = await notificationService.getNotifications(0, 50)
+      setServerUnreadCount(await notificationService.getUnreadCount())
+    } catch {
+      setServerUnreadCount(null)  // badge falls back to the loaded pages
+    }
+  }
+
+  // Load the first page of notifications from the REST API
+  // silent = re-sync after a reconnect (no loading spinner, older pages kept)
+  const loadNotifications = async (silent = false) => {
+    loadUnreadCount()
+    try {
+      if (!silent) setLoading(true)
+      const data = await notificationService.getNotifications(0, PAGE_SIZE)
       // The API returns paginated data: { content: [...], totalElements, ... }
       const notifList = data?.content || data || []
+      // After a reconnect: deliver the unread ones that arrived while we were away
+      if (silent) {
+        const known = new Set(notificationsRef.current.map((n) => n.notificationId))
+        notifList
+          .filter((n) => n.status === 'UNREAD' && !known.has(n.notificationId))
+          .forEach(deliver)
+        setNotifications((prev) => {
+          const freshIds = new Set(notifList.map((n) => n.notificationId))
+          return [...notifList, ...prev.filter((n) => !freshIds.has(n.notificationId))]
+        })
+        return
+      }
       setNotifications(notifList)
-      // Count how many are unread
-      setUnreadCount(notifList.filter((n) => n.status === 'UNREAD').length)
+      nextPageRef.current = 1
+      setHasMore(!isLastPage(data, 0, notifList))
+      setLoadMoreFailed(false)
     } catch (error) {
       console.error('Failed to load notifications:', error)
     } finally {
-      setLoading(false)
+      if (!silent) setLoading(false)
+    }
+  }
+
+  // Append the next page of older notifications (also the "Retry" after a failed page)
+  const loadMore = async () => {
+    if (loadingMore || !hasMore) return
+    setLoadingMore(true)
+    setLoadMoreFailed(false)
+    try {
+      const page = nextPageRef.current
+      const data = await notificationService.getNotifications(page, PAGE_SIZE)
+      const notifList = data?.content || data || []
+      nextPageRef.current = page + 1
+      // New SSE items shift the server's pages, so a page can overlap what we have
+      setNotifications((prev) => {
+        const known = new Set(prev.map((n) => n.notificationId))
+        return [...prev, ...notifList.filter((n) => !known.has(n.notificationId))]
+      })
+      setHasMore(!isLastPage(data, page, notifList))
+    } catch (error) {
+      setLoadMoreFailed(true)
+      toast.error('Failed to load older notifications')
+    } finally {
+      setLoadingMore(false)
     }
   }
 
   // Start SSE connection for real-time updates
-  const startSSEStream = () => {
+  // isReconnect = we've been disconnected, so re-sync the list once the stream is back
+  const startSSEStream = (isReconnect = false) => {
     stopSSEStream() // close any existing connection first
 
     const token = localStorage.getItem('token')
     if (!token) return
 
+    setConnectionState(isReconnect ? 'reconnecting' : 'connecting')
+
     try {
       eventSourceRef.current = notificationService.subscribeToStream(
         // On new notification received:
         (newNotification) => {
+          // A re-sync may already have brought this one in
+          if (notificationsRef.current.some((n) => n.notificationId === newNotification.notificationId)) return
           setNotifications((prev) => [newNotification, ...prev])
-          setUnreadCount((prev) => prev + 1)
-          // Show a toast popup for important notifications
-          if (newNotification.priority === 'HIGH' || newNotification.actionRequired) {
-            toast(newNotification.message, { icon: '🔔' })
-          }
+          if (newNotification.status === 'UNREAD') setServerUnreadCount((n) => (n == null ? n : n + 1))
+          deliver(newNotification)
         },
-        // On error:
+        // On error: drop this connection and retry ourselves, with backoff
         (err) => {
           console.warn('SSE error, will retry...', err)
+          scheduleReconnect()
+        },
+        // On open: we're live — catch up on anything missed while disconnected
+        () => {
+          retryAttemptRef.current = 0
+          setConnectionState('live')
+          if (isReconnect) loadNotifications(true)
         }
       )
     } catch (err) {
       console.error('Failed to start SSE stream:', err)
+      scheduleReconnect()
     }
   }
 
-  // Stop SSE connection
+  const scheduleReconnect = () => {
+    stopSSEStream()
+    if (!navigator.onLine) {
+      setConnectionState('offline')  // the 'online' listener reconnects
+      return
+    }
+    const attempt = retryAttemptRef.current++
+    setConnectionState(attempt >= RETRIES_BEFORE_OFFLINE ? 'offline' : 'reconnecting')
+    retryTimerRef.current = setTimeout(() => startSSEStream(true), retryDelay(attempt))
+  }
+
+  // Stop SSE connection (and any pending reconnect)
   const stopSSEStream = () => {
+    clearTimeout(retryTimerRef.current)
+    retryTimerRef.current = null
     if (eventSourceRef.current) {
       eventSourceRef.current.close()
       eventSourceRef.current = null
     }
   }
 
+  // Pop up a new notification the way the user asked for its type
+  const deliver = (notif) => {
+    const mode = getDeliveryMode(preferencesRef.current, notif)
+    if (mode === 'DESKTOP' && showDesktopNotification(notif)) return
+    if (mode === 'TOAST' || mode === 'DESKTOP') showToast(notif)  // DESKTOP falls back to a toast
+  }
+
+  // Browser desktop notification — false if not supported / not permitted
+  const showDesktopNotification = (notif) => {
+    if (!desktopNotificationsSupported() || Notification.permission !== 'granted') return false
+    const desktop = new Notification('Performance Tracker', {
+      body: notif.message,
+      tag: String(notif.notificationId),  // one popup per notification, even across tabs
+    })
+    desktop.onclick = () => {
+      window.focus()
+      desktop.close()
+      openNotification(notif)
+    }
+    return true
+  }
+
+  // Mark read + go to the related goal/review/feedback (if it has one)
+  const openNotification = (notif) => {
+    if (notif.status === 'UNREAD') markAsRead(notif.notificationId)
+    const link = getNotificationLink(notif, user?.role)
+    if (link) navigate(link)
+  }
+
+  // Toast for a new notification — clicking it opens the related goal/review/feedback
+  const showToast = (notif) => {
+    const link = getNotificationLink(notif, user?.role)
+    if (!link) {
+      toast(notif.message, { icon: '🔔' })
+      return
+    }
+    toast((t) => (
+      <span
+        className="cursor-pointer"
+        onClick={() => {
+          toast.dismiss(t.id)
+          openNotification(notif)
+        }}
+      >
+        {notif.message}
+        <span className="block text-xs text-blue-600 mt-0.5">Click to open</span>
+      </span>
+    ), { icon: '🔔' })
+  }
+
   // Mark a single notification as read
   const markAsRead = async (notifId) => {
     try {
@@ -100,31 +321,60 @@ export function NotificationProvider({ children }) {
           n.notificationId === notifId ? { ...n, status: 'READ' } : n
         )
       )
-      setUnreadCount((prev) => Math.max(0, prev - 1))
+      loadUnreadCount()
     } catch (error) {
       toast.error('Failed to mark notification as read')
     }
   }
 
+  // Mark several notifications as read (no bulk endpoint — one PUT each)
+  const markManyAsRead = async (notifIds) => {
+    const results = await Promise.allSettled(notifIds.map((id) => notificationService.markAsRead(id)))
+    const done = new Set(notifIds.filter((_, i) => results[i].status === 'fulfilled'))
+    setNotifications((prev) =>
+      prev.map((n) => (done.has(n.notificationId) ? { ...n, status: 'READ' } : n))
+    )
+    if (done.size > 0) loadUnreadCount()
+    const failed = notifIds.length - done.size
+    if (failed > 0) toast.error(`${failed} notification${failed > 1 ? 's' : ''} could not be marked as read`)
+    else toast.success(`${done.size} notification${done.size > 1 ? 's' : ''} marked as read`)
+    return done
+  }
+
   // Mark all notifications as read
   const markAllAsRead = async () => {
     try {
       await notificationService.markAllAsRead()
       setNotifications((prev) => prev.map((n) => ({ ...n, status: 'READ' })))
-      setUnreadCount(0)
+      setServerUnreadCount((n) => (n == null ? n : 0))
       toast.success('All notifications marked as read')
     } catch (error) {
       toast.error('Failed to mark all as read')
     }
   }
 
+  // Change how one notification type is delivered (saved per user)
+  const updatePreference = (type, mode) => {
+    const next = { ...preferences, [type]: mode }
+    setPreferences(next)
+    saveNotificationPrefs(user?.userId, next)
+  }
+
   const value = {
-    notifications,
+    notifications: visibleNotifications,
     unreadCount,
     loading,
+    loadingMore,
+    loadMoreFailed,
+    hasMore,
+    connectionState,
+    preferences,
     loadNotifications,
+    loadMore,
     markAsRead,
+    markManyAsRead,
     markAllAsRead,
+    updatePreference,
   }
 
   return (
@@ -0,0 +1,58 @@
+import { useState, useEffect } from 'react'
+import { useSearchParams } from 'react-router-dom'
+
+// ─── GOAL FILTERS ─────────────────────────────────────────────────────────────
+// Search / status / priority / category filters for the goal lists, kept in the
+// URL (?q=&status=&priority=&category=&page=) so a filtered view can be shared
+// or bookmarked, and sent to the backend through goalService.getGoals.
+// (TeamGoalsPage runs the search itself, so it can match employee names too.)
+//
+// Usage:
+//   const { filters, page, searchInput, setSearchInput, setFilter, setPage, clearFilters } = useGoalFilters()
+//   goalService.getGoals(page, 10, filters)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const FILTER_PARAMS = { search: 'q', status: 'status', priority: 'priority', category: 'category' }
+const SEARCH_DELAY_MS = 400   // wait for the user to stop typing before querying
+
+export function useGoalFilters() {
+  const [searchParams, setSearchParams] = useSearchParams()
+
+  const filters = {}
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => { filters[key] = searchParams.get(param) || '' })
+  const page = Math.max(0, (parseInt(searchParams.get('page')) || 1) - 1)  // 1-based in the URL
+
+  // The search box updates instantly; the URL (and so the query) follows after a pause
+  const [searchInput, setSearchInput] = useState(filters.search)
+  // The URL changed from outside the box (a shared link, "Clear", a link to a filtered view).
+  // Filter changes replace the history entry, so back / forward leave the page instead.
+  useEffect(() => { setSearchInput(filters.search) }, [filters.search])
+  useEffect(() => {
+    if (searchInput === filters.search) return
+    const timer = setTimeout(() => setFilter('search', searchInput), SEARCH_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [searchInput])
+
+  const update = (changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev)
+      Object.entries(changes).forEach(([param, value]) => {
+        if (value) next.set(param, value)
+        else next.delete(param)
+      })
+      return next
+    }, { replace: true })
+  }
+
+  // Any filter change starts again from the first page
+  const setFilter = (key, value) => update({ [FILTER_PARAMS[key]]: value, page: '' })
+  const setPage = (p) => update({ page: p > 0 ? String(p + 1) : '' })
+  const clearFilters = () => {
+    setSearchInput('')
+    update({ q: '', status: '', priority: '', category: '', page: '' })
+  }
+
+  const hasActiveFilters = Object.values(filters).some(Boolean)
+
+  return { filters, page, searchInput, setSearchInput, setFilter, setPage, clearFilters, hasActiveFilters }
+}
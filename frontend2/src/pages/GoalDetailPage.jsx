@@ -0,0 +1,300 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import {
+  ArrowLeft, Target, CheckCircle, XCircle, MessageSquare,
+  TrendingUp, Upload, Flag, FileCheck, Award, Circle, Link2,
+} from 'lucide-react'
+import Layout from '../components/layout/Layout'
+import LoadingSpinner from '../components/common/LoadingSpinner'
+import StatusBadge from '../components/common/StatusBadge'
+import ProgressChart from '../components/common/ProgressChart'
+import GoalActionButtons from '../components/goals/GoalActionButtons'
+import GoalActionModal from '../components/goals/GoalActionModal'
+import { useAuth } from '../context/AuthContext'
+import goalService from '../services/goalService'
+import { getLatestProgress } from '../utils/progressEntries'
+
+// ─── GOAL DETAIL PAGE ─────────────────────────────────────────────────────────
+// A linkable page (/goals/:goalId) showing a single goal's whole lifecycle:
+//   Created → Manager approval / change requests → Progress notes →
+//   Completion submission → Evidence verification → Final approval
+//
+// Actions are shown based on role (rules in utils/goalWorkflow):
+//   EMPLOYEE (owner):   Update progress, submit completion, delete (when PENDING)
+//   MANAGER (assigned): Approve, request changes, verify evidence, approve/reject completion
+//   ADMIN:              Read-only
+//
+// APIs Used:
+//   GET /api/v1/goals/{id}
+//   GET /api/v1/goals/{id}/progress
+//   + the goal workflow actions (see goalService)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Statuses in which the manager has approved the goal
+const APPROVED_STATUSES = ['IN_PROGRESS', 'PENDING_COMPLETION_APPROVAL', 'COMPLETED']
+// Statuses in which the employee has submitted the goal for completion
+const SUBMITTED_STATUSES = ['PENDING_COMPLETION_APPROVAL', 'COMPLETED']
+
+// Colors for each kind of timeline event
+const EVENT_STYLES = {
+  done:    { dot: 'bg-blue-600 text-white',   line: 'bg-blue-200' },
+  success: { dot: 'bg-green-600 text-white',  line: 'bg-green-200' },
+  warning: { dot: 'bg-orange-500 text-white', line: 'bg-orange-200' },
+  danger:  { dot: 'bg-red-600 text-white',    line: 'bg-red-200' },
+  pending: { dot: 'bg-gray-200 text-gray-400', line: 'bg-gray-200' },
+}
+
+function formatDate(value) {
+  if (!value) return null
+  return String(value).split('T')[0]
+}
+
+// Builds the ordered list of lifecycle events from the goal + its progress entries.
+// Phases that have not happened yet are included as "pending" so the user can see
+// what is still ahead of the goal.
+function buildTimeline(goal, progress) {
+  const events = []
+  const isApproved  = APPROVED_STATUSES.includes(goal.status)
+  const isSubmitted = SUBMITTED_STATUSES.includes(goal.status) || !!goal.completionNotes
+
+  // 1. Creation
+  events.push({
+    key: 'created', icon: Flag, tone: 'done',
+    title: 'Goal created',
+    date: goal.createdDate,
+    body: goal.employeeName ? `Created by ${goal.employeeName}` : null,
+  })
+
+  // 2. Manager approval (with any change request before it)
+  if (goal.changeRequestComments) {
+    events.push({
+      key: 'changes', icon: MessageSquare, tone: 'warning',
+      title: 'Manager requested changes',
+      body: goal.changeRequestComments,
+    })
+  }
+  events.push(isApproved
+    ? { key: 'approved', icon: CheckCircle, tone: 'success', title: 'Approved by manager', date: goal.approvedDate }
+    : goal.status === 'REJECTED' && !isSubmitted
+      ? { key: 'approved', icon: XCircle, tone: 'danger', title: 'Goal rejected', body: goal.rejectionReason }
+      : { key: 'approved', icon: CheckCircle, tone: 'pending', title: 'Awaiting manager approval' })
+
+  // 3. Work & progress
+  progress.forEach((p, i) => {
+    events.push({
+      key: `progress-${p.progressId || p.updateId || i}`, icon: TrendingUp, tone: 'done',
+      title: p.progressPercentage != null ? `Progress update — ${p.progressPercentage}%` : 'Progress update',
+      date: p.createdDate || p.updatedDate || p.timestamp,
+      body: p.note || p.notes,
+    })
+  })
+  if (progress.length === 0 && goal.progressNotes) {
+    events.push({ key: 'progress-notes', icon: TrendingUp, tone: 'done', title: 'Progress notes', body: goal.progressNotes })
+  }
+
+  // 4. Completion submission
+  events.push(isSubmitted
+    ? {
+        key: 'submitted', icon: Upload, tone: 'done',
+        title: 'Submitted for completion',
+        date: goal.completionSubmittedDate,
+        body: goal.completionNotes,
+        link: goal.evidenceLink,
+        linkLabel: goal.evidenceLinkDescription,
+      }
+    : { key: 'submitted', icon: Upload, tone: 'pending', title: 'Completion submission' })
+
+  // 5. Evidence verification
+  const verification = goal.evidenceVerificationStatus
+  events.push(verification
+    ? {
+        key: 'evidence', icon: FileCheck,
+        tone: verification === 'VERIFIED' ? 'success' : verification === 'REJECTED' ? 'danger' : 'warning',
+        title: `Evidence ${verification.replace(/_/g, ' ').toLowerCase()}`,
+        date: goal.evidenceVerifiedDate,
+        body: goal.evidenceVerificationNotes,
+      }
+    : { key: 'evidence', icon: FileCheck, tone: 'pending', title: 'Evidence verification' })
+
+  // 6. Final approval
+  if (goal.status === 'COMPLETED') {
+    events.push({
+      key: 'final', icon: Award, tone: 'success', title: 'Completion approved',
+      date: goal.completionApprovedDate, body: goal.managerComments,
+    })
+  } else if (goal.status === 'REJECTED' && isSubmitted) {
+    events.push({ key: 'final', icon: XCircle, tone: 'danger', title: 'Completion rejected', body: goal.rejectionReason })
+  } else {
+    events.push({ key: 'final', icon: Award, tone: 'pending', title: 'Final approval' })
+  }
+
+  return events
+}
+
+export default function GoalDetailPage() {
+  const { goalId } = useParams()
+  const navigate = useNavigate()
+  const { user, isAdmin, isManager } = useAuth()
+
+  const [goal, setGoal]         = useState(null)
+  const [progress, setProgress] = useState([])
+  const [loading, setLoading]   = useState(true)
+  const [notFound, setNotFound] = useState(false)
+
+  // Workflow action in progress — 'PROGRESS' | 'SUBMIT_COMPLETION' | 'APPROVE' | ... (see utils/goalWorkflow)
+  const [actionKey, setActionKey] = useState('')
+
+  useEffect(() => { loadGoal() }, [goalId])
+
+  const loadGoal = async () => {
+    setLoading(true)
+    setNotFound(false)
+    try {
+      const [goalRes, progressRes] = await Promise.allSettled([
+        goalService.getGoalById(goalId),
+        goalService.getProgress(goalId),
+      ])
+      if (goalRes.status !== 'fulfilled' || !goalRes.value) {
+        setNotFound(true)
+        return
+      }
+      setGoal(goalRes.value)
+      if (progressRes.status === 'fulfilled') {
+        setProgress(progressRes.value?.content || progressRes.value || [])
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const isMyGoal     = goal?.assignedToUserId === user?.userId
+  const backPath     = isAdmin() ? '/dashboard' : isManager() && !isMyGoal ? '/team-goals' : '/goals'
+
+  // A deleted goal has nothing left to show — go back to the list
+  const handleActionDone = (key) => {
+    if (key === 'DELETE') navigate(backPath)
+    else loadGoal()
+  }
+
+  if (loading) return <Layout title="Goal Details"><LoadingSpinner message="Loading goal..." /></Layout>
+
+  if (notFound) {
+    return (
+      <Layout title="Goal Details">
+        <div className="card text-center py-16">
+          <Target size={48} className="mx-auto mb-3 text-gray-300" />
+          <p className="text-gray-500 font-medium">Goal not found</p>
+          <p className="text-gray-400 text-sm mt-1">It may have been deleted, or you don't have access to it.</p>
+          <button onClick={() => navigate(backPath)} className="btn-secondary mt-4">Back to goals</button>
+        </div>
+      </Layout>
+    )
+  }
+
+  const timeline = buildTimeline(goal, progress)
+
+  return (
+    <Layout title="Goal Details">
+      <button onClick={() => navigate(backPath)}
+        className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1 mb-4">
+        <ArrowLeft size={16} /> Back to goals
+      </button>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* ── Left: Goal summary + actions ── */}
+        <div className="lg:col-span-1 space-y-4">
+          <div className="card">
+            <div className="flex items-center gap-2 flex-wrap mb-2">
+              <StatusBadge status={goal.status} />
+              <span className="text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">{goal.priority}</span>
+            </div>
+            <h2 className="text-lg font-semibold text-gray-900">{goal.title}</h2>
+            {goal.description && <p className="text-sm text-gray-600 mt-2">{goal.description}</p>}
+
+            <dl className="mt-4 space-y-2 text-sm">
+              {[
+                ['Employee', goal.employeeName || `User #${goal.assignedToUserId}`],
+                ['Category', goal.category],
+                ['Start Date', goal.startDate || '—'],
+                ['Due Date', goal.endDate || '—'],
+              ].map(([label, value]) => (
+                <div key={label} className="flex justify-between gap-3">
+                  <dt className="text-gray-500">{label}</dt>
+                  <dd className="text-gray-800 font-medium text-right">{value}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+
+          {/* Progress over the goal's date range */}
+          {progress.some(p => p.progressPercentage != null) && (
+            <div className="card">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="section-title">Progress</h3>
+                <span className="text-sm font-semibold text-blue-600">
+                  {goal.progressPercentage ?? getLatestProgress(progress)}%
+                </span>
+              </div>
+              <ProgressChart entries={progress} startDate={goal.startDate} endDate={goal.endDate} />
+            </div>
+          )}
+
+          {/* Role-based actions */}
+          {!isAdmin() && (
+            <div className="card">
+              <h3 className="section-title mb-3">Actions</h3>
+              {/* Editing happens in the goal form on the Goals page */}
+              <GoalActionButtons goal={goal} user={user} size="block" exclude={['EDIT']}
+                onAction={setActionKey} emptyText="No actions available." />
+            </div>
+          )}
+        </div>
+
+        {/* ── Right: Lifecycle timeline ── */}
+        <div className="lg:col-span-2 card">
+          <h3 className="section-title mb-5">Lifecycle</h3>
+          <ol>
+            {timeline.map((event, i) => {
+              const style = EVENT_STYLES[event.tone]
+              const Icon = event.tone === 'pending' ? Circle : event.icon
+              const isLast = i === timeline.length - 1
+              return (
+                <li key={event.key} className="flex gap-4">
+                  {/* Dot + connecting line */}
+                  <div className="flex flex-col items-center">
+                    <div className={`w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 ${style.dot}`}>
+                      <Icon size={16} />
+                    </div>
+                    {!isLast && <div className={`w-0.5 flex-1 my-1 ${style.line}`} />}
+                  </div>
+
+                  {/* Event content */}
+                  <div className={`flex-1 min-w-0 ${isLast ? '' : 'pb-6'}`}>
+                    <div className="flex items-center gap-3 flex-wrap">
+                      <p className={`text-sm font-medium ${event.tone === 'pending' ? 'text-gray-400' : 'text-gray-800'}`}>
+                        {event.title}
+                      </p>
+                      {formatDate(event.date) && <span className="text-xs text-gray-400">{formatDate(event.date)}</span>}
+                    </div>
+                    {event.body && <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">{event.body}</p>}
+                    {event.link && (
+                      <a href={event.link} target="_blank" rel="noopener noreferrer"
+                        className="text-sm text-blue-600 hover:underline break-all flex items-center gap-1 mt-1">
+                        <Link2 size={14} /> {event.linkLabel || event.link}
+                      </a>
+                    )}
+                  </div>
+                </li>
+              )
+            })}
+          </ol>
+        </div>
+      </div>
+
+      {/* Workflow Action Modal */}
+      <GoalActionModal goal={goal} actionKey={actionKey}
+        context={{ latestProgress: getLatestProgress(progress) }}
+        onClose={() => setActionKey('')} onDone={handleActionDone} />
+    </Layout>
+  )
+}
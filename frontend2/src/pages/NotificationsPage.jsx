@@ -1,16 +1,28 @@
-import React from 'react'
-import { Bell, CheckCheck, Circle } from 'lucide-react'
+import React, { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Bell, CheckCheck, ChevronRight, Circle, RefreshCw } from 'lucide-react'
 import Layout from '../components/layout/Layout'
 import LoadingSpinner from '../components/common/LoadingSpinner'
+import ConnectionStatus from '../components/common/ConnectionStatus'
 import { useNotifications } from '../context/NotificationContext'
-import { formatDistanceToNow } from 'date-fns'
+import { useAuth } from '../context/AuthContext'
+import { getNotificationLink } from '../utils/notificationLinks'
+import { NOTIFICATION_TYPES } from '../utils/notificationPrefs'
+import { formatDistanceToNow, isToday, isYesterday, isThisWeek } from 'date-fns'
 
 // ─── NOTIFICATIONS PAGE ───────────────────────────────────────────────────────
 // Real-time notifications powered by SSE (Server-Sent Events).
 // The NotificationContext already keeps this list updated in real-time.
+// Clicking a notification marks it read and opens the goal / review /
+// feedback item it refers to (see utils/notificationLinks).
+//
+// Older pages load as you scroll (infinite scroll via the context's loadMore);
+// if a page fails, loading stops until the user presses Retry.
+// Filter by type / read state, grouped under Today · Yesterday · This week ·
+// Older, and select several items to mark them read together.
 //
 // APIs Used:
-//   GET /api/v1/notifications                (loaded in context)
+//   GET /api/v1/notifications?page=&size=    (loaded in context, page by page)
 //   PUT /api/v1/notifications/{id}           (mark as read)
 //   PUT /api/v1/notifications/mark-all-read  (mark all)
 //   GET /api/v1/notifications/stream         (SSE — handled in context)
@@ -30,6 +42,19 @@ function getStyle(type) {
   return NOTIF_STYLES[type] || NOTIF_STYLES.DEFAULT
 }
 
+const KNOWN_TYPES = NOTIFICATION_TYPES.map(t => t.value)
+
+const DATE_GROUPS = ['Today', 'Yesterday', 'This week', 'Older']
+
+function getDateGroup(dateString) {
+  const date = dateString ? new Date(dateString) : null
+  if (!date || isNaN(date)) return 'Older'
+  if (isToday(date)) return 'Today'
+  if (isYesterday(date)) return 'Yesterday'
+  if (isThisWeek(date, { weekStartsOn: 1 })) return 'This week'
+  return 'Older'
+}
+
 function timeAgo(dateString) {
   if (!dateString) return ''
   try {
@@ -40,7 +65,78 @@ function timeAgo(dateString) {
 }
 
 export default function NotificationsPage() {
-  const { notifications, unreadCount, loading, markAsRead, markAllAsRead } = useNotifications()
+  const {
+    notifications, unreadCount, loading, loadingMore, loadMoreFailed, hasMore, connectionState,
+    loadMore, markAsRead, markManyAsRead, markAllAsRead,
+  } = useNotifications()
+  const { user } = useAuth()
+  const navigate = useNavigate()
+
+  const [typeFilter, setTypeFilter] = useState('')   // '' = all, 'OTHER' = types not in the list
+  const [readFilter, setReadFilter] = useState('')   // '' | 'UNREAD' | 'READ'
+  const [selected, setSelected]     = useState(new Set())
+  const [marking, setMarking]       = useState(false)
+
+  // ── Infinite scroll: load the next page while the sentinel below the list is visible ──
+  const sentinelRef = useRef(null)
+  const [sentinelVisible, setSentinelVisible] = useState(false)
+
+  useEffect(() => {
+    const el = sentinelRef.current
+    if (!el) return
+    const observer = new IntersectionObserver(([entry]) => setSentinelVisible(entry.isIntersecting), { rootMargin: '200px' })
+    observer.observe(el)
+    return () => observer.disconnect()
+  }, [loading])
+
+  // Re-runs after each page, so a filter that hides most items keeps loading until the screen fills.
+  // Stops after a failed page — the Retry button below takes over.
+  useEffect(() => {
+    if (sentinelVisible && hasMore && !loadingMore && !loadMoreFailed) loadMore()
+  }, [sentinelVisible, hasMore, loadingMore, loadMoreFailed, notifications.length])
+
+  const handleOpen = (notif, link) => {
+    if (notif.status === 'UNREAD') markAsRead(notif.notificationId)
+    if (link) navigate(link)
+  }
+
+  const filtered = notifications.filter(n => {
+    const matchType = !typeFilter ||
+      (typeFilter === 'OTHER' ? !KNOWN_TYPES.includes(n.type) : n.type === typeFilter)
+    const matchRead = !readFilter || n.status === readFilter
+    return matchType && matchRead
+  })
+
+  const groups = DATE_GROUPS
+    .map(label => ({ label, items: filtered.filter(n => getDateGroup(n.createdDate) === label) }))
+    .filter(g => g.items.length > 0)
+
+  // ── Bulk select (only unread items can be selected — read ones have nothing to do) ──
+  const selectableIds = filtered.filter(n => n.status === 'UNREAD').map(n => n.notificationId)
+  const allSelected = selectableIds.length > 0 && selectableIds.every(id => selected.has(id))
+
+  const toggleSelect = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev)
+      next.has(id) ? next.delete(id) : next.add(id)
+      return next
+    })
+  }
+
+  const toggleSelectAll = () => setSelected(allSelected ? new Set() : new Set(selectableIds))
+
+  const handleMarkSelected = async () => {
+    setMarking(true)
+    try {
+      const done = await markManyAsRead([...selected])
+      // Keep the ones that failed selected so they can be retried
+      setSelected(prev => new Set([...prev].filter(id => !done.has(id))))
+    } finally {
+      setMarking(false)
+    }
+  }
+
+  const hasFilters = typeFilter || readFilter
 
   return (
     <Layout title="Notifications">
@@ -52,11 +148,8 @@ export default function NotificationsPage() {
               ? `${unreadCount} unread notification${unreadCount > 1 ? 's' : ''}`
               : 'All caught up!'}
           </h2>
-          {/* Live indicator */}
-          <div className="flex items-center gap-1.5 text-xs text-green-600 bg-green-50 px-2 py-1 rounded-full">
-            <span className="w-1.5 h-1.5 bg-green-500 rounded-full animate-pulse" />
-            Live
-          </div>
+          {/* Stream status (connecting / live / reconnecting / offline) */}
+          <ConnectionStatus state={connectionState} />
         </div>
 
         {unreadCount > 0 && (
@@ -69,68 +162,84 @@ export default function NotificationsPage() {
         )}
       </div>
 
+      {/* Filters + bulk actions */}
+      <div className="flex flex-col sm:flex-row gap-3 mb-4 sm:items-center">
+        <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+          <input type="checkbox" className="w-4 h-4" checked={allSelected}
+            disabled={selectableIds.length === 0} onChange={toggleSelectAll} />
+          Select unread
+        </label>
+        {selected.size > 0 && (
+          <button onClick={handleMarkSelected} disabled={marking}
+            className="btn-primary text-sm py-1.5 flex items-center gap-2">
+            <CheckCheck size={14} />
+            {marking ? 'Marking...' : `Mark ${selected.size} as read`}
+          </button>
+        )}
+        <div className="flex gap-3 sm:ml-auto">
+          <select value={typeFilter} onChange={e => setTypeFilter(e.target.value)} className="input-field w-auto">
+            <option value="">All Types</option>
+            {NOTIFICATION_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+          <select value={readFilter} onChange={e => setReadFilter(e.target.value)} className="input-field w-auto">
+            <option value="">Read & Unread</option>
+            <option value="UNREAD">Unread only</option>
+            <option value="READ">Read only</option>
+          </select>
+        </div>
+      </div>
+
       {/* List */}
       {loading ? (
         <LoadingSpinner message="Loading notifications..." />
-      ) : notifications.length === 0 ? (
+      ) : filtered.length === 0 && !hasMore ? (
         <div className="card text-center py-20">
           <Bell size={48} className="mx-auto mb-3 text-gray-200" />
-          <p className="text-gray-500 font-medium">No notifications yet</p>
+          <p className="text-gray-500 font-medium">
+            {hasFilters ? 'No notifications match these filters' : 'No notifications yet'}
+          </p>
           <p className="text-gray-400 text-sm mt-1">
-            You'll receive real-time notifications here when there's activity on your goals or reviews.
+            {hasFilters
+              ? 'Try a different type or read state.'
+              : "You'll receive real-time notifications here when there's activity on your goals or reviews."}
           </p>
         </div>
       ) : (
-        <div className="space-y-2">
-          {notifications.map((notif) => {
-            const style = getStyle(notif.type)
-            const isUnread = notif.status === 'UNREAD'
-
-            return (
-              <div
-                key={notif.notificationId}
-                onClick={() => isUnread && markAsRead(notif.notificationId)}
-                className={`flex items-start gap-4 p-4 rounded-xl border transition-all cursor-pointer hover:shadow-sm
-                  ${isUnread ? `${style.bg} ${style.border}` : 'bg-white border-gray-100'}`}
-              >
-                {/* Type emoji / unread dot */}
-                <div className="flex-shrink-0 mt-0.5 relative">
-                  <span className="text-2xl">{style.emoji}</span>
-                  {isUnread && (
-                    <span className={`absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full ${style.dot} ring-2 ring-white`} />
-                  )}
-                </div>
-
-                {/* Content */}
-                <div className="flex-1 min-w-0">
-                  <p className={`text-sm ${isUnread ? 'font-semibold text-gray-900' : 'text-gray-700'}`}>
-                    {notif.message}
-                  </p>
-                  <div className="flex items-center gap-3 mt-1.5">
-                    <span className="text-xs text-gray-400">{timeAgo(notif.createdDate)}</span>
-                    {notif.priority === 'HIGH' && (
-                      <span className="text-xs bg-red-100 text-red-600 px-1.5 py-0.5 rounded-full font-medium">
-                        High Priority
-                      </span>
-                    )}
-                    {notif.actionRequired && (
-                      <span className="text-xs bg-orange-100 text-orange-600 px-1.5 py-0.5 rounded-full font-medium">
-                        Action Required
-                      </span>
-                    )}
-                  </div>
-                </div>
-
-                {/* Unread indicator */}
-                {isUnread && (
-                  <div className={`w-2.5 h-2.5 rounded-full ${style.dot} self-center flex-shrink-0`} />
-                )}
+        <div className="space-y-6">
+          {groups.map(group => (
+            <div key={group.label}>
+              <h3 className="text-xs font-semibold text-gray-400 uppercase tracking-wider mb-2">{group.label}</h3>
+              <div className="space-y-2">
+                {group.items.map(notif => (
+                  <NotificationItem
+                    key={notif.notificationId}
+                    notif={notif}
+                    link={getNotificationLink(notif, user?.role)}
+                    selected={selected.has(notif.notificationId)}
+                    onToggleSelect={() => toggleSelect(notif.notificationId)}
+                    onOpen={handleOpen}
+                  />
+                ))}
               </div>
-            )
-          })}
+            </div>
+          ))}
         </div>
       )}
 
+      {/* Infinite scroll sentinel */}
+      {!loading && <div ref={sentinelRef} className="h-1" />}
+      {loadingMore && <LoadingSpinner message="Loading older notifications..." />}
+      {loadMoreFailed && !loadingMore && (
+        <div className="text-center mt-4">
+          <button onClick={loadMore} className="btn-secondary inline-flex items-center gap-2 text-sm">
+            <RefreshCw size={14} /> Retry loading older notifications
+          </button>
+        </div>
+      )}
+      {!loading && !hasMore && notifications.length > 0 && (
+        <p className="text-center text-xs text-gray-400 mt-4">You've reached the end</p>
+      )}
+
       {/* SSE Info Note */}
       <div className="mt-6 bg-gray-50 border border-gray-100 rounded-xl p-4 text-xs text-gray-400 flex items-start gap-2">
         <Bell size={14} className="mt-0.5 flex-shrink-0" />
@@ -142,3 +251,58 @@ export default function NotificationsPage() {
     </Layout>
   )
 }
+
+// ─── NOTIFICATION ITEM ───────────────────────────────────────────────────────
+function NotificationItem({ notif, link, selected, onToggleSelect, onOpen }) {
+  const style = getStyle(notif.type)
+  const isUnread = notif.status === 'UNREAD'
+
+  return (
+    <div
+      onClick={() => onOpen(notif, link)}
+      title={link ? 'Open' : undefined}
+      className={`flex items-start gap-4 p-4 rounded-xl border transition-all hover:shadow-sm
+        ${isUnread || link ? 'cursor-pointer' : ''}
+        ${isUnread ? `${style.bg} ${style.border}` : 'bg-white border-gray-100'}`}
+    >
+      {/* Bulk-select checkbox (unread only) */}
+      <input type="checkbox" className="w-4 h-4 mt-1.5 flex-shrink-0"
+        checked={selected} disabled={!isUnread}
+        onClick={e => e.stopPropagation()} onChange={onToggleSelect} />
+
+      {/* Type emoji / unread dot */}
+      <div className="flex-shrink-0 mt-0.5 relative">
+        <span className="text-2xl">{style.emoji}</span>
+        {isUnread && (
+          <span className={`absolute -top-1 -right-1 w-2.5 h-2.5 rounded-full ${style.dot} ring-2 ring-white`} />
+        )}
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 min-w-0">
+        <p className={`text-sm ${isUnread ? 'font-semibold text-gray-900' : 'text-gray-700'}`}>
+          {notif.message}
+        </p>
+        <div className="flex items-center gap-3 mt-1.5">
+          <span className="text-xs text-gray-400">{timeAgo(notif.createdDate)}</span>
+          {notif.priority === 'HIGH' && (
+            <span className="text-xs bg-red-100 text-red-600 px-1.5 py-0.5 rounded-full font-medium">
+              High Priority
+            </span>
+          )}
+          {notif.actionRequired && (
+            <span className="text-xs bg-orange-100 text-orange-600 px-1.5 py-0.5 rounded-full font-medium">
+              Action Required
+            </span>
+          )}
+        </div>
+      </div>
+
+      {/* Unread indicator */}
+      {isUnread && (
+        <div className={`w-2.5 h-2.5 rounded-full ${style.dot} self-center flex-shrink-0`} />
+      )}
+      {link && <ChevronRight size={16} className="text-gray-300 self-center flex-shrink-0" />}
+    </div>
+  )
+}
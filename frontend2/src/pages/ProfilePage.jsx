@@ -1,8 +1,10 @@
 import React, { useState } from 'react'
-import { User, Lock, Shield, Building, Mail, CheckCircle } from 'lucide-react'
+import { User, Lock, Shield, Building, Mail, CheckCircle, Bell } from 'lucide-react'
 import Layout from '../components/layout/Layout'
 import StatusBadge from '../components/common/StatusBadge'
 import { useAuth } from '../context/AuthContext'
+import { useNotifications } from '../context/NotificationContext'
+import { DELIVERY_MODES, NOTIFICATION_TYPES, desktopNotificationsSupported } from '../utils/notificationPrefs'
 import authService from '../services/authService'
 import toast from 'react-hot-toast'
 
@@ -10,6 +12,7 @@ import toast from 'react-hot-toast'
 // Every user can:
 //   - View their profile info (read-only, managed by admin)
 //   - Change their password
+//   - Choose how each notification type is delivered (mute / list / toast / desktop)
 //
 // API Used:
 //   PUT /api/v1/auth/change-password
@@ -27,6 +30,30 @@ export default function ProfilePage() {
   const [showPasswords, setShowPasswords] = useState(false)
   const [passwordChanged, setPasswordChanged] = useState(false)
 
+  const { preferences, updatePreference } = useNotifications()
+  const [desktopPermission, setDesktopPermission] = useState(
+    desktopNotificationsSupported() ? Notification.permission : 'unsupported'
+  )
+
+  // Desktop needs the browser's permission first — ask when the option is picked
+  const handlePreferenceChange = async (type, mode) => {
+    if (mode === 'DESKTOP') {
+      if (!desktopNotificationsSupported()) {
+        toast.error('This browser does not support desktop notifications')
+        return
+      }
+      const permission = Notification.permission === 'default'
+        ? await Notification.requestPermission()
+        : Notification.permission
+      setDesktopPermission(permission)
+      if (permission !== 'granted') {
+        toast.error('Desktop notifications are blocked — allow them in your browser settings')
+        return
+      }
+    }
+    updatePreference(type, mode)
+  }
+
   const handlePasswordChange = async (e) => {
     e.preventDefault()
     setPasswordChanged(false)
@@ -208,6 +235,46 @@ export default function ProfilePage() {
           </form>
         </div>
 
+        {/* Notification Settings Card */}
+        <div className="card">
+          <div className="flex items-center gap-3 mb-5">
+            <div className="w-9 h-9 bg-blue-100 rounded-xl flex items-center justify-center">
+              <Bell size={18} className="text-blue-600" />
+            </div>
+            <div>
+              <h3 className="font-semibold text-gray-900">Notification Settings</h3>
+              <p className="text-xs text-gray-500">Choose how each kind of notification reaches you</p>
+            </div>
+          </div>
+
+          <div className="divide-y divide-gray-100">
+            {NOTIFICATION_TYPES.map(type => {
+              const mode = preferences[type.value] || 'AUTO'
+              return (
+                <div key={type.value} className="flex items-center justify-between gap-4 py-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-800">{type.label}</p>
+                    <p className="text-xs text-gray-400">{DELIVERY_MODES.find(m => m.value === mode)?.hint}</p>
+                  </div>
+                  <select value={mode} onChange={e => handlePreferenceChange(type.value, e.target.value)}
+                    className="input-field w-36">
+                    {DELIVERY_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                  </select>
+                </div>
+              )
+            })}
+          </div>
+
+          {desktopPermission === 'denied' && (
+            <p className="text-xs text-orange-600 mt-3">
+              Desktop notifications are blocked by your browser — those types will show as toasts instead.
+            </p>
+          )}
+          {desktopPermission === 'unsupported' && (
+            <p className="text-xs text-gray-400 mt-3">This browser doesn't support desktop notifications.</p>
+          )}
+        </div>
+
         {/* Security Tips for freshers */}
         <div className="bg-blue-50 border border-blue-100 rounded-xl p-4">
           <p className="text-sm font-semibold text-blue-800 mb-2">🔒 Security Tips</p>
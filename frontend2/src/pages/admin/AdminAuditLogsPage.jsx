@@ -4,6 +4,7 @@ import Layout from '../../components/layout/Layout'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import Pagination from '../../components/common/Pagination'
 import auditService from '../../services/auditService'
+import { downloadBlob, toCsv, fileDateStamp } from '../../utils/download'
 import toast from 'react-hot-toast'
 
 // ─── AUDIT LOGS PAGE ──────────────────────────────────────────────────────────
@@ -12,7 +13,10 @@ import toast from 'react-hot-toast'
 //
 // APIs Used:
 //   GET  /api/v1/audit-logs?userId=&action=&startDt=&endDt=&page=&size=
-//   POST /api/v1/audit-logs/export
+//   POST /api/v1/audit-logs/export   (records the export + row count)
+//
+// Export downloads exactly the filtered set (server filters + the text search)
+// as CSV or JSON. Every page is fetched in turn so large ranges are complete.
 // ─────────────────────────────────────────────────────────────────────────────
 
 // Color coding for different action types
@@ -37,10 +41,51 @@ function getActionColor(action) {
   return key ? ACTION_COLORS[key] : 'bg-gray-100 text-gray-600'
 }
 
+// UI filters → backend params: userId (Integer), action (String), startDt/endDt (ISO DateTime)
+function toApiFilters(filters) {
+  const apiFilters = {}
+  if (filters.userId)   apiFilters.userId  = parseInt(filters.userId)
+  if (filters.action)   apiFilters.action  = filters.action
+  if (filters.dateFrom) apiFilters.startDt = filters.dateFrom + 'T00:00:00'
+  if (filters.dateTo)   apiFilters.endDt   = filters.dateTo   + 'T23:59:59'
+  return apiFilters
+}
+
+// Client-side text search on the server-filtered results
+// AuditLog entity serializes as nested 'user' object: log.user.userId, log.user.name
+function matchesSearch(log, search) {
+  if (!search) return true
+  const q = search.toLowerCase()
+  const userId = log.user?.userId ?? log.userId
+  return (
+    log.action?.toLowerCase().includes(q) ||
+    log.details?.toLowerCase().includes(q) ||
+    String(userId ?? '').includes(q) ||
+    log.user?.name?.toLowerCase().includes(q)
+  )
+}
+
+const EXPORT_COLUMNS = ['Timestamp', 'User ID', 'User Name', 'Action', 'Details', 'Entity Type', 'Entity ID', 'IP Address', 'Status']
+
+// One flat row per log — shared by the CSV and JSON exports so both hold the same data
+const toExportRow = (log) => [
+  log.timestamp ?? '',
+  log.user?.userId ?? log.userId ?? '',
+  log.user?.name ?? '',
+  log.action ?? '',
+  log.details ?? '',
+  log.relatedEntityType ?? '',
+  log.relatedEntityId ?? '',
+  log.ipAddress ?? '',
+  log.status || 'SUCCESS',
+]
+
 export default function AuditLogsPage() {
   const [logs, setLogs] = useState([])
   const [loading, setLoading] = useState(true)
   const [exporting, setExporting] = useState(false)
+  const [exportFormat, setExportFormat] = useState('CSV')
+  const [exportProgress, setExportProgress] = useState(null)  // { fetched, total } while paging
   const [page, setPage] = useState(0)
   const [totalPages, setTotalPages] = useState(0)
   const [totalElements, setTotalElements] = useState(0)
@@ -59,14 +104,7 @@ export default function AuditLogsPage() {
   const loadLogs = async () => {
     setLoading(true)
     try {
-      const apiFilters = {}
-      // Backend params: userId (Integer), action (String), startDt/endDt (ISO DateTime)
-      if (filters.userId)   apiFilters.userId  = parseInt(filters.userId)
-      if (filters.action)   apiFilters.action  = filters.action
-      if (filters.dateFrom) apiFilters.startDt = filters.dateFrom + 'T00:00:00'
-      if (filters.dateTo)   apiFilters.endDt   = filters.dateTo   + 'T23:59:59'
-
-      const data = await auditService.getAuditLogs(page, 20, apiFilters)
+      const data = await auditService.getAuditLogs(page, 20, toApiFilters(filters))
       const list = data?.content || data || []
       setLogs(list)
       setTotalPages(data?.totalPages || 1)
@@ -90,29 +128,41 @@ export default function AuditLogsPage() {
 
   const handleExport = async () => {
     setExporting(true)
+    setExportProgress({ fetched: 0, total: totalElements })
     try {
-      await auditService.exportAuditLogs(filters)
-      toast.success('Audit logs exported!')
+      const apiFilters = toApiFilters(filters)
+      const allLogs = await auditService.getAllAuditLogs(apiFilters, (fetched, total) =>
+        setExportProgress({ fetched, total }))
+      const rows = allLogs.filter(log => matchesSearch(log, filters.search)).map(toExportRow)
+
+      const blob = exportFormat === 'CSV'
+        ? new Blob([toCsv([EXPORT_COLUMNS, ...rows])], { type: 'text/csv;charset=utf-8' })
+        : new Blob([JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            filters: { ...apiFilters, search: filters.search || undefined },
+            rowCount: rows.length,
+            logs: rows.map(row => Object.fromEntries(EXPORT_COLUMNS.map((col, i) => [col, row[i]]))),
+          }, null, 2)], { type: 'application/json' })
+      downloadBlob(blob, `audit-logs-${fileDateStamp()}.${exportFormat.toLowerCase()}`)
+
+      // Record the export (and how many rows it held) in the audit trail itself
+      try {
+        await auditService.exportAuditLogs({
+          ...apiFilters, search: filters.search || undefined, format: exportFormat, rowCount: rows.length,
+        })
+      } catch {
+        toast.error('File downloaded, but the export could not be recorded')
+      }
+      toast.success(`Exported ${rows.length} audit log ${rows.length === 1 ? 'entry' : 'entries'} as ${exportFormat}`)
     } catch (err) {
       toast.error(err.response?.data?.msg || 'Export failed')
     } finally {
       setExporting(false)
+      setExportProgress(null)
     }
   }
 
-  // Client-side text search on the server-filtered results
-  // AuditLog entity serializes as nested 'user' object: log.user.userId, log.user.name
-  const filtered = logs.filter(log => {
-    if (!filters.search) return true
-    const q = filters.search.toLowerCase()
-    const userId = log.user?.userId ?? log.userId
-    return (
-      log.action?.toLowerCase().includes(q) ||
-      log.details?.toLowerCase().includes(q) ||
-      String(userId ?? '').includes(q) ||
-      log.user?.name?.toLowerCase().includes(q)
-    )
-  })
+  const filtered = logs.filter(log => matchesSearch(log, filters.search))
 
   function formatDate(dateString) {
     if (!dateString) return '—'
@@ -139,10 +189,17 @@ export default function AuditLogsPage() {
           <button onClick={handleApplyFilters} className="btn-primary px-4 flex items-center gap-2 whitespace-nowrap">
             <Filter size={16} /> Apply Filters
           </button>
+          <select value={exportFormat} onChange={e => setExportFormat(e.target.value)}
+            className="input-field w-auto" title="Export format">
+            <option value="CSV">CSV</option>
+            <option value="JSON">JSON</option>
+          </select>
           <button onClick={handleExport} disabled={exporting}
             className="btn-secondary flex items-center gap-2 whitespace-nowrap">
             <Download size={16} />
-            {exporting ? 'Exporting...' : 'Export'}
+            {exporting
+              ? `Exporting${exportProgress?.total ? ` ${exportProgress.fetched}/${exportProgress.total}` : ''}...`
+              : 'Export'}
           </button>
           <button onClick={loadLogs} className="btn-secondary p-2" title="Refresh">
             <RefreshCw size={16} />
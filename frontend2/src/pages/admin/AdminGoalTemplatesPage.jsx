@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react'
+import { Plus, LayoutTemplate, Edit2, Trash2, Clock, Building2 } from 'lucide-react'
+import Layout from '../../components/layout/Layout'
+import Modal from '../../components/common/Modal'
+import LoadingSpinner from '../../components/common/LoadingSpinner'
+import goalTemplateService from '../../services/goalTemplateService'
+import userService from '../../services/userService'
+import { normalizeTemplate, DEFAULT_TEMPLATE_DURATION } from '../../utils/goalTemplates'
+import { GOAL_CATEGORIES, GOAL_PRIORITIES } from '../../utils/goalWorkflow'
+import toast from 'react-hot-toast'
+
+// ─── GOAL TEMPLATES PAGE ──────────────────────────────────────────────────────
+// ADMIN ONLY — Maintain the goal templates employees can start a goal from
+// (EmployeeGoalsPage → "Start from template"). A template without a department
+// is offered to everyone.
+// APIs Used:
+//   GET    /api/v1/goal-templates
+//   POST   /api/v1/goal-templates
+//   PUT    /api/v1/goal-templates/{id}
+//   DELETE /api/v1/goal-templates/{id}
+//   GET    /api/v1/users                 (department suggestions)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const PRIORITY_COLORS = { CRITICAL: 'text-red-600 font-bold', HIGH: 'text-orange-500', MEDIUM: 'text-yellow-600', LOW: 'text-green-600' }
+
+const EMPTY_FORM = {
+  title: '', description: '', category: 'TECHNICAL', priority: 'MEDIUM',
+  department: '', durationDays: DEFAULT_TEMPLATE_DURATION,
+}
+
+export default function GoalTemplatesPage() {
+  const [templates, setTemplates] = useState([])
+  const [departments, setDepartments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [categoryFilter, setCategoryFilter] = useState('')
+  const [showModal, setShowModal] = useState(false)
+  const [editTemplate, setEditTemplate] = useState(null)
+  const [deletingTemplate, setDeletingTemplate] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const [form, setForm] = useState(EMPTY_FORM)
+
+  useEffect(() => {
+    loadTemplates()
+    loadDepartments()
+  }, [])
+
+  const loadTemplates = async () => {
+    setLoading(true)
+    try {
+      const data = await goalTemplateService.getTemplates()
+      setTemplates((data?.content || data || []).map(normalizeTemplate))
+    } catch {
+      toast.error('Failed to load goal templates')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Departments already in use, offered as suggestions in the form
+  const loadDepartments = async () => {
+    try {
+      const data = await userService.getAllUsers(0, 500)
+      const list = data?.content || data || []
+      setDepartments([...new Set(list.map(u => u.department).filter(Boolean))].sort())
+    } catch { /* suggestions only */ }
+  }
+
+  const openCreate = () => {
+    setEditTemplate(null)
+    setForm(EMPTY_FORM)
+    setShowModal(true)
+  }
+
+  const openEdit = (template) => {
+    setEditTemplate(template)
+    setForm({
+      title: template.title,
+      description: template.description,
+      category: template.category,
+      priority: template.priority,
+      department: template.department,
+      durationDays: template.durationDays,
+    })
+    setShowModal(true)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.title.trim()) {
+      toast.error('Title is required')
+      return
+    }
+    if (!(Number(form.durationDays) > 0)) {
+      toast.error('Default duration must be at least 1 day')
+      return
+    }
+    setSubmitting(true)
+    try {
+      if (editTemplate) {
+        await goalTemplateService.updateTemplate(editTemplate.templateId, form)
+        toast.success('Template updated!')
+      } else {
+        await goalTemplateService.createTemplate(form)
+        toast.success('Template created!')
+      }
+      setShowModal(false)
+      loadTemplates()
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Operation failed')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    setSubmitting(true)
+    try {
+      await goalTemplateService.deleteTemplate(deletingTemplate.templateId)
+      toast.success('Template deleted')
+      setDeletingTemplate(null)
+      loadTemplates()
+    } catch (err) {
+      toast.error(err.response?.data?.msg || 'Failed to delete template')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const filtered = categoryFilter ? templates.filter(t => t.category === categoryFilter) : templates
+
+  return (
+    <Layout title="Goal Templates">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+        <p className="text-sm text-gray-500">
+          Reusable goals per category and department. Employees can start a new goal from any template for their department.
+        </p>
+        <div className="flex gap-3">
+          <select className="input-field w-56" value={categoryFilter} onChange={e => setCategoryFilter(e.target.value)}>
+            <option value="">All categories</option>
+            {GOAL_CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <button onClick={openCreate} className="btn-primary flex items-center gap-2 whitespace-nowrap">
+            <Plus size={18} /> New Template
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : filtered.length === 0 ? (
+        <div className="card text-center py-16">
+          <LayoutTemplate size={48} className="mx-auto mb-3 text-gray-300" />
+          <p className="text-gray-500">{templates.length === 0 ? 'No goal templates created yet' : 'No templates in this category'}</p>
+          {templates.length === 0 && (
+            <button onClick={openCreate} className="btn-primary mt-4">Create First Template</button>
+          )}
+        </div>
+      ) : (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+          {filtered.map(template => (
+            <div key={template.templateId} className="card hover:shadow-md transition-shadow flex flex-col">
+              <div className="flex items-start justify-between mb-3">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-700">{template.category}</span>
+                  <span className={`text-xs font-semibold ${PRIORITY_COLORS[template.priority] || 'text-gray-600'}`}>{template.priority}</span>
+                </div>
+                <div className="flex gap-1">
+                  <button onClick={() => openEdit(template)} className="text-gray-400 hover:text-gray-600 p-1" title="Edit">
+                    <Edit2 size={16} />
+                  </button>
+                  <button onClick={() => setDeletingTemplate(template)} className="text-gray-400 hover:text-red-600 p-1" title="Delete">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </div>
+              <h3 className="font-semibold text-gray-900 mb-1">{template.title}</h3>
+              {template.description && (
+                <p className="text-sm text-gray-500 line-clamp-3 whitespace-pre-line mb-3">{template.description}</p>
+              )}
+              <div className="mt-auto flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500">
+                <span className="flex items-center gap-1">
+                  <Building2 size={12} /> {template.department || 'All departments'}
+                </span>
+                <span className="flex items-center gap-1">
+                  <Clock size={12} /> {template.durationDays} days
+                </span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Create/Edit Modal */}
+      <Modal isOpen={showModal} onClose={() => setShowModal(false)}
+        title={editTemplate ? 'Edit Goal Template' : 'Create Goal Template'} size="lg">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="form-label">Title *</label>
+            <input className="input-field" value={form.title}
+              onChange={e => setForm({ ...form, title: e.target.value })}
+              placeholder="e.g., Earn a cloud certification" />
+          </div>
+          <div>
+            <label className="form-label">Description Skeleton</label>
+            <textarea className="input-field" rows={5} value={form.description}
+              onChange={e => setForm({ ...form, description: e.target.value })}
+              placeholder={'Outcome: …\nHow I will measure it: …\nSupport I need: …'} />
+            <p className="text-xs text-gray-400 mt-1">Employees see this as the starting text of the goal description.</p>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Category</label>
+              <select className="input-field" value={form.category}
+                onChange={e => setForm({ ...form, category: e.target.value })}>
+                {GOAL_CATEGORIES.map(c => <option key={c}>{c}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Suggested Priority</label>
+              <select className="input-field" value={form.priority}
+                onChange={e => setForm({ ...form, priority: e.target.value })}>
+                {GOAL_PRIORITIES.map(p => <option key={p}>{p}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Department</label>
+              <input className="input-field" list="template-departments" value={form.department}
+                onChange={e => setForm({ ...form, department: e.target.value })}
+                placeholder="Leave empty for all departments" />
+              <datalist id="template-departments">
+                {departments.map(d => <option key={d} value={d} />)}
+              </datalist>
+            </div>
+            <div>
+              <label className="form-label">Default Duration (days)</label>
+              <input type="number" min={1} className="input-field" value={form.durationDays}
+                onChange={e => setForm({ ...form, durationDays: e.target.value })} />
+            </div>
+          </div>
+          <div className="flex gap-3 pt-2">
+            <button type="button" onClick={() => setShowModal(false)} className="btn-secondary flex-1">Cancel</button>
+            <button type="submit" disabled={submitting} className="btn-primary flex-1">
+              {submitting ? 'Saving...' : editTemplate ? 'Update Template' : 'Create Template'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Delete Confirmation */}
+      <Modal isOpen={!!deletingTemplate} onClose={() => setDeletingTemplate(null)} title="Delete Goal Template">
+        <p className="text-sm text-gray-600 mb-4">
+          Delete <span className="font-medium text-gray-800">{deletingTemplate?.title}</span>?
+          Goals already created from it are not affected.
+        </p>
+        <div className="flex gap-3">
+          <button onClick={() => setDeletingTemplate(null)} className="btn-secondary flex-1">Cancel</button>
+          <button onClick={handleDelete} disabled={submitting} className="btn-danger flex-1">
+            {submitting ? 'Deleting...' : 'Delete'}
+          </button>
+        </div>
+      </Modal>
+    </Layout>
+  )
+}
@@ -6,7 +6,12 @@ import {
 } from 'recharts'
 import Layout from '../../components/layout/Layout'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
+import ReportHistory from '../../components/reports/ReportHistory'
+import KeyResultsCard from '../../components/reports/KeyResultsCard'
 import reportService from '../../services/reportService'
+import goalService from '../../services/goalService'
+import { getGoalStatusData, getDeptData, getRatingData, getCompletionRate, withKeyResults } from '../../utils/reportData'
+import { EXPORT_FORMATS, downloadGeneratedReport } from '../../utils/reportExport'
 import toast from 'react-hot-toast'
 
 const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4', '#f97316']
@@ -31,6 +36,8 @@ export default function AdminReportsPage() {
   const [loading, setLoading]             = useState(true)
   const [generating, setGenerating]       = useState(false)
   const [activeTab, setActiveTab]         = useState('overview')
+  const [generatedCount, setGeneratedCount] = useState(0)  // bumps the history list after each generate
+  const [reportFormat, setReportFormat]     = useState('JSON')  // JSON = snapshot only, no download
 
   useEffect(() => { loadAll() }, [])
 
@@ -44,7 +51,11 @@ export default function AdminReportsPage() {
         reportService.getDepartmentPerformance(),
       ])
       if (dash.status === 'fulfilled')  setDashboard(dash.value?.data || dash.value)
-      if (goals.status === 'fulfilled') setGoalAnalytics(goals.value?.data || goals.value)
+      if (goals.status === 'fulfilled') {
+        const analytics = goals.value?.data || goals.value
+        setGoalAnalytics(analytics)
+        if (analytics && !analytics.keyResults) loadKeyResults(analytics)
+      }
       if (perf.status === 'fulfilled')  setPerfSummary(perf.value?.data || perf.value)
       if (dept.status === 'fulfilled')  setDeptPerformance(dept.value?.data || dept.value)
     } catch {
@@ -54,72 +65,46 @@ export default function AdminReportsPage() {
     }
   }
 
+  // Key-result roll-up from every goal — only when the backend's goal analytics
+  // don't include one, as it walks the whole goal list. Runs after the rest of
+  // the page is shown; a failed list leaves the card empty rather than partial.
+  const loadKeyResults = async (analytics) => {
+    try {
+      const list = await goalService.getAllGoals()
+      setGoalAnalytics(prev => (prev === analytics ? withKeyResults(analytics, list) : prev))
+    } catch {/* no roll-up */}
+  }
+
   const handleGenerateReport = async (scope) => {
     setGenerating(true)
     try {
-      await reportService.generateReport(scope, 'JSON')
-      toast.success(`${scope} report generated!`)
+      const report = await reportService.generateReport(scope, reportFormat)
+      setGeneratedCount(c => c + 1)
+      if (EXPORT_FORMATS.includes(reportFormat)) {
+        await downloadGeneratedReport(report, reportFormat, scope, { dashboard, goalAnalytics, perfSummary, deptPerformance })
+        toast.success(`${scope} report downloaded as ${reportFormat}`)
+      } else {
+        toast.success(`${scope} report generated!`)
+      }
     } catch (err) {
-      toast.error(err.response?.data?.msg || 'Report generation failed')
+      toast.error(err.response?.data?.msg || err.message || 'Report generation failed')
     } finally {
       setGenerating(false)
     }
   }
 
-  // Goal status data
-  const goalStatusData = goalAnalytics
-    ? [
-        { name: 'Pending',            value: goalAnalytics.pending || 0 },
-        { name: 'In Progress',        value: goalAnalytics.inProgress || 0 },
-        { name: 'Pending Completion', value: goalAnalytics.pendingCompletion || 0 },
-        { name: 'Completed',          value: goalAnalytics.completed || 0 },
-        { name: 'Rejected',           value: goalAnalytics.rejected || 0 },
-      ].filter(d => d.value > 0)
-    : dashboard
-      ? [
-          { name: 'Completed',   value: dashboard.completedGoals || 0 },
-          { name: 'In Progress', value: dashboard.inProgressGoals || 0 },
-          { name: 'Pending',     value: dashboard.pendingGoals || 0 },
-          { name: 'Rejected',    value: dashboard.rejectedGoals || 0 },
-        ].filter(d => d.value > 0)
-      : []
-
-  // Department data
-  const deptData = Array.isArray(deptPerformance)
-    ? deptPerformance.map(d => ({
-        dept: (d.department || '').length > 12 ? d.department.substring(0, 12) + '…' : (d.department || ''),
-        avgRating: +(d.avgRating || 0).toFixed(2),
-        completedGoals: d.completedGoals || 0,
-        employeeCount: d.employeeCount || 0,
-      }))
-    : deptPerformance?.departments
-      ? Object.entries(deptPerformance.departments).map(([dept, data]) => ({
-          dept: dept.length > 12 ? dept.substring(0, 12) + '…' : dept,
-          avgRating: +(data.avgRating || 0).toFixed(2),
-          completedGoals: data.completedGoals || 0,
-          employeeCount: data.employeeCount || 0,
-        }))
-      : []
-
-  // Rating data
-  const ratingDistribution = perfSummary?.ratingDistribution
-    ? Object.entries(perfSummary.ratingDistribution).map(([rating, count]) => ({ rating: `${rating}★`, count }))
-    : perfSummary?.avgSelfRating != null || perfSummary?.avgManagerRating != null
-      ? [
-          { rating: 'Avg Self Rating',    count: +(perfSummary.avgSelfRating || 0).toFixed(2) },
-          { rating: 'Avg Manager Rating', count: +(perfSummary.avgManagerRating || 0).toFixed(2) },
-        ].filter(d => d.count > 0)
-      : []
-
-  const completionRate = dashboard?.totalGoals
-    ? Math.round((dashboard.completedGoals / dashboard.totalGoals) * 100)
-    : null
+  // Chart data (shared helpers — the generated-report history renders snapshots the same way)
+  const goalStatusData     = getGoalStatusData(goalAnalytics, dashboard)
+  const deptData           = getDeptData(deptPerformance)
+  const ratingDistribution = getRatingData(perfSummary)
+  const completionRate     = getCompletionRate(dashboard)
 
   const tabs = [
     { id: 'overview',     label: 'Overview' },
     { id: 'goals',        label: 'Goal Analytics' },
     { id: 'performance',  label: 'Performance Summary' },
     { id: 'departments',  label: 'Departments' },
+    { id: 'history',      label: 'Generated Reports' },
   ]
 
   if (loading) return <Layout title="Reports & Analytics"><LoadingSpinner message="Loading analytics..." /></Layout>
@@ -135,6 +120,10 @@ export default function AdminReportsPage() {
             {generating ? 'Generating...' : `Generate ${scope} Report`}
           </button>
         ))}
+        <select value={reportFormat} onChange={e => setReportFormat(e.target.value)}
+          className="input-field w-auto text-sm" title="Report format">
+          {['JSON', ...EXPORT_FORMATS].map(f => <option key={f} value={f}>{f}</option>)}
+        </select>
         <button onClick={loadAll} className="btn-secondary p-2 ml-auto"><RefreshCw size={16} /></button>
       </div>
 
@@ -259,6 +248,8 @@ export default function AdminReportsPage() {
             </div>
           )}
 
+          <KeyResultsCard summary={goalAnalytics?.keyResults} color={COLORS[0]} />
+
           {/* Completion Rate */}
           {completionRate !== null && (
             <div className="card">
@@ -300,10 +291,10 @@ export default function AdminReportsPage() {
               <ResponsiveContainer width="100%" height={300}>
                 <BarChart data={ratingDistribution}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-                  <XAxis dataKey="rating" />
+                  <XAxis dataKey="name" />
                   <YAxis domain={[0, 5]} />
                   <Tooltip />
-                  <Bar dataKey="count" name="Rating (out of 5)" fill="#3b82f6" radius={[4, 4, 0, 0]} />
+                  <Bar dataKey="value" name="Rating (out of 5)" fill="#3b82f6" radius={[4, 4, 0, 0]} />
                 </BarChart>
               </ResponsiveContainer>
             </div>
@@ -381,6 +372,11 @@ export default function AdminReportsPage() {
           )}
         </div>
       )}
+
+      {/* Generated Reports Tab — getAllReports() / getReportById() */}
+      {activeTab === 'history' && (
+        <ReportHistory colors={COLORS} refreshKey={generatedCount} />
+      )}
     </Layout>
   )
 }
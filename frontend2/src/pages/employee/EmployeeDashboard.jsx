@@ -137,7 +137,7 @@ export default function EmployeeDashboard() {
               {recentGoals.slice(0, 5).map(goal => (
                 <div key={goal.goalId}
                   className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 cursor-pointer transition-colors"
-                  onClick={() => navigate('/goals')}>
+                  onClick={() => navigate(`/goals/${goal.goalId}`)}>
                   <div className="flex-1 min-w-0">
                     <p className="text-sm font-medium text-gray-800 truncate">{goal.title}</p>
                     <p className="text-xs text-gray-500 mt-0.5">{goal.category} · Due {goal.endDate || 'No deadline'}</p>
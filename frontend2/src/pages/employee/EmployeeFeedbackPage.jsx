@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import { MessageSquare, Search, RefreshCw, Star, ThumbsUp, Wrench, Info } from 'lucide-react'
 import Layout from '../../components/layout/Layout'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
@@ -36,9 +37,20 @@ export default function EmployeeFeedbackPage() {
   const [loading, setLoading]       = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
   const [typeFilter, setTypeFilter] = useState('')
+  // Deep link from a notification: /feedback?feedbackId=123 highlights that item
+  const [searchParams] = useSearchParams()
+  const linkedId = searchParams.get('feedbackId')
 
   useEffect(() => { loadFeedback() }, [])
 
+  // Once loaded, scroll to the linked item — or say it's gone
+  useEffect(() => {
+    if (loading || !linkedId) return
+    const el = document.getElementById(`feedback-${linkedId}`)
+    if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    else toast.error('That feedback item is no longer available')
+  }, [loading, linkedId])
+
   const loadFeedback = async () => {
     setLoading(true)
     try {
@@ -115,7 +127,9 @@ export default function EmployeeFeedbackPage() {
             return (
               <div
                 key={fb.feedbackId || idx}
-                className={`rounded-xl border p-5 ${style.bg} ${style.border} transition-all hover:shadow-sm`}
+                id={fb.feedbackId ? `feedback-${fb.feedbackId}` : undefined}
+                className={`rounded-xl border p-5 ${style.bg} ${style.border} transition-all hover:shadow-sm
+                  ${linkedId && String(fb.feedbackId) === linkedId ? 'ring-2 ring-blue-400' : ''}`}
               >
                 <div className="flex items-start gap-4">
                   {/* Type icon */}
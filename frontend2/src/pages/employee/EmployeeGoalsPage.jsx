@@ -1,28 +1,50 @@
 import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
 import {
-  Plus, Search, Filter, ChevronDown, Target, Edit2,
-  Trash2, CheckCircle, XCircle, MessageSquare, Upload,
-  Eye, TrendingUp, MoreVertical
+  Plus, Search, Filter, ChevronDown, Target, MoreVertical, ArrowRightCircle,
+  LayoutList, GanttChart,
 } from 'lucide-react'
 import Layout from '../../components/layout/Layout'
 import Modal from '../../components/common/Modal'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import StatusBadge from '../../components/common/StatusBadge'
 import Pagination from '../../components/common/Pagination'
+import ProgressChart from '../../components/common/ProgressChart'
+import GoalActionButtons from '../../components/goals/GoalActionButtons'
+import GoalActionModal from '../../components/goals/GoalActionModal'
+import GoalTimeline from '../../components/goals/GoalTimeline'
+import SmartGoalWizard from '../../components/goals/SmartGoalWizard'
+import CarryForwardModal from '../../components/goals/CarryForwardModal'
 import { useAuth } from '../../context/AuthContext'
 import goalService from '../../services/goalService'
 import userService from '../../services/userService'
+import goalTemplateService from '../../services/goalTemplateService'
+import { reviewCycleService } from '../../services/reviewService'
+import { useGoalFilters } from '../../hooks/useGoalFilters'
+import { normalizeTemplate, getTemplatesForDepartment, applyTemplate } from '../../utils/goalTemplates'
+import { canCarryForward, getCarriedFromId, getCarriedToId } from '../../utils/carryForward'
+import { getBudgetWeight, getGoalWeight, isGoalInCycle, validateGoalWeight } from '../../utils/goalWeights'
+import {
+  getKeyResults, getKeyResultProgress, getKeyResultsProgress, validateKeyResults,
+} from '../../utils/keyResults'
+import { getLatestProgress } from '../../utils/progressEntries'
+import { GOAL_STATUSES, GOAL_STATUS_LABELS, GOAL_CATEGORIES, GOAL_PRIORITIES } from '../../utils/goalWorkflow'
 import toast from 'react-hot-toast'
 
 // ─── GOALS PAGE ───────────────────────────────────────────────────────────────
 // Full 7-phase goal lifecycle management.
 //
-// EMPLOYEE can:  Create goal, update (when PENDING), add progress, submit completion
+// EMPLOYEE can:  Create goal, edit (when PENDING or changes requested), add progress, submit completion
 // MANAGER can:   Approve/reject goal, request changes, verify evidence, approve/reject completion
 // ADMIN can:     View all goals
 //
+// Which actions a goal offers, and what each one asks for, comes from
+// utils/goalWorkflow (GoalActionButtons + GoalActionModal).
+//
 // APIs Used:
 //   GET    /api/v1/goals
+//   GET    /api/v1/goal-templates          ("Start from template")
+//   GET    /api/v1/review-cycles/active    (SMART check: dates inside the cycle)
 //   POST   /api/v1/goals
 //   PUT    /api/v1/goals/{id}
 //   DELETE /api/v1/goals/{id}
@@ -33,55 +55,56 @@ import toast from 'react-hot-toast'
 //   POST   /api/v1/goals/{id}/reject-completion
 //   POST   /api/v1/goals/{id}/progress
 //   PUT    /api/v1/goals/{id}/evidence/verify
+//   POST   /api/v1/goals/{id}/carry-forward
 // ─────────────────────────────────────────────────────────────────────────────
 
-// Goal categories and priorities from the backend enums
-const GOAL_CATEGORIES = ['TECHNICAL', 'BEHAVIORAL', 'PROFESSIONAL_DEVELOPMENT', 'OTHER']
-const GOAL_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']
-
 export default function GoalsPage() {
   const { user, isAdmin, isManager, isEmployee } = useAuth()
 
   // ─── State ────────────────────────────────────────────────────────────────
   const [goals, setGoals] = useState([])
   const [managers, setManagers] = useState([])   // For the "assign manager" dropdown
+  const [templates, setTemplates] = useState([]) // Goal templates for the employee's department
+  const [activeCycle, setActiveCycle] = useState(null)   // Goal dates should fall inside it
+  const [cycleGoals, setCycleGoals] = useState([])       // My goals in the active cycle (weight budget)
   const [loading, setLoading] = useState(true)
-  const [page, setPage] = useState(0)
   const [totalPages, setTotalPages] = useState(0)
   const [totalElements, setTotalElements] = useState(0)
-  const [statusFilter, setStatusFilter] = useState('')
-  const [priorityFilter, setPriorityFilter] = useState('')
-  const [categoryFilter, setCategoryFilter] = useState('')
-  const [searchTerm, setSearchTerm] = useState('')
+  // Filters + page live in the URL (shareable) and are applied by the backend
+  const { filters, page, searchInput, setSearchInput, setFilter, setPage, clearFilters, hasActiveFilters } = useGoalFilters()
+  const [view, setView] = useState('list')  // 'list' | 'timeline'
 
   // Modal visibility toggles
   const [showCreateModal, setShowCreateModal] = useState(false)
-  const [showProgressModal, setShowProgressModal] = useState(false)
-  const [showCompletionModal, setShowCompletionModal] = useState(false)
-  const [showActionModal, setShowActionModal] = useState(false)  // for approve/reject
-  const [showEvidenceModal, setShowEvidenceModal] = useState(false)
+  const [editingGoal, setEditingGoal] = useState(null)  // set when the create modal is used to edit
+
+  // Workflow action in progress (see utils/goalWorkflow)
   const [selectedGoal, setSelectedGoal] = useState(null)
-  const [actionType, setActionType] = useState('')  // 'APPROVE' | 'REJECT' | 'REQUEST_CHANGES' | etc.
+  const [actionKey, setActionKey] = useState('')        // 'APPROVE' | 'REQUEST_CHANGES' | 'PROGRESS' | etc.
+  const [actionContext, setActionContext] = useState({})
+
+  // Unfinished goal being carried forward into the active review cycle
+  const [carryGoal, setCarryGoal] = useState(null)
 
   // Form states
   const [goalForm, setGoalForm] = useState({
     title: '', description: '', category: 'TECHNICAL', priority: 'MEDIUM',
-    startDate: '', endDate: '', assignedManagerId: ''
+    startDate: '', endDate: '', assignedManagerId: '', keyResults: [], weight: ''
   })
-  const [progressForm, setProgressForm] = useState({ notes: '', progressPercentage: 50 })
-  const [completionForm, setCompletionForm] = useState({
-    completionNotes: '', evidenceLink: '', evidenceLinkDescription: ''
-  })
-  const [actionForm, setActionForm] = useState({ comments: '', message: '' })
-  const [evidenceForm, setEvidenceForm] = useState({ verificationStatus: 'VERIFIED', notes: '' })
   const [submitting, setSubmitting] = useState(false)
 
   // ─── Load Data ────────────────────────────────────────────────────────────
-  useEffect(() => { loadGoals() }, [page])
+  useEffect(() => { loadGoals() }, [page, filters.search, filters.status, filters.priority, filters.category])
 
   useEffect(() => {
     // Load managers list for the "create goal" form (employees need to pick a manager)
-    if (isEmployee()) loadManagers()
+    if (isEmployee()) {
+      loadManagers()
+      loadTemplates()
+      reviewCycleService.getActiveCycle()
+        .then(data => setActiveCycle(data?.data || data))
+        .catch(() => {/* no active cycle — the cycle check is skipped */})
+    }
   }, [])
 
   // Auto-populate assignedManagerId as soon as the managers list is resolved.
@@ -95,7 +118,7 @@ export default function GoalsPage() {
   const loadGoals = async () => {
     setLoading(true)
     try {
-      const data = await goalService.getGoals(page, 10)
+      const data = await goalService.getGoals(page, 10, filters)
       const list = data?.content || data || []
       setGoals(list)
       setTotalPages(data?.totalPages || 1)
@@ -125,156 +148,114 @@ export default function GoalsPage() {
     } catch { /* silently fail */ }
   }
 
-  // ─── Client-side filter: status, priority, category, and search ─────────
-  const filteredGoals = goals.filter(g => {
-    const matchSearch   = !searchTerm ||
-      g.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      g.category?.toLowerCase().includes(searchTerm.toLowerCase())
-    const matchStatus   = !statusFilter || g.status === statusFilter
-    const matchPriority = !priorityFilter || g.priority === priorityFilter
-    const matchCategory = !categoryFilter || g.category === categoryFilter
-    return matchSearch && matchStatus && matchPriority && matchCategory
-  })
+  const loadTemplates = async () => {
+    try {
+      const data = await goalTemplateService.getTemplates()
+      setTemplates(getTemplatesForDepartment((data?.content || data || []).map(normalizeTemplate), user?.department))
+    } catch { /* templates are optional */ }
+  }
+
+  // The weight budget: my goals in the active cycle, loaded fresh when the form opens
+  const loadCycleGoals = async () => {
+    if (!activeCycle) return
+    try {
+      setCycleGoals((await goalService.getAllGoals())
+        .filter(g => g.assignedToUserId === user.userId && isGoalInCycle(g, activeCycle)))
+    } catch { /* no budget shown */ }
+  }
+
+  // Weight already given to my other goals in the active cycle, rejected ones aside (null when there is no cycle)
+  const otherWeight = activeCycle ? getBudgetWeight(cycleGoals, { exceptGoalId: editingGoal?.goalId }) : null
+
+  // "Start from template" — fills in the create form; the employee can still edit everything
+  const handleTemplatePick = (templateId) => {
+    const template = templates.find(t => String(t.templateId) === templateId)
+    if (template) setGoalForm(prev => applyTemplate(template, prev))
+  }
+
+  // Timeline rows are grouped by the goal's owner
+  const getOwnerName = (goal) =>
+    goal.assignedToUserId === user?.userId ? 'My Goals' : (goal.employeeName || `User #${goal.assignedToUserId}`)
+
+  // ─── EMPLOYEE: Open create / edit modal ──────────────────────────────────
+  const openCreate = () => {
+    setEditingGoal(null)
+    setGoalForm({
+      title: '', description: '', category: 'TECHNICAL', priority: 'MEDIUM',
+      startDate: '', endDate: '', assignedManagerId: managers[0]?.userId || '', keyResults: [], weight: ''
+    })
+    loadCycleGoals()
+    setShowCreateModal(true)
+  }
+
+  const openEdit = (goal) => {
+    setEditingGoal(goal)
+    setGoalForm({
+      title: goal.title || '',
+      description: goal.description || '',
+      category: goal.category || 'TECHNICAL',
+      priority: goal.priority || 'MEDIUM',
+      startDate: goal.startDate || '',
+      endDate: goal.endDate || '',
+      assignedManagerId: goal.assignedManagerId || managers[0]?.userId || '',
+      keyResults: getKeyResults(goal),
+      weight: getGoalWeight(goal) ?? '',
+    })
+    loadCycleGoals()
+    setShowCreateModal(true)
+  }
 
-  // ─── EMPLOYEE: Create Goal ────────────────────────────────────────────────
-  const handleCreateGoal = async (e) => {
-    e.preventDefault()
+  // ─── EMPLOYEE: Create / Edit Goal ─────────────────────────────────────────
+  // Called from the wizard's last step, after its SMART warnings were shown
+  const handleCreateGoal = async () => {
     if (!goalForm.title) {
       toast.error('Title is required')
       return
     }
-    if (!goalForm.assignedManagerId) {
-      toast.error('No manager is assigned to your account. Please contact your administrator.')
+    if (goalForm.startDate && goalForm.endDate && goalForm.endDate <= goalForm.startDate) {
+      toast.error('The end date must be after the start date')
       return
     }
-    setSubmitting(true)
-    try {
-      await goalService.createGoal(goalForm)
-      toast.success('Goal created successfully!')
-      setShowCreateModal(false)
-      setGoalForm({ title: '', description: '', category: 'TECHNICAL', priority: 'MEDIUM', startDate: '', endDate: '', assignedManagerId: managers[0]?.userId || '' })
-      loadGoals()
-    } catch (err) {
-      toast.error(err.response?.data?.msg || 'Failed to create goal')
-    } finally {
-      setSubmitting(false)
+    const weightProblem = validateGoalWeight(goalForm.weight, otherWeight ?? 0)
+    if (weightProblem) {
+      toast.error(weightProblem)
+      return
     }
-  }
-
-  // ─── EMPLOYEE: Add Progress ───────────────────────────────────────────────
-  const handleAddProgress = async (e) => {
-    e.preventDefault()
-    setSubmitting(true)
-    try {
-      await goalService.addProgress(selectedGoal.goalId, progressForm.notes, progressForm.progressPercentage)
-      toast.success('Progress updated!')
-      setShowProgressModal(false)
-      loadGoals()
-    } catch (err) {
-      toast.error(err.response?.data?.msg || 'Failed to update progress')
-    } finally {
-      setSubmitting(false)
+    const keyResultProblem = validateKeyResults(goalForm.keyResults)
+    if (keyResultProblem) {
+      toast.error(keyResultProblem)
+      return
     }
-  }
-
-  // ─── EMPLOYEE: Submit for Completion ──────────────────────────────────────
-  const handleSubmitCompletion = async (e) => {
-    e.preventDefault()
-    if (!completionForm.completionNotes) { toast.error('Completion notes are required'); return }
-    setSubmitting(true)
-    try {
-      await goalService.submitCompletion(selectedGoal.goalId, completionForm)
-      toast.success('Goal submitted for completion review!')
-      setShowCompletionModal(false)
-      loadGoals()
-    } catch (err) {
-      toast.error(err.response?.data?.msg || 'Failed to submit completion')
-    } finally {
-      setSubmitting(false)
+    if (!goalForm.assignedManagerId) {
+      toast.error('No manager is assigned to your account. Please contact your administrator.')
+      return
     }
-  }
-
-  // ─── MANAGER: Approve/Reject/Request Changes ───────────────────────────────
-  const handleManagerAction = async (e) => {
-    e.preventDefault()
     setSubmitting(true)
     try {
-      switch (actionType) {
-        case 'APPROVE':
-          await goalService.approveGoal(selectedGoal.goalId)
-          toast.success('Goal approved!')
-          break
-        case 'REQUEST_CHANGES':
-          await goalService.requestChanges(selectedGoal.goalId, actionForm.comments)
-          toast.success('Change request sent to employee')
-          break
-        case 'APPROVE_COMPLETION':
-          await goalService.approveCompletion(selectedGoal.goalId, actionForm.comments)
-          toast.success('Goal completion approved!')
-          break
-        case 'REJECT_COMPLETION':
-          await goalService.rejectCompletion(selectedGoal.goalId, actionForm.comments)
-          toast.success('Completion rejected')
-          break
-        case 'REQUEST_EVIDENCE':
-          await goalService.requestAdditionalEvidence(selectedGoal.goalId, actionForm.message)
-          toast.success('Evidence request sent')
-          break
-        default:
-          break
+      if (editingGoal) {
+        await goalService.updateGoal(editingGoal.goalId, goalForm)
+        toast.success('Goal updated and sent back for approval!')
+      } else {
+        await goalService.createGoal(goalForm)
+        toast.success('Goal created successfully!')
       }
-      setShowActionModal(false)
-      loadGoals()
-    } catch (err) {
-      toast.error(err.response?.data?.msg || 'Action failed')
-    } finally {
-      setSubmitting(false)
-    }
-  }
-
-  // ─── MANAGER: Verify Evidence ────────────────────────────────────────────
-  const handleVerifyEvidence = async (e) => {
-    e.preventDefault()
-    setSubmitting(true)
-    try {
-      await goalService.verifyEvidence(selectedGoal.goalId, evidenceForm.verificationStatus, evidenceForm.notes)
-      toast.success('Evidence verification submitted!')
-      setShowEvidenceModal(false)
+      setShowCreateModal(false)
+      setEditingGoal(null)
+      setGoalForm({ title: '', description: '', category: 'TECHNICAL', priority: 'MEDIUM', startDate: '', endDate: '', assignedManagerId: managers[0]?.userId || '', keyResults: [], weight: '' })
       loadGoals()
     } catch (err) {
-      toast.error(err.response?.data?.msg || 'Failed to verify evidence')
+      toast.error(err.response?.data?.msg || (editingGoal ? 'Failed to update goal' : 'Failed to create goal'))
     } finally {
       setSubmitting(false)
     }
   }
 
-  // ─── Delete Goal ─────────────────────────────────────────────────────────
-  const handleDelete = async (goal) => {
-    if (!window.confirm(`Delete goal "${goal.title}"? This cannot be undone.`)) return
-    try {
-      await goalService.deleteGoal(goal.goalId)
-      toast.success('Goal deleted')
-      loadGoals()
-    } catch (err) {
-      toast.error(err.response?.data?.msg || 'Failed to delete goal')
-    }
-  }
-
-  // ─── Open manager action modal ────────────────────────────────────────────
-  const openAction = (goal, type) => {
+  // ─── Open a workflow action (EDIT reuses the create modal) ─────────────────
+  const openAction = (goal, key, context = {}) => {
+    if (key === 'EDIT') { openEdit(goal); return }
     setSelectedGoal(goal)
-    setActionType(type)
-    setActionForm({ comments: '', message: '' })
-    setShowActionModal(true)
-  }
-
-  // ─── Action modal title map ───────────────────────────────────────────────
-  const actionTitles = {
-    APPROVE: 'Approve Goal',
-    REQUEST_CHANGES: 'Request Changes',
-    APPROVE_COMPLETION: 'Approve Completion',
-    REJECT_COMPLETION: 'Reject Completion',
-    REQUEST_EVIDENCE: 'Request Additional Evidence',
+    setActionContext(context)
+    setActionKey(key)
   }
 
   // ─── Render ───────────────────────────────────────────────────────────────
@@ -287,31 +268,27 @@ export default function GoalsPage() {
           <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
           <input
             type="text"
-            placeholder="Search goals by title or category..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search goals..."
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
             className="input-field pl-9"
           />
         </div>
 
         {/* Status filter */}
         <select
-          value={statusFilter}
-          onChange={(e) => setStatusFilter(e.target.value)}
+          value={filters.status}
+          onChange={(e) => setFilter('status', e.target.value)}
           className="input-field w-auto"
         >
           <option value="">All Statuses</option>
-          <option value="PENDING">Pending</option>
-          <option value="IN_PROGRESS">In Progress</option>
-          <option value="PENDING_COMPLETION_APPROVAL">Pending Completion</option>
-          <option value="COMPLETED">Completed</option>
-          <option value="REJECTED">Rejected</option>
+          {GOAL_STATUSES.map(s => <option key={s} value={s}>{GOAL_STATUS_LABELS[s]}</option>)}
         </select>
 
         {/* Priority filter */}
         <select
-          value={priorityFilter}
-          onChange={(e) => setPriorityFilter(e.target.value)}
+          value={filters.priority}
+          onChange={(e) => setFilter('priority', e.target.value)}
           className="input-field w-auto"
         >
           <option value="">All Priorities</option>
@@ -320,8 +297,8 @@ export default function GoalsPage() {
 
         {/* Category filter */}
         <select
-          value={categoryFilter}
-          onChange={(e) => setCategoryFilter(e.target.value)}
+          value={filters.category}
+          onChange={(e) => setFilter('category', e.target.value)}
           className="input-field w-auto"
         >
           <option value="">All Categories</option>
@@ -329,25 +306,29 @@ export default function GoalsPage() {
         </select>
 
         {/* Clear filters */}
-        {(statusFilter || priorityFilter || categoryFilter || searchTerm) && (
+        {hasActiveFilters && (
           <button
-            onClick={() => { setStatusFilter(''); setPriorityFilter(''); setCategoryFilter(''); setSearchTerm('') }}
+            onClick={clearFilters}
             className="btn-secondary text-xs px-3"
           >
             Clear
           </button>
         )}
 
+        {/* List / timeline toggle */}
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden">
+          {[['list', LayoutList, 'List'], ['timeline', GanttChart, 'Timeline']].map(([key, Icon, label]) => (
+            <button key={key} onClick={() => setView(key)} title={`${label} view`}
+              className={`px-3 py-2 text-sm flex items-center gap-1 ${view === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}>
+              <Icon size={16} /> {label}
+            </button>
+          ))}
+        </div>
+
         {/* Create button (Employees only) */}
         {isEmployee() && (
           <button
-            onClick={() => {
-              setGoalForm({
-                title: '', description: '', category: 'TECHNICAL', priority: 'MEDIUM',
-                startDate: '', endDate: '', assignedManagerId: managers[0]?.userId || ''
-              })
-              setShowCreateModal(true)
-            }}
+            onClick={openCreate}
             className="btn-primary flex items-center gap-2 whitespace-nowrap"
           >
             <Plus size={18} /> New Goal
@@ -356,34 +337,45 @@ export default function GoalsPage() {
       </div>
 
       {/* Active filter chips */}
-      {(statusFilter || priorityFilter || categoryFilter) && (
+      {hasActiveFilters && (
         <div className="flex flex-wrap gap-2 mb-4 text-xs">
-          {statusFilter && <span className="bg-blue-100 text-blue-700 px-2 py-1 rounded-full">Status: {statusFilter}</span>}
-          {priorityFilter && <span className="bg-orange-100 text-orange-700 px-2 py-1 rounded-full">Priority: {priorityFilter}</span>}
-          {categoryFilter && <span className="bg-purple-100 text-purple-700 px-2 py-1 rounded-full">Category: {categoryFilter}</span>}
-          <span className="text-gray-500 self-center">{filteredGoals.length} goal{filteredGoals.length !== 1 ? 's' : ''} shown</span>
+          {filters.search && <span className="bg-gray-100 text-gray-700 px-2 py-1 rounded-full">Search: “{filters.search}”</span>}
+          {filters.status && <span className="bg-blue-100 text-blue-700 px-2 py-1 rounded-full">Status: {GOAL_STATUS_LABELS[filters.status] || filters.status}</span>}
+          {filters.priority && <span className="bg-orange-100 text-orange-700 px-2 py-1 rounded-full">Priority: {filters.priority}</span>}
+          {filters.category && <span className="bg-purple-100 text-purple-700 px-2 py-1 rounded-full">Category: {filters.category}</span>}
+          <span className="text-gray-500 self-center">{totalElements} matching goal{totalElements !== 1 ? 's' : ''}</span>
         </div>
       )}
 
       {/* ── Goals List ── */}
       {loading ? (
         <LoadingSpinner message="Loading goals..." />
-      ) : filteredGoals.length === 0 ? (
+      ) : goals.length === 0 ? (
         <div className="card text-center py-16">
           <Target size={48} className="mx-auto mb-3 text-gray-300" />
           <p className="text-gray-500 font-medium">No goals found</p>
           <p className="text-gray-400 text-sm mt-1">
-            {isEmployee() ? 'Create your first goal to get started.' : 'No goals match your filters.'}
+            {hasActiveFilters ? 'No goals match your filters.' : isEmployee() ? 'Create your first goal to get started.' : 'No goals yet.'}
           </p>
           {isEmployee() && (
-            <button onClick={() => setShowCreateModal(true)} className="btn-primary mt-4">
+            <button onClick={openCreate} className="btn-primary mt-4">
               Create Goal
             </button>
           )}
         </div>
+      ) : view === 'timeline' ? (
+        <div className="card">
+          <GoalTimeline goals={goals} getGroupName={getOwnerName} />
+          <Pagination
+            currentPage={page}
+            totalPages={totalPages}
+            totalElements={totalElements}
+            onPageChange={setPage}
+          />
+        </div>
       ) : (
         <div className="space-y-3">
-          {filteredGoals.map((goal) => (
+          {goals.map((goal) => (
             <GoalCard
               key={goal.goalId}
               goal={goal}
@@ -391,15 +383,9 @@ export default function GoalsPage() {
               isManager={isManager()}
               isEmployee={isEmployee()}
               isAdmin={isAdmin()}
-              onAddProgress={() => { setSelectedGoal(goal); setShowProgressModal(true) }}
-              onSubmitCompletion={() => { setSelectedGoal(goal); setShowCompletionModal(true) }}
-              onApprove={() => openAction(goal, 'APPROVE')}
-              onRequestChanges={() => openAction(goal, 'REQUEST_CHANGES')}
-              onApproveCompletion={() => openAction(goal, 'APPROVE_COMPLETION')}
-              onRejectCompletion={() => openAction(goal, 'REJECT_COMPLETION')}
-              onRequestEvidence={() => openAction(goal, 'REQUEST_EVIDENCE')}
-              onVerifyEvidence={() => { setSelectedGoal(goal); setShowEvidenceModal(true) }}
-              onDelete={() => handleDelete(goal)}
+              canCarry={canCarryForward(goal, user, activeCycle)}
+              onCarryForward={() => setCarryGoal(goal)}
+              onAction={(key, context) => openAction(goal, key, context)}
             />
           ))}
 
@@ -416,221 +402,60 @@ export default function GoalsPage() {
           MODALS
       ═══════════════════════════════════════════════════════════════════ */}
 
-      {/* Create Goal Modal (Employee) */}
-      <Modal isOpen={showCreateModal} onClose={() => setShowCreateModal(false)} title="Create New Goal" size="lg">
-        <form onSubmit={handleCreateGoal} className="space-y-4">
-          <div>
-            <label className="form-label">Goal Title *</label>
-            <input className="input-field" value={goalForm.title}
-              onChange={e => setGoalForm({ ...goalForm, title: e.target.value })}
-              placeholder="e.g., Complete React certification" />
-          </div>
-          <div>
-            <label className="form-label">Description</label>
-            <textarea className="input-field" rows={3} value={goalForm.description}
-              onChange={e => setGoalForm({ ...goalForm, description: e.target.value })}
-              placeholder="Describe what you plan to accomplish..." />
-          </div>
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="form-label">Category</label>
-              <select className="input-field" value={goalForm.category}
-                onChange={e => setGoalForm({ ...goalForm, category: e.target.value })}>
-                {GOAL_CATEGORIES.map(c => <option key={c}>{c}</option>)}
-              </select>
-            </div>
-            <div>
-              <label className="form-label">Priority</label>
-              <select className="input-field" value={goalForm.priority}
-                onChange={e => setGoalForm({ ...goalForm, priority: e.target.value })}>
-                {GOAL_PRIORITIES.map(p => <option key={p}>{p}</option>)}
-              </select>
-            </div>
-          </div>
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="form-label">Start Date</label>
-              <input type="date" className="input-field" value={goalForm.startDate}
-                onChange={e => setGoalForm({ ...goalForm, startDate: e.target.value })} />
-            </div>
-            <div>
-              <label className="form-label">End Date (Deadline)</label>
-              <input type="date" className="input-field" value={goalForm.endDate}
-                onChange={e => setGoalForm({ ...goalForm, endDate: e.target.value })} />
-            </div>
-          </div>
-          {/* Manager is auto-assigned from the employee's profile */}
-          {managers.length > 0 && (
-            <div className="bg-gray-50 rounded-lg p-3 text-sm text-gray-600">
-              <span className="font-medium">Assigned Manager: </span>
-              {managers.find(m => String(m.userId) === String(goalForm.assignedManagerId))?.name
-                || (goalForm.assignedManagerId ? `Manager #${goalForm.assignedManagerId}` : 'Loading...')}
-            </div>
-          )}
-          <div className="flex gap-3 pt-2">
-            <button type="button" onClick={() => setShowCreateModal(false)} className="btn-secondary flex-1">Cancel</button>
-            <button type="submit" disabled={submitting} className="btn-primary flex-1">
-              {submitting ? 'Creating...' : 'Create Goal'}
-            </button>
-          </div>
-        </form>
+      {/* Create / Edit Goal Modal (Employee) */}
+      <Modal isOpen={showCreateModal} onClose={() => setShowCreateModal(false)}
+        title={editingGoal ? 'Edit Goal' : 'Create New Goal'} size="lg">
+        <SmartGoalWizard form={goalForm} onChange={setGoalForm} activeCycle={activeCycle} otherWeight={otherWeight}
+          templates={templates} onTemplatePick={handleTemplatePick}
+          managerName={managers.length > 0 ? (
+            managers.find(m => String(m.userId) === String(goalForm.assignedManagerId))?.name
+              || (goalForm.assignedManagerId ? `Manager #${goalForm.assignedManagerId}` : 'Loading...')
+          ) : null}
+          changeRequest={editingGoal?.changeRequestComments}
+          isEdit={!!editingGoal} submitting={submitting}
+          onCancel={() => setShowCreateModal(false)} onSubmit={handleCreateGoal} />
       </Modal>
 
-      {/* Add Progress Modal (Employee) */}
-      <Modal isOpen={showProgressModal} onClose={() => setShowProgressModal(false)} title="Add Progress Update">
-        <form onSubmit={handleAddProgress} className="space-y-4">
-          <p className="text-sm text-gray-600 bg-blue-50 rounded-lg p-3">
-            Goal: <strong>{selectedGoal?.title}</strong>
-          </p>
-          <div>
-            <label className="form-label">Progress Percentage: {progressForm.progressPercentage}%</label>
-            <input type="range" min="0" max="100" value={progressForm.progressPercentage}
-              onChange={e => setProgressForm({ ...progressForm, progressPercentage: parseInt(e.target.value) })}
-              className="w-full" />
-            <div className="flex justify-between text-xs text-gray-400 mt-1">
-              <span>0%</span><span>50%</span><span>100%</span>
-            </div>
-          </div>
-          <div>
-            <label className="form-label">Progress Notes *</label>
-            <textarea className="input-field" rows={4} value={progressForm.notes}
-              onChange={e => setProgressForm({ ...progressForm, notes: e.target.value })}
-              placeholder="Describe what you've accomplished so far..." />
-          </div>
-          <div className="flex gap-3">
-            <button type="button" onClick={() => setShowProgressModal(false)} className="btn-secondary flex-1">Cancel</button>
-            <button type="submit" disabled={submitting} className="btn-primary flex-1">
-              {submitting ? 'Saving...' : 'Save Progress'}
-            </button>
-          </div>
-        </form>
-      </Modal>
+      {/* Workflow Action Modal (progress, completion, approve, evidence, …) */}
+      <GoalActionModal goal={selectedGoal} actionKey={actionKey} context={actionContext}
+        onClose={() => setActionKey('')} onDone={loadGoals} />
 
-      {/* Submit Completion Modal (Employee) */}
-      <Modal isOpen={showCompletionModal} onClose={() => setShowCompletionModal(false)} title="Submit Goal for Completion" size="lg">
-        <form onSubmit={handleSubmitCompletion} className="space-y-4">
-          <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-sm text-green-800">
-            You are submitting <strong>{selectedGoal?.title}</strong> for completion review. Your manager will verify your work.
-          </div>
-          <div>
-            <label className="form-label">Completion Notes *</label>
-            <textarea className="input-field" rows={4} value={completionForm.completionNotes}
-              onChange={e => setCompletionForm({ ...completionForm, completionNotes: e.target.value })}
-              placeholder="Describe how you completed this goal and what you achieved..." />
-          </div>
-          <div>
-            <label className="form-label">Evidence Link (optional)</label>
-            <input className="input-field" value={completionForm.evidenceLink}
-              onChange={e => setCompletionForm({ ...completionForm, evidenceLink: e.target.value })}
-              placeholder="https://docs.google.com/... or https://github.com/..." />
-          </div>
-          <div>
-            <label className="form-label">Evidence Description</label>
-            <input className="input-field" value={completionForm.evidenceLinkDescription}
-              onChange={e => setCompletionForm({ ...completionForm, evidenceLinkDescription: e.target.value })}
-              placeholder="What does the evidence link contain?" />
-          </div>
-          <div className="flex gap-3">
-            <button type="button" onClick={() => setShowCompletionModal(false)} className="btn-secondary flex-1">Cancel</button>
-            <button type="submit" disabled={submitting} className="btn-success flex-1">
-              {submitting ? 'Submitting...' : 'Submit for Review'}
-            </button>
-          </div>
-        </form>
-      </Modal>
-
-      {/* Manager Action Modal (Approve / Reject / Request Changes) */}
-      <Modal isOpen={showActionModal} onClose={() => setShowActionModal(false)}
-        title={actionTitles[actionType] || 'Manager Action'}>
-        <form onSubmit={handleManagerAction} className="space-y-4">
-          <p className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">
-            Goal: <strong>{selectedGoal?.title}</strong>
-          </p>
-          {actionType === 'APPROVE' ? (
-            <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-sm text-green-700">
-              This will approve the goal and allow the employee to start working on it.
-            </div>
-          ) : (
-            <div>
-              <label className="form-label">
-                {actionType === 'REQUEST_EVIDENCE' ? 'Message to Employee *' : 'Comments / Reason *'}
-              </label>
-              <textarea
-                className="input-field" rows={4}
-                value={actionType === 'REQUEST_EVIDENCE' ? actionForm.message : actionForm.comments}
-                onChange={e => setActionForm(
-                  actionType === 'REQUEST_EVIDENCE'
-                    ? { ...actionForm, message: e.target.value }
-                    : { ...actionForm, comments: e.target.value }
-                )}
-                placeholder={
-                  actionType === 'REQUEST_CHANGES' ? 'Describe what needs to be changed...' :
-                  actionType === 'APPROVE_COMPLETION' ? 'Optional: Add completion comments...' :
-                  actionType === 'REJECT_COMPLETION' ? 'Explain why the completion is rejected...' :
-                  'Describe what additional evidence is needed...'
-                }
-              />
-            </div>
-          )}
-          <div className="flex gap-3">
-            <button type="button" onClick={() => setShowActionModal(false)} className="btn-secondary flex-1">Cancel</button>
-            <button type="submit" disabled={submitting}
-              className={`flex-1 ${actionType === 'REJECT_COMPLETION' ? 'btn-danger' : actionType === 'APPROVE' || actionType === 'APPROVE_COMPLETION' ? 'btn-success' : 'btn-primary'}`}>
-              {submitting ? 'Processing...' : actionTitles[actionType] || 'Confirm'}
-            </button>
-          </div>
-        </form>
-      </Modal>
-
-      {/* Verify Evidence Modal (Manager) */}
-      <Modal isOpen={showEvidenceModal} onClose={() => setShowEvidenceModal(false)} title="Verify Evidence">
-        <form onSubmit={handleVerifyEvidence} className="space-y-4">
-          {selectedGoal?.evidenceLink && (
-            <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
-              <p className="text-xs font-medium text-blue-700 mb-1">Evidence Link:</p>
-              <a href={selectedGoal.evidenceLink} target="_blank" rel="noopener noreferrer"
-                className="text-sm text-blue-600 hover:underline break-all">
-                {selectedGoal.evidenceLink}
-              </a>
-              {selectedGoal.evidenceLinkDescription && (
-                <p className="text-xs text-blue-600 mt-1">{selectedGoal.evidenceLinkDescription}</p>
-              )}
-            </div>
-          )}
-          <div>
-            <label className="form-label">Verification Decision</label>
-            <select className="input-field" value={evidenceForm.verificationStatus}
-              onChange={e => setEvidenceForm({ ...evidenceForm, verificationStatus: e.target.value })}>
-              <option value="VERIFIED">Verified — Evidence is acceptable</option>
-              <option value="NEEDS_REVISION">Needs Revision — More work needed</option>
-              <option value="REJECTED">Rejected — Evidence does not meet requirements</option>
-            </select>
-          </div>
-          <div>
-            <label className="form-label">Notes</label>
-            <textarea className="input-field" rows={3} value={evidenceForm.notes}
-              onChange={e => setEvidenceForm({ ...evidenceForm, notes: e.target.value })}
-              placeholder="Add notes about your verification decision..." />
-          </div>
-          <div className="flex gap-3">
-            <button type="button" onClick={() => setShowEvidenceModal(false)} className="btn-secondary flex-1">Cancel</button>
-            <button type="submit" disabled={submitting} className="btn-primary flex-1">
-              {submitting ? 'Submitting...' : 'Submit Verification'}
-            </button>
-          </div>
-        </form>
-      </Modal>
+      {/* Carry an unfinished goal into the new review cycle */}
+      {carryGoal && (
+        <CarryForwardModal goals={[carryGoal]} user={user} activeCycle={activeCycle}
+          onClose={(changed) => { setCarryGoal(null); if (changed) loadGoals() }} />
+      )}
     </Layout>
   )
 }
 
 // ─── GOAL CARD COMPONENT ─────────────────────────────────────────────────────
 // Renders a single goal with all available actions based on status + role
-function GoalCard({ goal, user, isManager, isEmployee, isAdmin, onAddProgress,
-  onSubmitCompletion, onApprove, onRequestChanges, onApproveCompletion,
-  onRejectCompletion, onRequestEvidence, onVerifyEvidence, onDelete }) {
+
+// Statuses in which a goal can have progress entries (approved by the manager)
+const PROGRESS_STATUSES = ['IN_PROGRESS', 'PENDING_COMPLETION_APPROVAL', 'COMPLETED']
+
+function GoalCard({ goal, user, isManager, isEmployee, isAdmin, canCarry, onCarryForward, onAction }) {
 
   const [expanded, setExpanded] = useState(false)
+  const [progress, setProgress] = useState([])   // progress entries (chart + fallback percentage)
+
+  // Progress entries feed the chart when expanded. An approved goal without its
+  // own percentage or key results needs them for the collapsed progress bar too,
+  // so those load up front (and again after the list reloads).
+  const needsEntries = expanded || (PROGRESS_STATUSES.includes(goal.status) &&
+    goal.progressPercentage == null && getKeyResults(goal).length === 0)
+  useEffect(() => {
+    if (!needsEntries) return
+    goalService.getProgress(goal.goalId)
+      .then(data => setProgress(data?.content || data || []))
+      .catch(() => {/* chart just stays empty */})
+  }, [needsEntries, goal])
+
+  // Overall progress: from the key results when the goal has any, else the goal's
+  // own percentage if the backend sends it, else the latest progress entry
+  const keyResults = getKeyResults(goal)
+  const latestProgress = getKeyResultsProgress(goal) ?? goal.progressPercentage ?? getLatestProgress(progress)
 
   const priorityColors = {
     CRITICAL: 'border-l-red-500',
@@ -639,26 +464,64 @@ function GoalCard({ goal, user, isManager, isEmployee, isAdmin, onAddProgress,
     LOW: 'border-l-green-400',
   }
 
-  const isMyGoal = goal.assignedToUserId === user?.userId
-  const isMyTeamGoal = goal.assignedManagerId === user?.userId
-
   return (
     <div className={`card border-l-4 ${priorityColors[goal.priority] || 'border-l-gray-300'} hover:shadow-md transition-shadow`}>
       {/* Goal Header */}
       <div className="flex items-start justify-between gap-3">
         <div className="flex-1 min-w-0">
           <div className="flex items-center gap-2 flex-wrap">
-            <h3 className="font-semibold text-gray-900 truncate">{goal.title}</h3>
+            <Link to={`/goals/${goal.goalId}`} className="font-semibold text-gray-900 truncate hover:text-blue-600">
+              {goal.title}
+            </Link>
             <StatusBadge status={goal.status} />
             <span className="text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">
               {goal.priority}
             </span>
+            {goal.status === 'PENDING' && goal.changeRequestComments && (
+              <span className="text-xs bg-orange-100 text-orange-700 px-2 py-0.5 rounded-full">
+                Changes requested
+              </span>
+            )}
+            {getCarriedToId(goal) != null && (
+              <Link to={`/goals/${getCarriedToId(goal)}`}
+                className="text-xs bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded-full hover:underline">
+                Carried forward → #{getCarriedToId(goal)}
+              </Link>
+            )}
           </div>
           <div className="flex items-center gap-4 mt-1.5 text-xs text-gray-500">
             <span>Category: {goal.category}</span>
             {goal.endDate && <span>Due: {goal.endDate}</span>}
+            {getGoalWeight(goal) != null && <span>Weight: {getGoalWeight(goal)}%</span>}
             {goal.startDate && <span>Started: {goal.startDate}</span>}
+            {getCarriedFromId(goal) != null && (
+              <Link to={`/goals/${getCarriedFromId(goal)}`} className="text-indigo-600 hover:underline">
+                Continues goal #{getCarriedFromId(goal)}
+              </Link>
+            )}
           </div>
+          {latestProgress != null && (
+            <div className="flex items-center gap-2 mt-2 max-w-xs">
+              <div className="flex-1 h-1.5 bg-gray-100 rounded-full overflow-hidden">
+                <div className="h-full bg-blue-500 rounded-full" style={{ width: `${latestProgress}%` }} />
+              </div>
+              <span className="text-xs font-medium text-gray-600">{latestProgress}%</span>
+            </div>
+          )}
+          {/* Key results */}
+          {keyResults.length > 0 && (
+            <ul className="mt-2 space-y-1 max-w-md">
+              {keyResults.map((kr, i) => (
+                <li key={kr.keyResultId ?? i} className="flex items-center gap-2 text-xs">
+                  <span className="flex-1 truncate text-gray-600" title={kr.metric}>{kr.metric}</span>
+                  <span className="text-gray-400 whitespace-nowrap">{kr.currentValue} / {kr.targetValue}</span>
+                  <div className="w-16 h-1 bg-gray-100 rounded-full overflow-hidden">
+                    <div className="h-full bg-indigo-500 rounded-full" style={{ width: `${getKeyResultProgress(kr)}%` }} />
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
 
         {/* Toggle expand */}
@@ -682,6 +545,12 @@ function GoalCard({ goal, user, isManager, isEmployee, isAdmin, onAddProgress,
               <p className="text-sm text-blue-800">{goal.progressNotes}</p>
             </div>
           )}
+          {progress.length > 0 && (
+            <div>
+              <p className="text-xs font-medium text-gray-600 mb-1">Progress over time:</p>
+              <ProgressChart entries={progress} startDate={goal.startDate} endDate={goal.endDate} />
+            </div>
+          )}
           {goal.completionNotes && (
             <div className="bg-green-50 rounded-lg p-3">
               <p className="text-xs font-medium text-green-700 mb-1">Completion Notes:</p>
@@ -701,69 +570,13 @@ function GoalCard({ goal, user, isManager, isEmployee, isAdmin, onAddProgress,
       )}
 
       {/* Action Buttons Row */}
-      <div className="flex flex-wrap gap-2 mt-3 pt-3 border-t border-gray-100">
-        {/* ── EMPLOYEE ACTIONS ── */}
-        {isEmployee && isMyGoal && (
-          <>
-            {goal.status === 'IN_PROGRESS' && (
-              <button onClick={onAddProgress}
-                className="btn-secondary text-xs py-1.5 px-3 flex items-center gap-1">
-                <TrendingUp size={14} /> Update Progress
-              </button>
-            )}
-            {(goal.status === 'IN_PROGRESS') && (
-              <button onClick={onSubmitCompletion}
-                className="btn-success text-xs py-1.5 px-3 flex items-center gap-1">
-                <Upload size={14} /> Submit Completion
-              </button>
-            )}
-            {(goal.status === 'PENDING') && (
-              <button onClick={onDelete}
-                className="btn-danger text-xs py-1.5 px-3 flex items-center gap-1">
-                <Trash2 size={14} /> Delete
-              </button>
-            )}
-          </>
-        )}
-
-        {/* ── MANAGER ACTIONS ── */}
-        {isManager && isMyTeamGoal && (
-          <>
-            {goal.status === 'PENDING' && (
-              <>
-                <button onClick={onApprove}
-                  className="btn-success text-xs py-1.5 px-3 flex items-center gap-1">
-                  <CheckCircle size={14} /> Approve
-                </button>
-                <button onClick={onRequestChanges}
-                  className="btn-secondary text-xs py-1.5 px-3 flex items-center gap-1">
-                  <MessageSquare size={14} /> Request Changes
-                </button>
-              </>
-            )}
-            {goal.status === 'PENDING_COMPLETION_APPROVAL' && (
-              <>
-                {goal.evidenceLink && (
-                  <button onClick={onVerifyEvidence}
-                    className="btn-primary text-xs py-1.5 px-3 flex items-center gap-1">
-                    <Eye size={14} /> Verify Evidence
-                  </button>
-                )}
-                <button onClick={onApproveCompletion}
-                  className="btn-success text-xs py-1.5 px-3 flex items-center gap-1">
-                  <CheckCircle size={14} /> Approve
-                </button>
-                <button onClick={onRejectCompletion}
-                  className="btn-danger text-xs py-1.5 px-3 flex items-center gap-1">
-                  <XCircle size={14} /> Reject
-                </button>
-                <button onClick={onRequestEvidence}
-                  className="btn-secondary text-xs py-1.5 px-3 flex items-center gap-1">
-                  <MessageSquare size={14} /> Request Evidence
-                </button>
-              </>
-            )}
-          </>
+      <div className="mt-3 pt-3 border-t border-gray-100 empty:hidden flex flex-wrap items-center gap-2">
+        <GoalActionButtons goal={goal} user={user}
+          onAction={(key) => onAction(key, { latestProgress })} />
+        {canCarry && (
+          <button onClick={onCarryForward} className="btn-secondary text-xs py-1.5 px-3 flex items-center gap-1">
+            <ArrowRightCircle size={14} /> Carry Forward
+          </button>
         )}
       </div>
     </div>
@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react'
-import { ClipboardList, ChevronDown, Star, CheckCircle, Send, Eye } from 'lucide-react'
+import React, { useState, useEffect, useRef } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { ClipboardList, ChevronDown, Star, CheckCircle, Send, Eye, Save } from 'lucide-react'
 import Layout from '../../components/layout/Layout'
 import Modal from '../../components/common/Modal'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
@@ -23,6 +24,9 @@ import toast from 'react-hot-toast'
 //   GET  /api/v1/review-cycles/active
 // ─────────────────────────────────────────────────────────────────────────────
 
+// How long the self-assessment must be idle before it is autosaved as a draft
+const AUTOSAVE_DELAY_MS = 2000
+
 export default function PerformanceReviewsPage() {
   const { user, isAdmin, isManager, isEmployee } = useAuth()
 
@@ -46,6 +50,15 @@ export default function PerformanceReviewsPage() {
     employeeSelfRating: 3,
   })
 
+  // Self-assessment draft state
+  // The draft is always kept in localStorage (per user + cycle) so it survives a refresh,
+  // and is also saved to the server whenever a review record exists for the cycle.
+  const [draftReviewId, setDraftReviewId] = useState(null)
+  const [draftSavedAt, setDraftSavedAt] = useState(null)
+  const [draftSavedLocally, setDraftSavedLocally] = useState(false)  // true if the server save failed
+  const [savingDraft, setSavingDraft] = useState(false)
+  const lastSavedDraftRef = useRef('')  // JSON of the last saved form, to skip no-op saves
+
   // Manager review form state
   const [managerForm, setManagerForm] = useState({
     managerFeedback: '',
@@ -63,6 +76,32 @@ export default function PerformanceReviewsPage() {
     loadData()
   }, [page])
 
+  // ─── Deep link from a notification: /reviews?reviewId=123 ─────────────────
+  const [searchParams, setSearchParams] = useSearchParams()
+  useEffect(() => {
+    const linkedId = searchParams.get('reviewId')
+    if (!linkedId) return
+    setSearchParams({}, { replace: true })  // open it once, not on every re-render
+    openLinkedReview(linkedId)
+  }, [searchParams])
+
+  const openLinkedReview = async (reviewId) => {
+    try {
+      const review = await performanceReviewService.getReviewById(reviewId)
+      if (!review) throw new Error('Review not found')
+      setSelectedReview(review)
+      // A finished manager review is waiting for the employee's acknowledgement
+      if (isEmployee() && review.status === 'MANAGER_REVIEW_COMPLETED' && review.userId === user?.userId) {
+        setAcknowledgeForm({ employeeResponse: '' })
+        setShowAcknowledgeModal(true)
+      } else {
+        setShowViewModal(true)
+      }
+    } catch {
+      toast.error('That review is no longer available')
+    }
+  }
+
   const loadData = async () => {
     setLoading(true)
     try {
@@ -86,6 +125,86 @@ export default function PerformanceReviewsPage() {
     }
   }
 
+  // ─── EMPLOYEE: Self-Assessment Drafts ─────────────────────────────────────
+  const draftKey = activeCycle && user ? `selfAssessmentDraft:${user.userId}:${activeCycle.cycleId}` : null
+
+  // Open the modal with the saved draft restored — the local copy or the server's,
+  // whichever was saved last (the server copy may come from another device)
+  const openSelfAssessment = async () => {
+    if (!draftKey) return
+    let form = { selfAssessment: '', employeeSelfRating: 3 }
+    let savedAt = null
+
+    let localDraft = null
+    try { localDraft = JSON.parse(localStorage.getItem(draftKey)) } catch { /* corrupted draft — ignore */ }
+    if (localDraft) {
+      form = { selfAssessment: localDraft.selfAssessment || '', employeeSelfRating: localDraft.employeeSelfRating || 3 }
+      savedAt = localDraft.savedAt
+    }
+
+    // Look for this cycle's review record — drafts can only be saved server-side against it
+    setDraftReviewId(null)
+    try {
+      const data = await performanceReviewService.getReviews(0, 10, activeCycle.cycleId)
+      const list = data?.content || data || []
+      const mine = list.find(r => r.userId === user.userId)
+      if (mine) {
+        setDraftReviewId(mine.reviewId)
+        const serverNewer = !localDraft ||
+          (mine.lastModifiedDate && (!localDraft.savedAt || new Date(mine.lastModifiedDate) > new Date(localDraft.savedAt)))
+        if (mine.selfAssessment && serverNewer) {
+          form = { selfAssessment: mine.selfAssessment, employeeSelfRating: mine.employeeSelfRating || 3 }
+          savedAt = mine.lastModifiedDate || null
+        }
+      }
+    } catch { /* no server draft — the local copy is still used */ }
+
+    lastSavedDraftRef.current = JSON.stringify(form)
+    setSelfForm(form)
+    setDraftSavedAt(savedAt)
+    setDraftSavedLocally(false)
+    setShowSelfAssessmentModal(true)
+  }
+
+  // Save the current self-assessment as a draft. `silent` is used by autosave.
+  const saveSelfAssessmentDraft = async (silent = false) => {
+    if (!draftKey) return
+    const savedAt = new Date().toISOString()
+    localStorage.setItem(draftKey, JSON.stringify({ ...selfForm, savedAt }))
+
+    let savedLocally = !draftReviewId
+    if (draftReviewId) {
+      setSavingDraft(true)
+      try {
+        await performanceReviewService.saveDraft(draftReviewId, selfForm)
+      } catch (err) {
+        savedLocally = true
+        if (!silent) toast.error(err.response?.data?.msg || 'Could not save draft to the server — kept on this device')
+      } finally {
+        setSavingDraft(false)
+      }
+    }
+
+    lastSavedDraftRef.current = JSON.stringify(selfForm)
+    setDraftSavedAt(savedAt)
+    setDraftSavedLocally(savedLocally)
+    if (!silent) toast.success('Draft saved')
+  }
+
+  // Autosave: once the user stops typing for AUTOSAVE_DELAY_MS
+  useEffect(() => {
+    if (!showSelfAssessmentModal) return
+    if (JSON.stringify(selfForm) === lastSavedDraftRef.current) return
+    const timer = setTimeout(() => saveSelfAssessmentDraft(true), AUTOSAVE_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [selfForm, showSelfAssessmentModal])
+
+  // Closing the modal flushes any changes the autosave timer hasn't picked up yet
+  const closeSelfAssessment = () => {
+    if (JSON.stringify(selfForm) !== lastSavedDraftRef.current) saveSelfAssessmentDraft(true)
+    setShowSelfAssessmentModal(false)
+  }
+
   // ─── EMPLOYEE: Submit Self-Assessment ─────────────────────────────────────
   const handleSelfAssessment = async (e) => {
     e.preventDefault()
@@ -100,6 +219,10 @@ export default function PerformanceReviewsPage() {
         employeeSelfRating: selfForm.employeeSelfRating,
       })
       toast.success('Self-assessment submitted!')
+      // The draft is no longer needed once submitted
+      localStorage.removeItem(draftKey)
+      lastSavedDraftRef.current = JSON.stringify(selfForm)
+      setDraftSavedAt(null)
       setShowSelfAssessmentModal(false)
       loadData()
     } catch (err) {
@@ -183,7 +306,7 @@ export default function PerformanceReviewsPage() {
           {/* Employee: Submit self-assessment */}
           {isEmployee() && (
             <button
-              onClick={() => setShowSelfAssessmentModal(true)}
+              onClick={openSelfAssessment}
               className="btn-primary flex items-center gap-2"
             >
               <Send size={16} /> Submit Self-Assessment
@@ -244,7 +367,7 @@ export default function PerformanceReviewsPage() {
       {/* ══════════════════ MODALS ══════════════════ */}
 
       {/* Self-Assessment Modal (Employee) */}
-      <Modal isOpen={showSelfAssessmentModal} onClose={() => setShowSelfAssessmentModal(false)}
+      <Modal isOpen={showSelfAssessmentModal} onClose={closeSelfAssessment}
         title="Submit Self-Assessment" size="lg">
         <form onSubmit={handleSelfAssessment} className="space-y-5">
           {activeCycle && (
@@ -271,8 +394,20 @@ export default function PerformanceReviewsPage() {
               />
             </div>
           </div>
+          {/* Draft status */}
+          <p className="text-xs text-gray-400">
+            {savingDraft
+              ? 'Saving draft...'
+              : draftSavedAt
+                ? `Draft saved${draftSavedLocally ? ' on this device' : ''} at ${new Date(draftSavedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+                : 'Your work is saved as a draft automatically.'}
+          </p>
           <div className="flex gap-3">
-            <button type="button" onClick={() => setShowSelfAssessmentModal(false)} className="btn-secondary flex-1">Cancel</button>
+            <button type="button" onClick={closeSelfAssessment} className="btn-secondary flex-1">Cancel</button>
+            <button type="button" onClick={() => saveSelfAssessmentDraft()} disabled={savingDraft || submitting}
+              className="btn-secondary flex-1 flex items-center justify-center gap-2">
+              <Save size={16} /> Save Draft
+            </button>
             <button type="submit" disabled={submitting} className="btn-primary flex-1">
               {submitting ? 'Submitting...' : 'Submit Assessment'}
             </button>
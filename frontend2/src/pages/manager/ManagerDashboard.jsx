@@ -7,10 +7,13 @@ import {
 import Layout from '../../components/layout/Layout'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import StatusBadge from '../../components/common/StatusBadge'
+import GoalActionButtons from '../../components/goals/GoalActionButtons'
+import GoalActionModal from '../../components/goals/GoalActionModal'
 import { useAuth } from '../../context/AuthContext'
 import reportService from '../../services/reportService'
 import goalService from '../../services/goalService'
 import { performanceReviewService } from '../../services/reviewService'
+import { canRunAction } from '../../utils/goalWorkflow'
 
 // Metric card
 function MetricCard({ title, value, icon: Icon, color, subtitle, onClick }) {
@@ -43,6 +46,10 @@ export default function ManagerDashboard() {
   const [loading, setLoading]           = useState(true)
   const [error, setError]               = useState(null)
 
+  // Workflow action started from a recent goal row (see utils/goalWorkflow)
+  const [selectedGoal, setSelectedGoal] = useState(null)
+  const [actionKey, setActionKey]       = useState('')
+
   useEffect(() => { loadData() }, [])
 
   const loadData = async () => {
@@ -81,9 +88,9 @@ export default function ManagerDashboard() {
   // Derived metric values
   const totalMembers      = metrics?.teamSize ?? '—'
   const openGoals         = metrics?.totalGoals ?? recentGoals.filter(g => g.status !== 'COMPLETED' && g.status !== 'REJECTED').length
-  const pendingApprovals  = metrics?.pendingApprovals ?? recentGoals.filter(g => g.status === 'PENDING').length
+  const pendingApprovals  = metrics?.pendingApprovals ?? recentGoals.filter(g => canRunAction('APPROVE', g, user)).length
   const completedGoals    = metrics?.completedGoals ?? recentGoals.filter(g => g.status === 'COMPLETED').length
-  const pendingCompletions = metrics?.pendingCompletions ?? recentGoals.filter(g => g.status === 'PENDING_COMPLETION_APPROVAL').length
+  const pendingCompletions = metrics?.pendingCompletions ?? recentGoals.filter(g => canRunAction('APPROVE_COMPLETION', g, user)).length
 
   return (
     <Layout title="Manager Dashboard">
@@ -185,16 +192,22 @@ export default function ManagerDashboard() {
               {recentGoals.slice(0, 5).map((goal) => (
                 <div
                   key={goal.goalId}
-                  className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 cursor-pointer transition-colors"
-                  onClick={() => navigate('/team-goals')}
+                  className="p-3 bg-gray-50 rounded-lg hover:bg-gray-100 cursor-pointer transition-colors"
+                  onClick={() => navigate(`/goals/${goal.goalId}`)}
                 >
-                  <div className="flex-1 min-w-0">
-                    <p className="text-sm font-medium text-gray-800 truncate">{goal.title}</p>
-                    <p className="text-xs text-gray-500 mt-0.5">
-                      {goal.category} · {goal.employeeName || 'Team Member'}
-                    </p>
+                  <div className="flex items-center justify-between">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-800 truncate">{goal.title}</p>
+                      <p className="text-xs text-gray-500 mt-0.5">
+                        {goal.category} · {goal.employeeName || 'Team Member'}
+                      </p>
+                    </div>
+                    <StatusBadge status={goal.status} />
+                  </div>
+                  <div className="mt-2 empty:hidden">
+                    <GoalActionButtons goal={goal} user={user} size="xs"
+                      onAction={(key) => { setSelectedGoal(goal); setActionKey(key) }} />
                   </div>
-                  <StatusBadge status={goal.status} />
                 </div>
               ))}
             </div>
@@ -289,6 +302,9 @@ export default function ManagerDashboard() {
           })}
         </div>
       </div>
+
+      <GoalActionModal goal={selectedGoal} actionKey={actionKey}
+        onClose={() => setActionKey('')} onDone={loadData} />
     </Layout>
   )
 }
@@ -1,12 +1,18 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import { ClipboardList, Eye, Search, RefreshCw, ChevronDown } from 'lucide-react'
 import Layout from '../../components/layout/Layout'
 import Modal from '../../components/common/Modal'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import StatusBadge from '../../components/common/StatusBadge'
 import Pagination from '../../components/common/Pagination'
+import WeightedGoalScore from '../../components/reviews/WeightedGoalScore'
+import GoalOutcomesPanel from '../../components/reviews/GoalOutcomesPanel'
 import { performanceReviewService, reviewCycleService } from '../../services/reviewService'
 import userService from '../../services/userService'
+import goalService from '../../services/goalService'
+import { isGoalInCycle } from '../../utils/goalWeights'
+import { summarizeGoalOutcomes, appendText } from '../../utils/goalSummary'
 import { useAuth } from '../../context/AuthContext'
 import toast from 'react-hot-toast'
 
@@ -68,12 +74,44 @@ export default function ManagerReviewsPage() {
     ratingJustification: '', compensationRecommendations: '', nextPeriodGoals: '',
   })
 
+  // The reviewed employee's goals in the review's cycle (weighted goal score + goal summary)
+  const [reviewGoals, setReviewGoals]               = useState([])
+  const [reviewProgress, setReviewProgress]         = useState({})   // goalId → progress entries
+  const [loadingReviewGoals, setLoadingReviewGoals] = useState(false)
+  // Bumped on every openReview, so goals arriving for a review opened earlier are dropped
+  const reviewRequestRef = useRef(0)
+
   // ── Load cycles + team on mount ─────────────────────────────────────────
   useEffect(() => {
     loadCycles()
     if (user?.userId) loadTeam()
   }, [user?.userId])
 
+  // ── Deep link from a notification: /reviews?reviewId=123 ────────────────
+  const [searchParams, setSearchParams] = useSearchParams()
+  useEffect(() => {
+    const linkedId = searchParams.get('reviewId')
+    if (!linkedId) return
+    setSearchParams({}, { replace: true })  // open it once, not on every re-render
+    openLinkedReview(linkedId)
+  }, [searchParams])
+
+  const openLinkedReview = async (reviewId) => {
+    try {
+      const review = await performanceReviewService.getReviewById(reviewId)
+      if (!review) throw new Error('Review not found')
+      if (review.cycleId ?? review.cycle?.cycleId) setSelectedCycleId(review.cycleId ?? review.cycle.cycleId)
+      if (review.status === 'SELF_ASSESSMENT_COMPLETED') {
+        openReview(review)
+      } else {
+        setSelectedReview(review)
+        setShowViewModal(true)
+      }
+    } catch {
+      toast.error('That review is no longer available')
+    }
+  }
+
   // ── Load reviews when selected cycle or page changes ────────────────────
   useEffect(() => {
     if (selectedCycleId != null) loadReviews()
@@ -125,6 +163,37 @@ export default function ManagerReviewsPage() {
     }
   }
 
+  // Open the manager review form and load the goals it is scored against
+  const openReview = async (review) => {
+    setSelectedReview(review)
+    setManagerForm({ managerFeedback: '', managerRating: 3, ratingJustification: '', compensationRecommendations: '', nextPeriodGoals: '' })
+    setShowReviewModal(true)
+
+    const cycleId = review.cycleId ?? review.cycle?.cycleId ?? selectedCycleId
+    const cycle = review.cycle?.startDate ? review.cycle : cycles.find(c => c.cycleId === cycleId) || { cycleId }
+    const requestId = ++reviewRequestRef.current
+    const isCurrent = () => reviewRequestRef.current === requestId
+    setReviewGoals([])
+    setReviewProgress({})
+    setLoadingReviewGoals(true)
+    try {
+      const goals = (await goalService.getAllGoals())
+        .filter(g => g.assignedToUserId === review.userId && isGoalInCycle(g, cycle))
+      if (!isCurrent()) return
+      setReviewGoals(goals)
+      // Progress entries for the latest progress note of each goal
+      const entries = await Promise.allSettled(goals.map(g => goalService.getProgress(g.goalId)))
+      if (!isCurrent()) return
+      const byGoal = {}
+      entries.forEach((r, i) => {
+        if (r.status === 'fulfilled') byGoal[goals[i].goalId] = r.value?.content || r.value || []
+      })
+      setReviewProgress(byGoal)
+    } catch { /* the score and summary just stay empty */ } finally {
+      if (isCurrent()) setLoadingReviewGoals(false)
+    }
+  }
+
   const getEmployeeName = (review) => {
     const u = userMap[review.userId]
     return u?.name || `User #${review.userId}`
@@ -303,11 +372,7 @@ export default function ManagerReviewsPage() {
                         </button>
                         {review.status === 'SELF_ASSESSMENT_COMPLETED' && (
                           <button
-                            onClick={() => {
-                              setSelectedReview(review)
-                              setManagerForm({ managerFeedback: '', managerRating: 3, ratingJustification: '', compensationRecommendations: '', nextPeriodGoals: '' })
-                              setShowReviewModal(true)
-                            }}
+                            onClick={() => openReview(review)}
                             className="btn-primary text-xs py-1 px-2 flex items-center gap-1">
                             <ClipboardList size={12} /> Review
                           </button>
@@ -340,6 +405,9 @@ export default function ManagerReviewsPage() {
               )}
             </div>
           )}
+          <GoalOutcomesPanel summary={summarizeGoalOutcomes(reviewGoals, reviewProgress)} loading={loadingReviewGoals}
+            onInsertFeedback={text => setManagerForm(f => ({ ...f, managerFeedback: appendText(f.managerFeedback, text) }))}
+            onInsertNextGoals={text => setManagerForm(f => ({ ...f, nextPeriodGoals: appendText(f.nextPeriodGoals, text) }))} />
           <div>
             <label className="form-label">Manager Feedback *</label>
             <textarea className="input-field" rows={5}
@@ -347,10 +415,16 @@ export default function ManagerReviewsPage() {
               onChange={e => setManagerForm({ ...managerForm, managerFeedback: e.target.value })}
               placeholder="Provide detailed feedback on this employee's performance..." />
           </div>
-          <div>
-            <label className="form-label">Performance Rating</label>
-            <div className="mt-2">
-              <StarRating value={managerForm.managerRating} onChange={v => setManagerForm({ ...managerForm, managerRating: v })} />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Performance Rating</label>
+              <div className="mt-2">
+                <StarRating value={managerForm.managerRating} onChange={v => setManagerForm({ ...managerForm, managerRating: v })} />
+              </div>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs font-semibold text-gray-600 uppercase mb-1">Goal Outcomes</p>
+              <WeightedGoalScore goals={reviewGoals} loading={loadingReviewGoals} />
             </div>
           </div>
           <div>
@@ -360,19 +434,17 @@ export default function ManagerReviewsPage() {
               onChange={e => setManagerForm({ ...managerForm, ratingJustification: e.target.value })}
               placeholder="Explain why you gave this rating..." />
           </div>
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="form-label">Compensation Recommendations</label>
-              <input className="input-field" value={managerForm.compensationRecommendations}
-                onChange={e => setManagerForm({ ...managerForm, compensationRecommendations: e.target.value })}
-                placeholder="e.g., 10% salary increase" />
-            </div>
-            <div>
-              <label className="form-label">Goals for Next Period</label>
-              <input className="input-field" value={managerForm.nextPeriodGoals}
-                onChange={e => setManagerForm({ ...managerForm, nextPeriodGoals: e.target.value })}
-                placeholder="Suggest next-cycle goals" />
-            </div>
+          <div>
+            <label className="form-label">Compensation Recommendations</label>
+            <input className="input-field" value={managerForm.compensationRecommendations}
+              onChange={e => setManagerForm({ ...managerForm, compensationRecommendations: e.target.value })}
+              placeholder="e.g., 10% salary increase" />
+          </div>
+          <div>
+            <label className="form-label">Goals for Next Period</label>
+            <textarea className="input-field" rows={3} value={managerForm.nextPeriodGoals}
+              onChange={e => setManagerForm({ ...managerForm, nextPeriodGoals: e.target.value })}
+              placeholder="Suggest next-cycle goals" />
           </div>
           <div className="flex gap-3">
             <button type="button" onClick={() => setShowReviewModal(false)} className="btn-secondary flex-1">Cancel</button>
@@ -1,29 +1,45 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
+import { Link } from 'react-router-dom'
 import {
-  Target, Search, CheckCircle, XCircle, MessageSquare,
-  Eye, ChevronDown, RefreshCw, Filter,
+  Target, Search, ChevronDown, RefreshCw, Filter, LayoutList, Columns, GanttChart, Paperclip, ArrowRightCircle,
 } from 'lucide-react'
 import Layout from '../../components/layout/Layout'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import StatusBadge from '../../components/common/StatusBadge'
-import Modal from '../../components/common/Modal'
 import Pagination from '../../components/common/Pagination'
+import Modal from '../../components/common/Modal'
+import BulkProgress from '../../components/common/BulkProgress'
+import BulkResult from '../../components/common/BulkResult'
+import GoalActionButtons from '../../components/goals/GoalActionButtons'
+import GoalActionModal from '../../components/goals/GoalActionModal'
+import GoalBoard from '../../components/goals/GoalBoard'
+import GoalTimeline from '../../components/goals/GoalTimeline'
+import EvidenceFiles from '../../components/goals/EvidenceFiles'
+import GoalQualityBadge from '../../components/goals/GoalQualityBadge'
+import CarryForwardModal from '../../components/goals/CarryForwardModal'
 import goalService from '../../services/goalService'
 import userService from '../../services/userService'
+import { reviewCycleService } from '../../services/reviewService'
 import { useAuth } from '../../context/AuthContext'
+import { useGoalFilters } from '../../hooks/useGoalFilters'
+import { canCarryForward } from '../../utils/carryForward'
+import {
+  GOAL_ACTIONS, GOAL_STATUSES, GOAL_STATUS_LABELS, GOAL_CATEGORIES, GOAL_PRIORITIES,
+  actionNeedsInput, canRunAction, findTransition, runGoalAction, runBulkGoalAction,
+} from '../../utils/goalWorkflow'
 import toast from 'react-hot-toast'
 
 const STATUS_OPTIONS = [
   { value: '', label: 'All Statuses' },
-  { value: 'PENDING', label: 'Pending Approval' },
-  { value: 'IN_PROGRESS', label: 'In Progress' },
-  { value: 'PENDING_COMPLETION_APPROVAL', label: 'Pending Completion' },
-  { value: 'COMPLETED', label: 'Completed' },
-  { value: 'REJECTED', label: 'Rejected' },
+  ...GOAL_STATUSES.map(value => ({ value, label: GOAL_STATUS_LABELS[value] })),
 ]
 
-const PRIORITY_OPTIONS = ['', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL']
-const CATEGORY_OPTIONS = ['', 'TECHNICAL', 'BEHAVIORAL', 'PROFESSIONAL_DEVELOPMENT', 'OTHER']
+// Actions a manager can apply to several selected goals at once
+const BULK_ACTIONS = ['APPROVE', 'REQUEST_CHANGES', 'APPROVE_COMPLETION']
+
+const PRIORITY_OPTIONS = ['', ...GOAL_PRIORITIES]
+const PAGE_SIZE = 10
+const CATEGORY_OPTIONS = ['', ...GOAL_CATEGORIES]
 
 function MetricChip({ label, value, color }) {
   return (
@@ -36,25 +52,37 @@ function MetricChip({ label, value, color }) {
 
 export default function TeamGoalsPage() {
   const { user } = useAuth()
-  const [goals, setGoals]           = useState([])
+  const [pageGoals, setPageGoals]   = useState([])   // one page of goals from the backend
+  const [searchPool, setSearchPool] = useState([])   // while searching: every team goal matching the other filters
   const [loading, setLoading]       = useState(true)
-  const [page, setPage]             = useState(0)
-  const [totalPages, setTotalPages] = useState(0)
-  const [totalElements, setTotalElements] = useState(0)
+  const [serverPages, setServerPages] = useState({ totalPages: 0, totalElements: 0 })
   const [userMap, setUserMap]       = useState({}) // userId -> user object
+  // Team-wide counts for the metric chips — not affected by the filters
+  const [metrics, setMetrics]       = useState({})
 
-  const [statusFilter, setStatusFilter]     = useState('')
-  const [priorityFilter, setPriorityFilter] = useState('')
-  const [categoryFilter, setCategoryFilter] = useState('')
-  const [searchTerm, setSearchTerm]         = useState('')
+  // Filters + page live in the URL and are applied by the backend
+  const { filters, page, searchInput, setSearchInput, setFilter, setPage, clearFilters, hasActiveFilters } = useGoalFilters()
+  const [view, setView]                     = useState('list')  // 'list' | 'board' | 'timeline'
 
+  // Workflow action in progress (see utils/goalWorkflow)
   const [selectedGoal, setSelectedGoal] = useState(null)
-  const [actionType, setActionType]     = useState('')
-  const [actionForm, setActionForm]     = useState({ comments: '', message: '' })
-  const [showActionModal, setShowActionModal] = useState(false)
-  const [showEvidenceModal, setShowEvidenceModal] = useState(false)
-  const [evidenceForm, setEvidenceForm] = useState({ verificationStatus: 'VERIFIED', notes: '' })
-  const [submitting, setSubmitting]     = useState(false)
+  const [actionKey, setActionKey]       = useState('')
+
+  // Bulk actions on the selected rows of the list
+  const [selectedIds, setSelectedIds] = useState([])
+  const [bulkKey, setBulkKey]         = useState('')   // one of BULK_ACTIONS while its modal is open
+  const [carrying, setCarrying]       = useState(false) // carry-forward modal for the selection
+
+  // Goal whose submitted evidence is being looked at
+  const [evidenceGoal, setEvidenceGoal] = useState(null)
+
+  // SMART quality checks and carry-forward both work against the active review cycle
+  const [activeCycle, setActiveCycle] = useState(null)
+  useEffect(() => {
+    reviewCycleService.getActiveCycle()
+      .then(data => setActiveCycle(data?.data || data))
+      .catch(() => {/* no active cycle — the cycle check is skipped */})
+  }, [])
 
   // Load team members for employee name resolution
   useEffect(() => {
@@ -70,16 +98,46 @@ export default function TeamGoalsPage() {
     }
   }, [user?.userId])
 
-  useEffect(() => { loadGoals() }, [page])
+  // Resolve employee name from userMap or fallback to User #ID
+  const getEmployeeName = (goal) => {
+    if (goal.employeeName) return goal.employeeName
+    const u = userMap[goal.assignedToUserId]
+    return u ? u.name : `User #${goal.assignedToUserId}`
+  }
+
+  // The goals API can't search employee names, so a search runs here: the team's
+  // goals matching the other filters are fetched once, then searched by title or
+  // employee name and paged locally. Typing, paging and the team list arriving
+  // only re-filter them.
+  const searching = !!filters.search
+  const searchResults = useMemo(() => {
+    if (!searching) return null
+    const term = filters.search.toLowerCase()
+    return searchPool.filter(g =>
+      g.title?.toLowerCase().includes(term) || getEmployeeName(g).toLowerCase().includes(term))
+  }, [searchPool, filters.search, userMap])
+
+  const goals = searchResults ? searchResults.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE) : pageGoals
+  const totalPages = searchResults ? Math.max(1, Math.ceil(searchResults.length / PAGE_SIZE)) : serverPages.totalPages
+  const totalElements = searchResults ? searchResults.length : serverPages.totalElements
+
+  useEffect(() => {
+    setSelectedIds([])
+    if (!searching) loadPage()
+  }, [page, filters.search, filters.status, filters.priority, filters.category])
+  useEffect(() => {
+    if (searching) loadSearchPool()
+  }, [searching, filters.status, filters.priority, filters.category])
+  useEffect(() => { loadMetrics() }, [])
 
-  const loadGoals = async () => {
+  const loadPage = async () => {
     setLoading(true)
+    setSelectedIds([])
     try {
-      const data = await goalService.getGoals(page, 10)
+      const data = await goalService.getGoals(page, PAGE_SIZE, filters)
       const list = data?.content || data || []
-      setGoals(list)
-      setTotalPages(data?.totalPages || 1)
-      setTotalElements(data?.totalElements || list.length)
+      setPageGoals(list)
+      setServerPages({ totalPages: data?.totalPages || 1, totalElements: data?.totalElements || list.length })
     } catch {
       toast.error('Failed to load team goals')
     } finally {
@@ -87,95 +145,79 @@ export default function TeamGoalsPage() {
     }
   }
 
-  // Resolve employee name from userMap or fallback to User #ID
-  const getEmployeeName = (goal) => {
-    if (goal.employeeName) return goal.employeeName
-    const u = userMap[goal.assignedToUserId]
-    return u ? u.name : `User #${goal.assignedToUserId}`
-  }
-
-  // Client-side filters — status, priority, category, and search all applied here
-  const filtered = goals.filter(g => {
-    const empName = getEmployeeName(g)
-    const matchSearch  = !searchTerm ||
-      g.title?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      empName.toLowerCase().includes(searchTerm.toLowerCase())
-    const matchStatus  = !statusFilter || g.status === statusFilter
-    const matchPri     = !priorityFilter || g.priority === priorityFilter
-    const matchCat     = !categoryFilter || g.category === categoryFilter
-    return matchSearch && matchStatus && matchPri && matchCat
-  })
-
-  // Metrics
-  const totalGoals       = totalElements
-  const pendingApprovals = goals.filter(g => g.status === 'PENDING').length
-  const inProgress       = goals.filter(g => g.status === 'IN_PROGRESS').length
-  const completed        = goals.filter(g => g.status === 'COMPLETED').length
-
-  const openAction = (goal, type) => {
-    setSelectedGoal(goal)
-    setActionType(type)
-    setActionForm({ comments: '', message: '' })
-    setShowActionModal(true)
-  }
-
-  const handleManagerAction = async (e) => {
-    e.preventDefault()
-    setSubmitting(true)
+  const loadSearchPool = async () => {
+    setLoading(true)
+    setSelectedIds([])
     try {
-      switch (actionType) {
-        case 'APPROVE':
-          await goalService.approveGoal(selectedGoal.goalId); toast.success('Goal approved!'); break
-        case 'REQUEST_CHANGES':
-          await goalService.requestChanges(selectedGoal.goalId, actionForm.comments); toast.success('Change request sent'); break
-        case 'APPROVE_COMPLETION':
-          await goalService.approveCompletion(selectedGoal.goalId, actionForm.comments); toast.success('Completion approved!'); break
-        case 'REJECT_COMPLETION':
-          await goalService.rejectCompletion(selectedGoal.goalId, actionForm.comments); toast.success('Completion rejected'); break
-        case 'REQUEST_EVIDENCE':
-          await goalService.requestAdditionalEvidence(selectedGoal.goalId, actionForm.message); toast.success('Evidence requested'); break
-        default: break
-      }
-      setShowActionModal(false)
-      loadGoals()
-    } catch (err) {
-      toast.error(err.response?.data?.msg || 'Action failed')
+      const { search, ...serverFilters } = filters
+      setSearchPool(await goalService.getAllGoals(serverFilters))
+    } catch {
+      toast.error('Failed to load team goals')
     } finally {
-      setSubmitting(false)
+      setLoading(false)
     }
   }
 
-  const handleVerifyEvidence = async (e) => {
-    e.preventDefault()
-    setSubmitting(true)
-    try {
-      await goalService.verifyEvidence(selectedGoal.goalId, evidenceForm.verificationStatus, evidenceForm.notes)
-      toast.success('Evidence verification submitted!')
-      setShowEvidenceModal(false)
-      loadGoals()
-    } catch (err) {
-      toast.error(err.response?.data?.msg || 'Failed to verify evidence')
-    } finally {
-      setSubmitting(false)
+  // Metric chips: one count per status over the whole team, whatever the filters
+  const loadMetrics = async () => {
+    const count = async (status) => {
+      const data = await goalService.getGoals(0, 1, { status })
+      return data?.totalElements ?? (data?.content || data || []).length
     }
+    const [total, pending, inProgress, completed] = await Promise.allSettled(
+      ['', 'PENDING', 'IN_PROGRESS', 'COMPLETED'].map(count))
+    const value = (result) => (result.status === 'fulfilled' ? result.value : null)
+    setMetrics({ total: value(total), pending: value(pending), inProgress: value(inProgress), completed: value(completed) })
   }
 
-  const actionTitles = {
-    APPROVE: 'Approve Goal', REQUEST_CHANGES: 'Request Changes',
-    APPROVE_COMPLETION: 'Approve Completion', REJECT_COMPLETION: 'Reject Completion',
-    REQUEST_EVIDENCE: 'Request Additional Evidence',
+  // After an action: reload the list and the counts it may have changed
+  const reload = () => {
+    if (searching) loadSearchPool()
+    else loadPage()
+    loadMetrics()
+  }
+
+  const openAction = (goal, key) => {
+    setSelectedGoal(goal)
+    setActionKey(key)
   }
 
-  const hasActiveFilters = statusFilter || priorityFilter || categoryFilter || searchTerm
+  // ─── List: multi-select for bulk actions ──────────────────────────────────
+  const selectedGoals = goals.filter(g => selectedIds.includes(g.goalId))
+  const allSelected = goals.length > 0 && selectedGoals.length === goals.length
+  const toggleSelected = (goalId) => setSelectedIds(prev =>
+    prev.includes(goalId) ? prev.filter(id => id !== goalId) : [...prev, goalId])
+
+  // ─── Board: a card was dropped on another column ──────────────────────────
+  // Blocked moves explain why; moves that need comments open the action modal;
+  // anything else (approve, approve completion) runs straight away.
+  const handleMove = async (goal, toStatus) => {
+    const move = findTransition(goal, toStatus, user)
+    if (!move) return
+    if (move.reason) { toast.error(move.reason); return }
+    if (actionNeedsInput(move.key)) { openAction(goal, move.key); return }
+    try {
+      const updated = await runGoalAction(move.key, goal)
+      toast.success(GOAL_ACTIONS[move.key].success)
+      const moved = (list) => list.map(g => g.goalId === goal.goalId
+        ? (updated?.goalId ? updated : { ...g, status: toStatus })
+        : g)
+      setPageGoals(moved)
+      setSearchPool(moved)
+      loadMetrics()
+    } catch (err) {
+      toast.error(err.response?.data?.msg || err.message || 'Action failed')
+    }
+  }
 
   return (
     <Layout title="Team Goals">
       {/* Metrics Row */}
       <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
-        <MetricChip label="Total Team Goals"    value={totalGoals}       color="bg-blue-50 text-blue-700" />
-        <MetricChip label="Pending Approvals"   value={pendingApprovals} color="bg-yellow-50 text-yellow-700" />
-        <MetricChip label="In Progress"         value={inProgress}       color="bg-indigo-50 text-indigo-700" />
-        <MetricChip label="Completed"           value={completed}        color="bg-green-50 text-green-700" />
+        <MetricChip label="Total Team Goals"    value={metrics.total}      color="bg-blue-50 text-blue-700" />
+        <MetricChip label="Pending Approvals"   value={metrics.pending}    color="bg-yellow-50 text-yellow-700" />
+        <MetricChip label="In Progress"         value={metrics.inProgress} color="bg-indigo-50 text-indigo-700" />
+        <MetricChip label="Completed"           value={metrics.completed}  color="bg-green-50 text-green-700" />
       </div>
 
       {/* Filters */}
@@ -184,48 +226,71 @@ export default function TeamGoalsPage() {
           <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
           <input
             type="text"
-            placeholder="Search by title or employee name..."
-            value={searchTerm}
-            onChange={e => setSearchTerm(e.target.value)}
+            placeholder="Search team goals..."
+            value={searchInput}
+            onChange={e => setSearchInput(e.target.value)}
             className="input-field pl-9"
           />
         </div>
-        <select value={statusFilter} onChange={e => setStatusFilter(e.target.value)} className="input-field w-auto">
+        <select value={filters.status} onChange={e => setFilter('status', e.target.value)} className="input-field w-auto">
           {STATUS_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
         </select>
-        <select value={priorityFilter} onChange={e => setPriorityFilter(e.target.value)} className="input-field w-auto">
+        <select value={filters.priority} onChange={e => setFilter('priority', e.target.value)} className="input-field w-auto">
           <option value="">All Priorities</option>
           {PRIORITY_OPTIONS.filter(Boolean).map(p => <option key={p} value={p}>{p}</option>)}
         </select>
-        <select value={categoryFilter} onChange={e => setCategoryFilter(e.target.value)} className="input-field w-auto">
+        <select value={filters.category} onChange={e => setFilter('category', e.target.value)} className="input-field w-auto">
           <option value="">All Categories</option>
           {CATEGORY_OPTIONS.filter(Boolean).map(c => <option key={c} value={c}>{c}</option>)}
         </select>
         {hasActiveFilters && (
-          <button onClick={() => { setStatusFilter(''); setPriorityFilter(''); setCategoryFilter(''); setSearchTerm('') }}
+          <button onClick={clearFilters}
             className="btn-secondary text-xs px-3">
             Clear
           </button>
         )}
-        <button onClick={loadGoals} className="btn-secondary p-2">
+        <button onClick={reload} className="btn-secondary p-2">
           <RefreshCw size={16} />
         </button>
+        {/* List / board / timeline toggle */}
+        <div className="flex rounded-lg border border-gray-200 overflow-hidden">
+          {[['list', LayoutList, 'List'], ['board', Columns, 'Board'], ['timeline', GanttChart, 'Timeline']].map(([key, Icon, label]) => (
+            <button key={key} onClick={() => setView(key)} title={`${label} view`}
+              className={`px-3 py-2 text-sm flex items-center gap-1 ${view === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}>
+              <Icon size={16} /> {label}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* Active filter chips */}
       {hasActiveFilters && (
         <div className="flex flex-wrap gap-2 mb-4 text-xs">
-          {statusFilter && <span className="bg-blue-100 text-blue-700 px-2 py-1 rounded-full">Status: {STATUS_OPTIONS.find(o => o.value === statusFilter)?.label}</span>}
-          {priorityFilter && <span className="bg-orange-100 text-orange-700 px-2 py-1 rounded-full">Priority: {priorityFilter}</span>}
-          {categoryFilter && <span className="bg-purple-100 text-purple-700 px-2 py-1 rounded-full">Category: {categoryFilter}</span>}
-          <span className="text-gray-500 self-center">{filtered.length} result{filtered.length !== 1 ? 's' : ''} on this page</span>
+          {filters.search && <span className="bg-gray-100 text-gray-700 px-2 py-1 rounded-full">Search: “{filters.search}”</span>}
+          {filters.status && <span className="bg-blue-100 text-blue-700 px-2 py-1 rounded-full">Status: {STATUS_OPTIONS.find(o => o.value === filters.status)?.label}</span>}
+          {filters.priority && <span className="bg-orange-100 text-orange-700 px-2 py-1 rounded-full">Priority: {filters.priority}</span>}
+          {filters.category && <span className="bg-purple-100 text-purple-700 px-2 py-1 rounded-full">Category: {filters.category}</span>}
+          <span className="text-gray-500 self-center">{totalElements} matching goal{totalElements !== 1 ? 's' : ''}</span>
         </div>
       )}
 
-      {/* Goals Table */}
+      {/* Goals Table / Board / Timeline */}
       {loading ? (
         <LoadingSpinner message="Loading team goals..." />
-      ) : filtered.length === 0 ? (
+      ) : view === 'board' ? (
+        <div className="card">
+          <p className="text-xs text-gray-500 mb-3">
+            Drag a goal to another column to move it through the workflow.
+          </p>
+          <GoalBoard goals={goals} user={user} getEmployeeName={getEmployeeName} onMove={handleMove} />
+          <Pagination currentPage={page} totalPages={totalPages} totalElements={totalElements} onPageChange={setPage} />
+        </div>
+      ) : view === 'timeline' ? (
+        <div className="card">
+          <GoalTimeline goals={goals} getGroupName={getEmployeeName} />
+          <Pagination currentPage={page} totalPages={totalPages} totalElements={totalElements} onPageChange={setPage} />
+        </div>
+      ) : goals.length === 0 ? (
         <div className="card text-center py-16">
           <Target size={48} className="mx-auto mb-3 text-gray-300" />
           <p className="text-gray-500 font-medium">No team goals found</p>
@@ -233,27 +298,55 @@ export default function TeamGoalsPage() {
         </div>
       ) : (
         <div className="card p-0 overflow-hidden">
+          {/* Bulk action bar */}
+          {selectedGoals.length > 0 && (
+            <div className="flex items-center gap-2 flex-wrap px-4 py-2 bg-blue-50 border-b border-blue-100">
+              <span className="text-sm font-medium text-blue-800 mr-2">{selectedGoals.length} selected</span>
+              {BULK_ACTIONS.map(key => {
+                const { label, icon: Icon, buttonClass } = GOAL_ACTIONS[key]
+                const eligible = selectedGoals.filter(g => canRunAction(key, g, user)).length
+                return (
+                  <button key={key} onClick={() => setBulkKey(key)} disabled={eligible === 0}
+                    className={`${buttonClass} text-xs py-1 px-2 flex items-center gap-1 disabled:opacity-50`}>
+                    <Icon size={12} /> {label} ({eligible})
+                  </button>
+                )
+              })}
+              <button onClick={() => setCarrying(true)}
+                disabled={!selectedGoals.some(g => canCarryForward(g, user, activeCycle))}
+                className="btn-secondary text-xs py-1 px-2 flex items-center gap-1 disabled:opacity-50">
+                <ArrowRightCircle size={12} /> Carry Forward ({selectedGoals.filter(g => canCarryForward(g, user, activeCycle)).length})
+              </button>
+              <button onClick={() => setSelectedIds([])} className="text-xs text-gray-500 hover:text-gray-700 ml-auto">
+                Clear selection
+              </button>
+            </div>
+          )}
           <div className="overflow-x-auto">
             <table className="w-full text-sm">
               <thead className="bg-gray-50 border-b border-gray-200">
                 <tr>
-                  {['ID', 'Employee', 'Title', 'Category', 'Priority', 'Status', 'Start Date', 'Due Date', 'Actions'].map(h => (
+                  <th className="pl-4 py-3 w-8">
+                    <input type="checkbox" checked={allSelected} title="Select all on this page"
+                      onChange={() => setSelectedIds(allSelected ? [] : goals.map(g => g.goalId))} />
+                  </th>
+                  {['ID', 'Employee', 'Title', 'SMART', 'Category', 'Priority', 'Status', 'Start Date', 'Due Date', 'Actions'].map(h => (
                     <th key={h} className="text-left px-4 py-3 text-xs font-semibold text-gray-600 uppercase tracking-wider whitespace-nowrap">{h}</th>
                   ))}
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-100">
-                {filtered.map(goal => (
+                {goals.map(goal => (
                   <GoalRow
                     key={goal.goalId}
                     goal={goal}
                     employeeName={getEmployeeName(goal)}
-                    onApprove={() => openAction(goal, 'APPROVE')}
-                    onRequestChanges={() => openAction(goal, 'REQUEST_CHANGES')}
-                    onApproveCompletion={() => openAction(goal, 'APPROVE_COMPLETION')}
-                    onRejectCompletion={() => openAction(goal, 'REJECT_COMPLETION')}
-                    onRequestEvidence={() => openAction(goal, 'REQUEST_EVIDENCE')}
-                    onVerifyEvidence={() => { setSelectedGoal(goal); setShowEvidenceModal(true) }}
+                    activeCycle={activeCycle}
+                    user={user}
+                    selected={selectedIds.includes(goal.goalId)}
+                    onToggle={() => toggleSelected(goal.goalId)}
+                    onViewEvidence={() => setEvidenceGoal(goal)}
+                    onAction={(key) => openAction(goal, key)}
                   />
                 ))}
               </tbody>
@@ -265,91 +358,70 @@ export default function TeamGoalsPage() {
         </div>
       )}
 
-      {/* Manager Action Modal */}
-      <Modal isOpen={showActionModal} onClose={() => setShowActionModal(false)} title={actionTitles[actionType] || 'Action'}>
-        <form onSubmit={handleManagerAction} className="space-y-4">
-          <p className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">Goal: <strong>{selectedGoal?.title}</strong></p>
-          {actionType === 'APPROVE' ? (
-            <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-sm text-green-700">
-              This will approve the goal and allow the employee to start working on it.
-            </div>
-          ) : (
-            <div>
-              <label className="form-label">{actionType === 'REQUEST_EVIDENCE' ? 'Message to Employee *' : 'Comments / Reason *'}</label>
-              <textarea
-                className="input-field" rows={4}
-                value={actionType === 'REQUEST_EVIDENCE' ? actionForm.message : actionForm.comments}
-                onChange={e => setActionForm(
-                  actionType === 'REQUEST_EVIDENCE'
-                    ? { ...actionForm, message: e.target.value }
-                    : { ...actionForm, comments: e.target.value }
-                )}
-                placeholder="Enter your comments..."
-              />
-            </div>
-          )}
-          <div className="flex gap-3">
-            <button type="button" onClick={() => setShowActionModal(false)} className="btn-secondary flex-1">Cancel</button>
-            <button type="submit" disabled={submitting}
-              className={`flex-1 ${actionType === 'REJECT_COMPLETION' ? 'btn-danger' : actionType === 'APPROVE' || actionType === 'APPROVE_COMPLETION' ? 'btn-success' : 'btn-primary'}`}>
-              {submitting ? 'Processing...' : actionTitles[actionType]}
-            </button>
-          </div>
-        </form>
-      </Modal>
+      {/* Workflow Action Modal (approve, request changes, verify evidence, …) */}
+      <GoalActionModal goal={selectedGoal} actionKey={actionKey}
+        onClose={() => setActionKey('')} onDone={reload} />
 
-      {/* Verify Evidence Modal */}
-      <Modal isOpen={showEvidenceModal} onClose={() => setShowEvidenceModal(false)} title="Verify Evidence">
-        <form onSubmit={handleVerifyEvidence} className="space-y-4">
-          {selectedGoal?.evidenceLink && (
-            <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
-              <p className="text-xs font-medium text-blue-700 mb-1">Evidence Link:</p>
-              <a href={selectedGoal.evidenceLink} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:underline break-all">
-                {selectedGoal.evidenceLink}
-              </a>
+      {/* Submitted evidence (link + file previews / downloads) */}
+      <Modal isOpen={!!evidenceGoal} onClose={() => setEvidenceGoal(null)}
+        title={`Evidence — ${evidenceGoal?.title || ''}`} size="lg">
+        {evidenceGoal && (
+          <div className="space-y-4">
+            {evidenceGoal.completionNotes && (
+              <div className="bg-green-50 rounded-lg p-3">
+                <p className="text-xs font-medium text-green-700 mb-1">Completion Notes:</p>
+                <p className="text-sm text-green-800 whitespace-pre-line">{evidenceGoal.completionNotes}</p>
+              </div>
+            )}
+            <EvidenceFiles goal={evidenceGoal} />
+            <div className="flex gap-3">
+              <button onClick={() => setEvidenceGoal(null)} className="btn-secondary flex-1">Close</button>
+              {canRunAction('VERIFY_EVIDENCE', evidenceGoal, user) && (
+                <button onClick={() => { openAction(evidenceGoal, 'VERIFY_EVIDENCE'); setEvidenceGoal(null) }}
+                  className="btn-primary flex-1">
+                  Verify Evidence
+                </button>
+              )}
             </div>
-          )}
-          <div>
-            <label className="form-label">Verification Decision</label>
-            <select className="input-field" value={evidenceForm.verificationStatus}
-              onChange={e => setEvidenceForm({ ...evidenceForm, verificationStatus: e.target.value })}>
-              <option value="VERIFIED">Verified — Evidence is acceptable</option>
-              <option value="NEEDS_REVISION">Needs Revision — More work needed</option>
-              <option value="REJECTED">Rejected — Does not meet requirements</option>
-            </select>
-          </div>
-          <div>
-            <label className="form-label">Notes</label>
-            <textarea className="input-field" rows={3} value={evidenceForm.notes}
-              onChange={e => setEvidenceForm({ ...evidenceForm, notes: e.target.value })}
-              placeholder="Add notes about your verification..." />
-          </div>
-          <div className="flex gap-3">
-            <button type="button" onClick={() => setShowEvidenceModal(false)} className="btn-secondary flex-1">Cancel</button>
-            <button type="submit" disabled={submitting} className="btn-primary flex-1">
-              {submitting ? 'Submitting...' : 'Submit Verification'}
-            </button>
           </div>
-        </form>
+        )}
       </Modal>
+
+      {/* Bulk Action Modal */}
+      {bulkKey && (
+        <BulkActionModal actionKey={bulkKey} goals={selectedGoals} user={user}
+          getEmployeeName={getEmployeeName}
+          onClose={(changed) => { setBulkKey(''); if (changed) reload() }} />
+      )}
+
+      {/* Carry the selected unfinished goals into the active review cycle */}
+      {carrying && (
+        <CarryForwardModal goals={selectedGoals} user={user} activeCycle={activeCycle}
+          getEmployeeName={getEmployeeName}
+          onClose={(changed) => { setCarrying(false); if (changed) reload() }} />
+      )}
     </Layout>
   )
 }
 
-function GoalRow({ goal, employeeName, onApprove, onRequestChanges, onApproveCompletion, onRejectCompletion, onRequestEvidence, onVerifyEvidence }) {
+function GoalRow({ goal, employeeName, activeCycle, user, selected, onToggle, onViewEvidence, onAction }) {
   const priorityColors = { CRITICAL: 'text-red-600 font-bold', HIGH: 'text-orange-500', MEDIUM: 'text-yellow-600', LOW: 'text-green-600' }
 
   return (
-    <tr className="hover:bg-gray-50 transition-colors">
+    <tr className={`transition-colors ${selected ? 'bg-blue-50/50' : 'hover:bg-gray-50'}`}>
+      <td className="pl-4 py-3">
+        <input type="checkbox" checked={selected} onChange={onToggle} />
+      </td>
       <td className="px-4 py-3 text-xs text-gray-400 font-mono">#{goal.goalId}</td>
       <td className="px-4 py-3 whitespace-nowrap">
         <p className="text-gray-800 font-medium">{employeeName}</p>
         <p className="text-xs text-gray-400">ID: {goal.assignedToUserId}</p>
       </td>
       <td className="px-4 py-3 text-gray-700 max-w-xs">
-        <p className="truncate font-medium" title={goal.title}>{goal.title}</p>
+        <Link to={`/goals/${goal.goalId}`} className="block truncate font-medium hover:text-blue-600" title={goal.title}>{goal.title}</Link>
         {goal.description && <p className="text-xs text-gray-400 truncate mt-0.5" title={goal.description}>{goal.description}</p>}
       </td>
+      <td className="px-4 py-3"><GoalQualityBadge goal={goal} activeCycle={activeCycle} /></td>
       <td className="px-4 py-3 text-xs">
         <span className="bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">{goal.category}</span>
       </td>
@@ -358,26 +430,71 @@ function GoalRow({ goal, employeeName, onApprove, onRequestChanges, onApproveCom
       <td className="px-4 py-3 text-xs text-gray-500 whitespace-nowrap">{goal.startDate || '—'}</td>
       <td className="px-4 py-3 text-xs text-gray-500 whitespace-nowrap">{goal.endDate || '—'}</td>
       <td className="px-4 py-3">
-        <div className="flex flex-wrap gap-1 min-w-[120px]">
-          {goal.status === 'PENDING' && (
-            <>
-              <button onClick={onApprove} className="btn-success text-xs py-1 px-2 flex items-center gap-1"><CheckCircle size={12} /> Approve</button>
-              <button onClick={onRequestChanges} className="btn-secondary text-xs py-1 px-2 flex items-center gap-1"><MessageSquare size={12} /> Changes</button>
-            </>
-          )}
+        <div className="min-w-[120px] space-y-1">
           {goal.status === 'PENDING_COMPLETION_APPROVAL' && (
-            <>
-              {goal.evidenceLink && <button onClick={onVerifyEvidence} className="btn-primary text-xs py-1 px-2 flex items-center gap-1"><Eye size={12} /> Verify</button>}
-              <button onClick={onApproveCompletion} className="btn-success text-xs py-1 px-2 flex items-center gap-1"><CheckCircle size={12} /> Approve</button>
-              <button onClick={onRejectCompletion} className="btn-danger text-xs py-1 px-2 flex items-center gap-1"><XCircle size={12} /> Reject</button>
-              <button onClick={onRequestEvidence} className="btn-secondary text-xs py-1 px-2 flex items-center gap-1"><MessageSquare size={12} /> Evidence</button>
-            </>
-          )}
-          {(goal.status === 'COMPLETED' || goal.status === 'IN_PROGRESS' || goal.status === 'REJECTED') && (
-            <span className="text-xs text-gray-400 italic">No action needed</span>
+            <button onClick={onViewEvidence} className="text-xs text-blue-600 hover:underline flex items-center gap-1">
+              <Paperclip size={12} /> View evidence
+            </button>
           )}
+          <GoalActionButtons goal={goal} user={user} onAction={onAction} size="xs" emptyText="No action needed" />
         </div>
       </td>
     </tr>
   )
 }
+
+// ─── BULK ACTION MODAL ───────────────────────────────────────────────────────
+// Confirms a bulk action (with one shared comment where the action takes one),
+// runs it goal by goal through the workflow module, then lists what failed and why.
+function BulkActionModal({ actionKey, goals, user, getEmployeeName, onClose }) {
+  const action = GOAL_ACTIONS[actionKey]
+  const eligible = goals.filter(g => canRunAction(actionKey, g, user))
+  const [comments, setComments] = useState('')
+  const [progress, setProgress] = useState(null)   // { done, total } while running
+  const [result, setResult]     = useState(null)   // { succeeded, failed } once finished
+
+  const running = progress && !result
+  const close = () => { if (!running) onClose(!!result?.succeeded.length) }
+
+  const handleRun = async (e) => {
+    e.preventDefault()
+    if (action.comment?.required && !comments.trim()) {
+      toast.error(`${action.comment.label} is required`)
+      return
+    }
+    setProgress({ done: 0, total: goals.length })
+    const outcome = await runBulkGoalAction(actionKey, goals, user, { comments },
+      (done, total) => setProgress({ done, total }))
+    setResult(outcome)
+    if (outcome.failed.length === 0) toast.success(`${action.label}: ${outcome.succeeded.length} goal(s) done`)
+  }
+
+  return (
+    <Modal isOpen onClose={close} title={`${action.label} — ${goals.length} goal${goals.length !== 1 ? 's' : ''}`}>
+      {result ? (
+        <BulkResult result={result} getEmployeeName={getEmployeeName} onDone={close} />
+      ) : (
+        <form onSubmit={handleRun} className="space-y-4">
+          <p className="text-sm text-gray-600 bg-gray-50 rounded-lg p-3">
+            <strong>{eligible.length}</strong> of {goals.length} selected goal{goals.length !== 1 ? 's' : ''} can
+            be processed. {goals.length - eligible.length > 0 && 'The others will be skipped and listed with the reason.'}
+          </p>
+          {action.form === 'COMMENT' && (
+            <div>
+              <label className="form-label">{action.comment.label}{action.comment.required ? ' *' : ''} (sent with every goal)</label>
+              <textarea className="input-field" rows={4} value={comments} disabled={running}
+                onChange={e => setComments(e.target.value)} placeholder={action.comment.placeholder} />
+            </div>
+          )}
+          {running && <BulkProgress progress={progress} />}
+          <div className="flex gap-3">
+            <button type="button" onClick={close} disabled={running} className="btn-secondary flex-1">Cancel</button>
+            <button type="submit" disabled={running || eligible.length === 0} className={`${action.buttonClass} flex-1`}>
+              {running ? 'Processing...' : `${action.label} (${eligible.length})`}
+            </button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  )
+}
@@ -6,7 +6,12 @@ import {
 } from 'recharts'
 import Layout from '../../components/layout/Layout'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
+import ReportHistory from '../../components/reports/ReportHistory'
+import KeyResultsCard from '../../components/reports/KeyResultsCard'
 import reportService from '../../services/reportService'
+import goalService from '../../services/goalService'
+import { getGoalStatusData, getCompletionRate, withKeyResults } from '../../utils/reportData'
+import { EXPORT_FORMATS, downloadGeneratedReport } from '../../utils/reportExport'
 import toast from 'react-hot-toast'
 
 const COLORS = ['#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#3b82f6', '#06b6d4']
@@ -30,6 +35,8 @@ export default function TeamReportsPage() {
   const [loading, setLoading]           = useState(true)
   const [generating, setGenerating]     = useState(false)
   const [activeTab, setActiveTab]       = useState('overview')
+  const [generatedCount, setGeneratedCount] = useState(0)  // bumps the history list after each generate
+  const [reportFormat, setReportFormat]     = useState('JSON')  // JSON = snapshot only, no download
 
   useEffect(() => { loadAll() }, [])
 
@@ -42,7 +49,11 @@ export default function TeamReportsPage() {
         reportService.getPerformanceSummary(),
       ])
       if (dash.status === 'fulfilled')  setDashboard(dash.value?.data || dash.value)
-      if (goals.status === 'fulfilled') setGoalAnalytics(goals.value?.data || goals.value)
+      if (goals.status === 'fulfilled') {
+        const analytics = goals.value?.data || goals.value
+        setGoalAnalytics(analytics)
+        if (analytics && !analytics.keyResults) loadKeyResults(analytics)
+      }
       if (perf.status === 'fulfilled')  setPerfSummary(perf.value?.data || perf.value)
     } catch {
       toast.error('Failed to load team reports')
@@ -51,33 +62,35 @@ export default function TeamReportsPage() {
     }
   }
 
+  // Key-result roll-up from every goal — only when the backend's goal analytics
+  // don't include one, as it walks the whole goal list. Runs after the rest of
+  // the page is shown; a failed list leaves the card empty rather than partial.
+  const loadKeyResults = async (analytics) => {
+    try {
+      const list = await goalService.getAllGoals()
+      setGoalAnalytics(prev => (prev === analytics ? withKeyResults(analytics, list) : prev))
+    } catch {/* no roll-up */}
+  }
+
   const handleGenerateReport = async (scope) => {
     setGenerating(true)
     try {
-      await reportService.generateReport(scope, 'JSON')
-      toast.success(`${scope} report generated!`)
+      const report = await reportService.generateReport(scope, reportFormat)
+      setGeneratedCount(c => c + 1)
+      if (EXPORT_FORMATS.includes(reportFormat)) {
+        await downloadGeneratedReport(report, reportFormat, scope, { dashboard, goalAnalytics, perfSummary })
+        toast.success(`${scope} report downloaded as ${reportFormat}`)
+      } else {
+        toast.success(`${scope} report generated!`)
+      }
     } catch (err) {
-      toast.error(err.response?.data?.msg || 'Report generation failed')
+      toast.error(err.response?.data?.msg || err.message || 'Report generation failed')
     } finally {
       setGenerating(false)
     }
   }
 
-  const goalStatusData = goalAnalytics
-    ? [
-        { name: 'Pending',            value: goalAnalytics.pending || 0 },
-        { name: 'In Progress',        value: goalAnalytics.inProgress || 0 },
-        { name: 'Pending Completion', value: goalAnalytics.pendingCompletion || 0 },
-        { name: 'Completed',          value: goalAnalytics.completed || 0 },
-        { name: 'Rejected',           value: goalAnalytics.rejected || 0 },
-      ].filter(d => d.value > 0)
-    : dashboard
-      ? [
-          { name: 'Completed',  value: dashboard.completedGoals || 0 },
-          { name: 'In Progress', value: dashboard.inProgressGoals || 0 },
-          { name: 'Pending',    value: dashboard.pendingGoals || 0 },
-        ].filter(d => d.value > 0)
-      : []
+  const goalStatusData = getGoalStatusData(goalAnalytics, dashboard)
 
   const ratingData = perfSummary?.avgSelfRating != null || perfSummary?.avgManagerRating != null
     ? [
@@ -90,13 +103,12 @@ export default function TeamReportsPage() {
     { id: 'overview',     label: 'Overview' },
     { id: 'goals',        label: 'Goal Analytics' },
     { id: 'performance',  label: 'Performance' },
+    { id: 'history',      label: 'Generated Reports' },
   ]
 
   if (loading) return <Layout title="Team Reports"><LoadingSpinner message="Loading team reports..." /></Layout>
 
-  const completionRate = dashboard?.totalGoals
-    ? Math.round((dashboard.completedGoals / dashboard.totalGoals) * 100)
-    : null
+  const completionRate = getCompletionRate(dashboard)
 
   return (
     <Layout title="Team Reports">
@@ -110,6 +122,10 @@ export default function TeamReportsPage() {
             {generating ? 'Generating...' : `Generate ${scope} Report`}
           </button>
         ))}
+        <select value={reportFormat} onChange={e => setReportFormat(e.target.value)}
+          className="input-field w-auto text-sm" title="Report format">
+          {['JSON', ...EXPORT_FORMATS].map(f => <option key={f} value={f}>{f}</option>)}
+        </select>
         <button onClick={loadAll} className="btn-secondary p-2 ml-auto"><RefreshCw size={16} /></button>
       </div>
 
@@ -196,6 +212,8 @@ export default function TeamReportsPage() {
               </ResponsiveContainer>
             </div>
           )}
+
+          <KeyResultsCard summary={goalAnalytics?.keyResults} color={COLORS[0]} />
         </div>
       )}
 
@@ -237,6 +255,11 @@ export default function TeamReportsPage() {
           )}
         </div>
       )}
+
+      {/* Generated Reports Tab */}
+      {activeTab === 'history' && (
+        <ReportHistory colors={COLORS} refreshKey={generatedCount} />
+      )}
     </Layout>
   )
 }
@@ -2,7 +2,7 @@ import axios from 'axios'
 
 // Base API URL — all requests go through the Spring Cloud API Gateway (port 8092)
 // The Vite dev server proxies /api → http://localhost:8092
-const BASE_URL = '/api/v1'
+export const BASE_URL = '/api/v1'
 
 // Create an Axios instance with default settings
 const api = axios.create({
@@ -12,10 +12,81 @@ const api = axios.create({
   },
 })
 
+// ─── TOKEN REFRESH ───────────────────────────────────────────────────────────
+// When the access token expires we get a new one with the refresh token
+// instead of logging the user out (which would lose unsaved forms).
+// While a refresh is running, every other request that fails with 401 waits
+// in `pendingQueue` and is replayed once the new token arrives.
+let isRefreshing = false
+let pendingQueue = []   // [{ resolve, reject }]
+
+// Settle every queued request with the new token (or the refresh error)
+const flushQueue = (error, token = null) => {
+  pendingQueue.forEach(({ resolve, reject }) => (error ? reject(error) : resolve(token)))
+  pendingQueue = []
+}
+
+// Clear the session and hard-redirect to the login page
+const forceLogout = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+  localStorage.removeItem('user')
+  window.location.href = '/login'
+}
+
+/**
+ * POST /api/v1/auth/refresh
+ * Uses a plain axios call (not `api`) so a 401 here can't trigger another refresh.
+ * Returns the new access token and notifies AuthContext via the
+ * "auth:token-refreshed" window event.
+ */
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken')
+  if (!refreshToken) throw new Error('No refresh token available')
+
+  const response = await axios.post(`${BASE_URL}/auth/refresh`, { refreshToken })
+  // Same ApiResponse<T> envelope as every other endpoint
+  const data = response.data?.data ?? response.data
+  if (!data?.token) throw new Error('Refresh response did not include a token')
+
+  localStorage.setItem('token', data.token)
+  if (data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken)
+  window.dispatchEvent(new CustomEvent('auth:token-refreshed', { detail: data }))
+  return data.token
+}
+
+/**
+ * Refresh the access token for calls that don't go through `api`
+ * (the fetch-based notification stream). Joins a refresh that is already
+ * running instead of starting a second one; logs out if the refresh fails.
+ */
+export const refreshSession = async () => {
+  if (isRefreshing) {
+    return new Promise((resolve, reject) => pendingQueue.push({ resolve, reject }))
+  }
+  isRefreshing = true
+  try {
+    const token = await refreshAccessToken()
+    isRefreshing = false
+    flushQueue(null, token)
+    return token
+  } catch (refreshError) {
+    isRefreshing = false
+    flushQueue(refreshError)
+    forceLogout()
+    throw refreshError
+  }
+}
+
 // ─── REQUEST INTERCEPTOR ─────────────────────────────────────────────────────
-// Automatically attach the JWT token to every outgoing request
+// Automatically attach the JWT token to every outgoing request.
+// If a token refresh is running, new requests wait for it instead of going
+// out with the expired token.
 api.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    if (isRefreshing) {
+      await new Promise((resolve, reject) => pendingQueue.push({ resolve, reject }))
+    }
     // Get the JWT token from localStorage (saved after login)
     const token = localStorage.getItem('token')
     if (token) {
@@ -29,7 +100,8 @@ api.interceptors.request.use(
 // ─── RESPONSE INTERCEPTOR ────────────────────────────────────────────────────
 // 1. Auto-unwrap the backend's ApiResponse<T> envelope so every service gets
 //    the inner `data` field directly instead of { status, msg, data }.
-// 2. Redirect to /login on 401 Unauthorized.
+// 2. On 401 Unauthorized: refresh the token once, replay the queued requests,
+//    and only redirect to /login if the refresh itself fails.
 api.interceptors.response.use(
   (response) => {
     // Every backend endpoint returns ApiResponse<T> = { status, msg, data }
@@ -46,14 +118,55 @@ api.interceptors.response.use(
     }
     return response
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid — clear storage and redirect to login
-      localStorage.removeItem('token')
-      localStorage.removeItem('user')
-      window.location.href = '/login'
+  async (error) => {
+    const originalRequest = error.config
+
+    // Only handle 401s from authenticated calls, and only retry each request once.
+    // A 401 from login itself means wrong credentials, not an expired token.
+    if (
+      error.response?.status !== 401 ||
+      !originalRequest ||
+      originalRequest._retry ||
+      originalRequest.url?.startsWith('/auth/login')
+    ) {
+      return Promise.reject(error)
+    }
+    originalRequest._retry = true
+
+    // Sent with a token that has been replaced since (a refresh finished while
+    // this request was in flight) — just replay it with the current one
+    const currentToken = localStorage.getItem('token')
+    if (currentToken && originalRequest.headers?.Authorization !== `Bearer ${currentToken}`) {
+      originalRequest.headers.Authorization = `Bearer ${currentToken}`
+      return api(originalRequest)
+    }
+
+    // A refresh is already running — wait for it, then replay with the new token
+    if (isRefreshing) {
+      return new Promise((resolve, reject) => {
+        pendingQueue.push({ resolve, reject })
+      }).then((token) => {
+        originalRequest.headers.Authorization = `Bearer ${token}`
+        return api(originalRequest)
+      })
+    }
+
+    isRefreshing = true
+    let token
+    try {
+      token = await refreshAccessToken()
+    } catch (refreshError) {
+      // Refresh failed — the session is really over
+      isRefreshing = false
+      flushQueue(refreshError)
+      forceLogout()
+      return Promise.reject(error)
     }
-    return Promise.reject(error)
+    // Clear the flag before replaying, so the replayed requests don't queue again
+    isRefreshing = false
+    flushQueue(null, token)
+    originalRequest.headers.Authorization = `Bearer ${token}`
+    return api(originalRequest)
   }
 )
 
@@ -17,10 +17,30 @@ const auditService = {
     return response.data
   },
 
+  /**
+   * GET /api/v1/audit-logs (every page)
+   * Fetch ALL logs matching the filters, one page after another, so large
+   * date ranges are complete. onProgress(fetchedSoFar, total) after each page.
+   */
+  getAllAuditLogs: async (filters = {}, onProgress) => {
+    const size = 200
+    const all = []
+    for (let page = 0; ; page++) {
+      const response = await api.get('/audit-logs', { params: { page, size, ...filters } })
+      const data = response.data
+      const list = data?.content || data || []
+      all.push(...list)
+      onProgress?.(all.length, data?.totalElements ?? all.length)
+      // Plain arrays are unpaginated; otherwise stop on the last (or a short) page
+      if (!data?.content || data.last || page + 1 >= (data.totalPages ?? 0) || list.length < size) break
+    }
+    return all
+  },
+
   /**
    * POST /api/v1/audit-logs/export
-   * Export audit logs (ADMIN only).
-   * Body: { dateFrom, dateTo, userId, action }
+   * Record an export in the audit trail (ADMIN only) — the file itself is built on the client.
+   * Body: { userId, action, startDt, endDt, search, format, rowCount }
    */
   exportAuditLogs: async (filters = {}) => {
     const response = await api.post('/audit-logs/export', filters)
@@ -24,6 +24,7 @@ const authService = {
     } finally {
       // Always clear local storage, even if the server call fails
       localStorage.removeItem('token')
+      localStorage.removeItem('refreshToken')
       localStorage.removeItem('user')
     }
   },
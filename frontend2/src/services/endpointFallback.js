@@ -0,0 +1,42 @@
+// ─── ENDPOINT FALLBACK ────────────────────────────────────────────────────────
+// For services whose backend endpoints may not exist yet: call the backend and,
+// only when it has no such endpoint at all, use a browser-side stand-in.
+//
+// "No such endpoint" is an explicit check: 405 / 501, or a 404 that is not one
+// of our ApiResponse errors. A 404 that does carry an ApiResponse body (e.g.
+// "Goal not found") is a missing record — it is thrown like any other error
+// and never switches the store.
+//
+// Usage:
+//   const fallback = createEndpointFallback()
+//   await fallback.run(() => api.get('/things'), () => localStore.list())
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Did the request fail because the backend has no such endpoint? */
+export function isMissingEndpoint(err) {
+  const status = err?.response?.status
+  if (status === 405 || status === 501) return true
+  if (status !== 404) return false
+  const body = err.response.data
+  return !(body && typeof body === 'object' && typeof body.msg === 'string')
+}
+
+/**
+ * One backend-or-stand-in switch per service. Once an endpoint turned out to be
+ * missing, later calls go straight to the stand-in for the rest of the session.
+ */
+export function createEndpointFallback() {
+  let useLocalStore = false
+  return {
+    run: async (serverCall, localCall) => {
+      if (useLocalStore) return localCall()
+      try {
+        return await serverCall()
+      } catch (err) {
+        if (!isMissingEndpoint(err)) throw err
+        useLocalStore = true
+        return localCall()
+      }
+    },
+  }
+}
@@ -0,0 +1,160 @@
+import api from './api'
+import { createEndpointFallback } from './endpointFallback'
+
+// ─── EVIDENCE SERVICE ─────────────────────────────────────────────────────────
+// Connects to: core-service via API Gateway at /api/v1/goals/{goalId}/evidence/files
+// Files an employee attaches as completion evidence (PDFs, images, documents).
+//
+// Local stand-in: until the backend exposes file storage, this service falls
+// back to a browser-side store (IndexedDB) — only when the endpoint is missing,
+// see endpointFallback. Files stored that way are only visible in this browser.
+//
+// A file belongs to a completion submission once it is submitted: server files
+// through the submission's evFileIds, local ones through `submittedAt`.
+//
+// A stored file: { fileId, goalId, fileName, contentType, size, uploadedDate, storage, submittedAt? }
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fallback = createEndpointFallback()
+
+// ── Local stand-in (IndexedDB) ──
+const DB_NAME = 'goalEvidence'
+const STORE   = 'files'
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1)
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'fileId' }).createIndex('goalId', 'goalId')
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Run one request against the store and resolve with its result once the transaction commits
+async function inStore(mode, makeRequest) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const request = makeRequest(tx.objectStore(STORE))
+    tx.oncomplete = () => { db.close(); resolve(request.result) }
+    tx.onerror = () => { db.close(); reject(tx.error) }
+  })
+}
+
+const withoutBlob = ({ blob, ...meta }) => meta
+
+const localStore = {
+  save: async (goalId, file) => {
+    const record = {
+      fileId: `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      goalId: String(goalId),
+      fileName: file.name,
+      contentType: file.type,
+      size: file.size,
+      uploadedDate: new Date().toISOString(),
+      storage: 'local',
+      blob: file,
+    }
+    await inStore('readwrite', store => store.put(record))
+    return withoutBlob(record)
+  },
+  list: async (goalId) =>
+    (await inStore('readonly', store => store.index('goalId').getAll(String(goalId)))).map(withoutBlob),
+  blob: async (fileId) => {
+    const record = await inStore('readonly', store => store.get(fileId))
+    if (!record) throw new Error('This file is no longer available')
+    return record.blob
+  },
+  remove: (fileId) => inStore('readwrite', store => store.delete(fileId)),
+  markSubmitted: async (fileId, submittedAt) => {
+    const record = await inStore('readonly', store => store.get(fileId))
+    if (record) await inStore('readwrite', store => store.put({ ...record, submittedAt }))
+  },
+}
+
+const evidenceService = {
+  /**
+   * POST /api/v1/goals/{goalId}/evidence/files  (multipart, field "file")
+   * Upload one evidence file. onProgress(percent) is called while it uploads.
+   */
+  uploadEvidence: (goalId, file, onProgress) =>
+    fallback.run(
+      async () => {
+        const body = new FormData()
+        body.append('file', file)
+        const response = await api.post(`/goals/${goalId}/evidence/files`, body, {
+          headers: { 'Content-Type': 'multipart/form-data' },
+          onUploadProgress: (e) => onProgress?.(Math.round((e.loaded / (e.total || file.size || 1)) * 100)),
+        })
+        return { storage: 'server', ...response.data }
+      },
+      async () => {
+        const saved = await localStore.save(goalId, file)
+        onProgress?.(100)
+        return saved
+      },
+    ),
+
+  /**
+   * GET /api/v1/goals/{goalId}/evidence/files
+   * List every evidence file uploaded for a goal, submitted or not.
+   */
+  getEvidenceFiles: (goalId) =>
+    fallback.run(
+      async () => {
+        const response = await api.get(`/goals/${goalId}/evidence/files`)
+        return (response.data?.content || response.data || []).map(f => ({ storage: 'server', ...f }))
+      },
+      () => localStore.list(goalId),
+    ),
+
+  /**
+   * The files of the goal's current completion submission — what the manager
+   * reviews. Leaves out uploads from cancelled or earlier submissions: server
+   * files by the submission's file ids (when the goal carries them), local ones
+   * by the latest `submittedAt`.
+   */
+  getSubmittedEvidence: async (goal) => {
+    const files = await evidenceService.getEvidenceFiles(goal.goalId)
+    const submittedIds = (goal.evFileIds ?? goal.evidenceFileIds)?.map(String)
+    const latestLocal = files.map(f => (f.storage === 'local' ? f.submittedAt : null)).filter(Boolean).sort().pop()
+    return files.filter(f => (f.storage === 'local'
+      ? !!latestLocal && f.submittedAt === latestLocal
+      : !submittedIds || submittedIds.includes(String(f.fileId))))
+  },
+
+  /**
+   * Tie uploaded files to the completion submission just sent. Only the local
+   * stand-in needs this; the backend links its files through evFileIds.
+   */
+  markSubmitted: async (files = []) => {
+    const submittedAt = new Date().toISOString()
+    await Promise.all(files
+      .filter(f => f.storage === 'local')
+      .map(f => localStore.markSubmitted(f.fileId, submittedAt)))
+  },
+
+  /**
+   * GET /api/v1/goals/{goalId}/evidence/files/{fileId}
+   * The file's contents as a Blob (for previews and downloads).
+   */
+  getEvidenceFileBlob: async (goalId, file) => {
+    if (file.storage === 'local') return localStore.blob(file.fileId)
+    const response = await api.get(`/goals/${goalId}/evidence/files/${file.fileId}`, { responseType: 'blob' })
+    return response.data
+  },
+
+  /**
+   * DELETE /api/v1/goals/{goalId}/evidence/files/{fileId}
+   * Remove a file before the completion is submitted (or when the form is cancelled).
+   */
+  deleteEvidenceFile: async (goalId, file) => {
+    if (file.storage === 'local') return localStore.remove(file.fileId)
+    const response = await api.delete(`/goals/${goalId}/evidence/files/${file.fileId}`)
+    return response.data
+  },
+}
+
+export default evidenceService
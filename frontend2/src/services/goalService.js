@@ -12,6 +12,21 @@ import api from './api'
 //   7. Metadata/Audit (System)
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Key results in the goal form → backend KeyResultRequest fields: krId, metric, startVal, targetVal, currentVal
+const toKeyResultRequests = (keyResults = []) => keyResults.map(kr => ({
+  krId: kr.keyResultId ?? null,
+  metric: kr.metric,
+  startVal: Number(kr.startValue) || 0,
+  targetVal: Number(kr.targetValue),
+  currentVal: Number(kr.currentValue) || 0,
+}))
+
+// Page size getAllGoals walks the goal list with
+const ALL_GOALS_PAGE_SIZE = 100
+
+// Goal weight in percent (empty → not set)
+const toWeight = (weight) => (weight === '' || weight == null ? null : Number(weight))
+
 const goalService = {
   /**
    * GET /api/v1/goals
@@ -19,14 +34,39 @@ const goalService = {
    * Employee: sees their own goals
    * Manager: sees team goals
    * Admin: sees all goals
+   * Optional filters: { status, search, priority, category } (empty values are not sent).
+   * A plain string is still accepted as the status filter.
    */
-  getGoals: async (page = 0, size = 10, status = null) => {
+  getGoals: async (page = 0, size = 10, filters = {}) => {
     const params = { page, size }
-    if (status) params.status = status
+    const { status, search, priority, category } = typeof filters === 'string' ? { status: filters } : (filters || {})
+    if (status)   params.status = status
+    if (search)   params.search = search
+    if (priority) params.priority = priority
+    if (category) params.category = category
     const response = await api.get('/goals', { params })
     return response.data
   },
 
+  /**
+   * GET /api/v1/goals, page after page
+   * Every goal matching `filters` (same filters as getGoals), for roll-ups and
+   * searches that must not stop at the first page.
+   */
+  getAllGoals: async (filters = {}) => {
+    const all = []
+    for (let page = 0; ; page++) {
+      const data = await goalService.getGoals(page, ALL_GOALS_PAGE_SIZE, filters)
+      const list = data?.content || data || []
+      all.push(...list)
+      // A plain array is the whole list; otherwise stop at the last page
+      const isLast = !data?.content || list.length === 0 || (data.last ?? (data.totalPages != null
+        ? page + 1 >= data.totalPages
+        : list.length < ALL_GOALS_PAGE_SIZE))
+      if (isLast) return all
+    }
+  },
+
   /**
    * GET /api/v1/goals/{goalId}
    * Get detailed information about a specific goal.
@@ -39,7 +79,7 @@ const goalService = {
   /**
    * POST /api/v1/goals
    * Create a new goal (EMPLOYEE only).
-   * Backend CreateGoalRequest fields: title, desc, cat, pri, startDt, endDt, mgrId
+   * Backend CreateGoalRequest fields: title, desc, cat, pri, startDt, endDt, mgrId, keyResults, weight
    */
   createGoal: async (goalData) => {
     const response = await api.post('/goals', {
@@ -50,6 +90,8 @@ const goalService = {
       startDt: goalData.startDate || null,
       endDt: goalData.endDate || null,
       mgrId: goalData.assignedManagerId ? parseInt(goalData.assignedManagerId) : null,
+      keyResults: toKeyResultRequests(goalData.keyResults),
+      weight: toWeight(goalData.weight),
     })
     return response.data
   },
@@ -57,7 +99,7 @@ const goalService = {
   /**
    * PUT /api/v1/goals/{goalId}
    * Update a goal (EMPLOYEE, only when goal is in PENDING or requested_changes state).
-   * Backend CreateGoalRequest fields: title, desc, cat, pri, startDt, endDt, mgrId
+   * Backend CreateGoalRequest fields: title, desc, cat, pri, startDt, endDt, mgrId, keyResults, weight
    */
   updateGoal: async (goalId, goalData) => {
     const response = await api.put(`/goals/${goalId}`, {
@@ -68,6 +110,8 @@ const goalService = {
       startDt: goalData.startDate || null,
       endDt: goalData.endDate || null,
       mgrId: goalData.assignedManagerId ? parseInt(goalData.assignedManagerId) : null,
+      keyResults: toKeyResultRequests(goalData.keyResults),
+      weight: toWeight(goalData.weight),
     })
     return response.data
   },
@@ -86,9 +130,10 @@ const goalService = {
   /**
    * PUT /api/v1/goals/{goalId}/approve
    * Manager approves a goal (moves from PENDING → IN_PROGRESS).
+   * Optional weight (percent) replaces the one the employee proposed. Body: { weight }
    */
-  approveGoal: async (goalId) => {
-    const response = await api.put(`/goals/${goalId}/approve`)
+  approveGoal: async (goalId, weight) => {
+    const response = await api.put(`/goals/${goalId}/approve`, toWeight(weight) != null ? { weight: toWeight(weight) } : undefined)
     return response.data
   },
 
@@ -145,16 +190,42 @@ const goalService = {
     return response.data
   },
 
+  // ─── CARRY FORWARD (EMPLOYEE / MANAGER) ────────────────────────────────────
+
+  /**
+   * POST /api/v1/goals/{goalId}/carry-forward
+   * Copy an unfinished goal into the active review cycle. The copy keeps the
+   * title, description, category, priority and key results, and is linked to
+   * the original (prevGoalId) so its progress history stays reachable.
+   * Backend CarryForwardRequest fields: startDt, endDt, cycleId, mgrApproved
+   *   mgrApproved: true when the manager carries it forward (the copy starts IN_PROGRESS),
+   *                false when the employee does (the copy waits for manager approval)
+   */
+  carryForwardGoal: async (goalId, { startDate, endDate, cycleId, managerApproved }) => {
+    const response = await api.post(`/goals/${goalId}/carry-forward`, {
+      startDt: startDate,
+      endDt: endDate,
+      cycleId: cycleId ?? null,
+      mgrApproved: !!managerApproved,
+    })
+    return response.data
+  },
+
   // ─── EMPLOYEE ACTIONS ──────────────────────────────────────────────────────
 
   /**
    * POST /api/v1/goals/{goalId}/progress
    * Add a progress update to a goal (EMPLOYEE).
-   * Backend reads body.get("note") — singular, not "notes"
+   * Backend reads body.get("note") — singular, not "notes" — and body.get("progressPercentage") (0–100)
+   * + keyResults: [{ krId, currentVal }] — new current values of the goal's key results, if it has any
    */
-  addProgress: async (goalId, notes, progressPercentage) => {
+  addProgress: async (goalId, notes, progressPercentage, keyResults) => {
     const response = await api.post(`/goals/${goalId}/progress`, {
       note: notes,
+      progressPercentage: progressPercentage ?? null,
+      ...(keyResults && {
+        keyResults: keyResults.map(kr => ({ krId: kr.keyResultId, currentVal: Number(kr.currentValue) })),
+      }),
     })
     return response.data
   },
@@ -172,12 +243,15 @@ const goalService = {
    * POST /api/v1/goals/{goalId}/submit-completion
    * Employee submits their goal for completion approval.
    * Backend SubmitCompletionRequest fields: evLink, linkDesc, compNotes
+   * + evFileIds: files already uploaded to the backend through evidenceService
+   *   (files kept in the browser-side stand-in have no server id and are not sent)
    */
   submitCompletion: async (goalId, completionData) => {
     const response = await api.post(`/goals/${goalId}/submit-completion`, {
       evLink: completionData.evidenceLink,
       linkDesc: completionData.evidenceLinkDescription,
       compNotes: completionData.completionNotes,
+      evFileIds: (completionData.evidenceFiles || []).filter(f => f.storage !== 'local').map(f => f.fileId),
     })
     return response.data
   },
@@ -0,0 +1,62 @@
+import api from './api'
+
+// ─── GOAL TEMPLATE SERVICE ────────────────────────────────────────────────────
+// Connects to: core-service via API Gateway at /api/v1/goal-templates
+// Reusable goal skeletons that admins maintain per category and department;
+// employees start new goals from them.
+//
+// Templates are shared by everyone, so they only live on the server — there is
+// no browser-side stand-in as for evidence files.
+//
+// Backend GoalTemplateRequest fields: title, desc, cat, pri, dept, durDays
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Template form → backend request
+const toTemplateRequest = (template) => ({
+  title: template.title,
+  desc: template.description,
+  cat: template.category,
+  pri: template.priority,
+  dept: template.department || null,
+  durDays: template.durationDays ? parseInt(template.durationDays) : null,
+})
+
+const goalTemplateService = {
+  /**
+   * GET /api/v1/goal-templates
+   * All goal templates (any signed-in user; employees filter by their department).
+   */
+  getTemplates: async () => {
+    const response = await api.get('/goal-templates')
+    return response.data
+  },
+
+  /**
+   * POST /api/v1/goal-templates
+   * Create a goal template (ADMIN only).
+   */
+  createTemplate: async (template) => {
+    const response = await api.post('/goal-templates', toTemplateRequest(template))
+    return response.data
+  },
+
+  /**
+   * PUT /api/v1/goal-templates/{templateId}
+   * Update a goal template (ADMIN only).
+   */
+  updateTemplate: async (templateId, template) => {
+    const response = await api.put(`/goal-templates/${templateId}`, toTemplateRequest(template))
+    return response.data
+  },
+
+  /**
+   * DELETE /api/v1/goal-templates/{templateId}
+   * Delete a goal template (ADMIN only).
+   */
+  deleteTemplate: async (templateId) => {
+    const response = await api.delete(`/goal-templates/${templateId}`)
+    return response.data
+  },
+}
+
+export default goalTemplateService
@@ -1,10 +1,49 @@
-import api from './api'
+import api, { BASE_URL, refreshSession } from './api'
 
 // ─── NOTIFICATION SERVICE ─────────────────────────────────────────────────────
 // Connects to: notification-service via API Gateway at /api/v1/notifications
 // Features real-time push via SSE (Server-Sent Events)
 // ─────────────────────────────────────────────────────────────────────────────
 
+// id of the last stream event we received — sent back as Last-Event-ID on
+// reconnect so the server can replay what we missed (if it supports it).
+// Belongs to one login session — see resetStreamPosition.
+let lastEventId = null
+
+/**
+ * Read an SSE response body and call onEvent({ type, data, id }) per event.
+ * Implements the text/event-stream format: "field: value" lines, events
+ * separated by a blank line, ":" comment lines (heartbeats) ignored.
+ */
+async function readEventStream(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader()
+  let buffer = ''
+  let event = { type: '', data: [], id: null }
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) return
+    buffer += value
+    const lines = buffer.split(/\r\n|\r|\n/)
+    buffer = lines.pop()  // last piece may be an incomplete line
+
+    for (const line of lines) {
+      if (line === '') {
+        if (event.data.length) onEvent({ type: event.type || 'message', data: event.data.join('\n'), id: event.id })
+        event = { type: '', data: [], id: null }
+        continue
+      }
+      if (line.startsWith(':')) continue
+      const colon = line.indexOf(':')
+      const field = colon === -1 ? line : line.slice(0, colon)
+      const val = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+      if (field === 'data')  event.data.push(val)
+      if (field === 'event') event.type = val
+      if (field === 'id')    event.id = val
+    }
+  }
+}
+
 const notificationService = {
   /**
    * GET /api/v1/notifications
@@ -15,6 +54,18 @@ const notificationService = {
     return response.data
   },
 
+  /**
+   * GET /api/v1/notifications/unread-count
+   * Number of unread notifications over all pages (for the bell badge).
+   * Returns a number, or null if the response has none.
+   */
+  getUnreadCount: async () => {
+    const response = await api.get('/notifications/unread-count')
+    const data = response.data
+    const count = typeof data === 'number' ? data : (data?.count ?? data?.unreadCount)
+    return typeof count === 'number' ? count : null
+  },
+
   /**
    * PUT /api/v1/notifications/{notifId}
    * Mark a single notification as read.
@@ -34,38 +85,73 @@ const notificationService = {
   },
 
   /**
-   * Create an SSE EventSource connection for real-time notifications.
+   * Open the real-time notification stream.
    * GET /api/v1/notifications/stream
    *
    * SSE = Server-Sent Events: the server pushes data to the client in real-time
    * without the client having to poll repeatedly.
+   * Uses fetch instead of EventSource so the JWT goes in the Authorization
+   * header — a ?token= query string ends up in proxy and server access logs.
    *
    * @param {Function} onMessage - Callback when a new notification arrives
-   * @param {Function} onError - Callback when connection error occurs
-   * @returns {EventSource} - The EventSource object (call .close() to disconnect)
+   * @param {Function} onError - Callback when the connection fails or ends
+   * @param {Function} onOpen - Callback once the stream is connected
+   * @returns {{ close: Function }} - call .close() to disconnect (aborts the request)
    */
-  subscribeToStream: (onMessage, onError) => {
-    const token = localStorage.getItem('token')
-    // SSE requires the token in the URL as EventSource doesn't support custom headers
-    const url = `/api/v1/notifications/stream?token=${token}`
-
-    const eventSource = new EventSource(url)
-
-    eventSource.onmessage = (event) => {
-      try {
-        const notification = JSON.parse(event.data)
-        onMessage(notification)
-      } catch (err) {
-        console.error('Failed to parse SSE notification:', err)
+  subscribeToStream: (onMessage, onError, onOpen) => {
+    const controller = new AbortController()
+
+    const connect = async () => {
+      const headers = { Accept: 'text/event-stream' }
+      const token = localStorage.getItem('token')
+      if (token) headers.Authorization = `Bearer ${token}`
+      if (lastEventId) headers['Last-Event-ID'] = lastEventId
+
+      const response = await fetch(`${BASE_URL}/notifications/stream`, {
+        headers,
+        cache: 'no-store',
+        signal: controller.signal,
+      })
+      if (response.status === 401) {
+        // Expired token: refresh it, then let the caller reconnect with the new one
+        await refreshSession()
+        throw new Error('SSE stream unauthorized — token refreshed')
       }
+      if (!response.ok || !response.body) {
+        throw new Error(`SSE stream failed with status ${response.status}`)
+      }
+
+      if (onOpen) onOpen()
+      await readEventStream(response.body, (event) => {
+        if (event.id) lastEventId = event.id
+        // Same as EventSource.onmessage: only unnamed ("message") events
+        if (event.type !== 'message') return
+        try {
+          onMessage(JSON.parse(event.data))
+        } catch (err) {
+          console.error('Failed to parse SSE notification:', err)
+        }
+      })
+      // The server closed the stream — report it so the caller reconnects
+      throw new Error('SSE stream closed by server')
     }
 
-    eventSource.onerror = (err) => {
+    connect().catch((err) => {
+      if (controller.signal.aborted) return  // closed on purpose (logout / reconnect)
       console.error('SSE connection error:', err)
       if (onError) onError(err)
-    }
+    })
+
+    return { close: () => controller.abort() }
+  },
 
-    return eventSource
+  /**
+   * Forget the last stream event id, so the next stream starts fresh instead of
+   * resuming where the previous session left off. Call on login and logout —
+   * another user's Last-Event-ID must never be sent.
+   */
+  resetStreamPosition: () => {
+    lastEventId = null
   },
 }
 
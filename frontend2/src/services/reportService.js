@@ -64,11 +64,22 @@ const reportService = {
    * POST /api/v1/reports/generate
    * Generate a new report.
    * Body: { scope, format } where scope = "TEAM" | "DEPARTMENT" | "COMPANY"
+   * and format = "JSON" | "CSV" | "XLSX" | "PDF"
    */
   generateReport: async (scope, format = 'JSON') => {
     const response = await api.post('/reports/generate', { scope, format })
     return response.data
   },
+
+  /**
+   * GET {downloadUrl}
+   * Fetch a generated report file as a Blob (when the backend stores CSV/XLSX/PDF files).
+   * Goes through `api` so the auth header is attached.
+   */
+  downloadReportFile: async (downloadUrl) => {
+    const response = await api.get(downloadUrl, { responseType: 'blob' })
+    return response.data
+  },
 }
 
 export default reportService
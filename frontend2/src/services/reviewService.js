@@ -112,9 +112,13 @@ export const performanceReviewService = {
   /**
    * PUT /api/v1/performance-reviews/{reviewId}/draft
    * Save a draft self-assessment (Employee).
+   * Same fields as SelfAssessmentRequest: selfAssmt, selfRating
    */
   saveDraft: async (reviewId, draftData) => {
-    const response = await api.put(`/performance-reviews/${reviewId}/draft`, draftData)
+    const response = await api.put(`/performance-reviews/${reviewId}/draft`, {
+      selfAssmt: draftData.selfAssessment,
+      selfRating: draftData.employeeSelfRating,
+    })
     return response.data
   },
 
@@ -0,0 +1,26 @@
+// ─── BULK RUN ─────────────────────────────────────────────────────────────────
+// Runs one request per item, one after the other, and collects what worked and
+// what didn't — for the manager's bulk goal actions and bulk carry-forward.
+// Shown by BulkProgress (while running) and BulkResult (once finished).
+//
+// Usage:
+//   await runBulk(goals, (goal) => goalService.approveGoal(goal.goalId), onProgress)
+//     → { succeeded: [goal], failed: [{ goal, reason }] }
+//   runOne throws to fail an item; the error's API message (or its own) is the reason.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Run `runOne` on each goal in turn. onProgress(done, total) is called after each one. */
+export async function runBulk(goals, runOne, onProgress) {
+  const succeeded = []
+  const failed = []
+  for (const [i, goal] of goals.entries()) {
+    try {
+      await runOne(goal)
+      succeeded.push(goal)
+    } catch (err) {
+      failed.push({ goal, reason: err.response?.data?.msg || err.message || 'Request failed' })
+    }
+    onProgress?.(i + 1, goals.length)
+  }
+  return { succeeded, failed }
+}
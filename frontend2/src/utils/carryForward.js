@@ -0,0 +1,100 @@
+import { addDays, differenceInCalendarDays, format, isValid, max, min, parseISO } from 'date-fns'
+import goalService from '../services/goalService'
+import { runBulk } from './bulkRun'
+
+// ─── CARRY FORWARD ────────────────────────────────────────────────────────────
+// Moving unfinished goals into the next review cycle. A goal qualifies when it
+// is still IN_PROGRESS, belongs to an earlier cycle than the active one and has
+// not been carried forward already. The copy gets new dates inside the active
+// cycle and stays linked to the original (see goalService.carryForwardGoal).
+//
+//   Employee: carries one goal forward; the copy waits for manager approval.
+//   Manager:  carries several team goals forward at once, after confirming the
+//             employees agreed; the copies start IN_PROGRESS.
+//
+// Usage:
+//   canCarryForward(goal, user, activeCycle)
+//   getCarryForwardDates(goal, activeCycle)   → { startDate, endDate } | null (cycle already over)
+//   await carryForwardGoals(goals, activeCycle, { managerApproved: true }, onProgress)
+//     → { succeeded: [goal], failed: [{ goal, reason }] }
+// ─────────────────────────────────────────────────────────────────────────────
+
+const DEFAULT_DURATION_DAYS = 90
+
+const toDate = (value) => {
+  const date = value ? parseISO(value) : null
+  return date && isValid(date) ? date : null
+}
+
+const toDateString = (date) => format(date, 'yyyy-MM-dd')
+
+const cycleIdOf = (cycle) => cycle?.cycleId ?? cycle?.id ?? null
+
+/** The goal this one was carried forward from, or null */
+export const getCarriedFromId = (goal) => goal?.carriedFromGoalId ?? goal?.prevGoalId ?? null
+
+/** The copy this goal was carried forward to, or null */
+export const getCarriedToId = (goal) => goal?.carriedForwardToGoalId ?? goal?.nextGoalId ?? null
+
+/** Does `goal` belong to a cycle before `activeCycle`? */
+function isFromEarlierCycle(goal, activeCycle) {
+  const goalCycleId = goal.cycleId ?? goal.reviewCycleId
+  if (goalCycleId != null && cycleIdOf(activeCycle) != null) {
+    return String(goalCycleId) !== String(cycleIdOf(activeCycle))
+  }
+  // No cycle on the goal: it's from an earlier cycle if it was due before this one started
+  const end = toDate(goal.endDate)
+  const cycleStart = toDate(activeCycle.startDate ?? activeCycle.startDt)
+  return !!end && !!cycleStart && end < cycleStart
+}
+
+/** Can `user` carry `goal` forward into `activeCycle`? */
+export function canCarryForward(goal, user, activeCycle) {
+  if (!goal || !user || !activeCycle) return false
+  if (goal.status !== 'IN_PROGRESS' || getCarriedToId(goal) != null) return false
+  const isOwner = user.role === 'EMPLOYEE' && goal.assignedToUserId === user.userId
+  const isManager = user.role === 'MANAGER' &&
+    (goal.assignedManagerId == null || goal.assignedManagerId === user.userId)
+  return (isOwner || isManager) && isFromEarlierCycle(goal, activeCycle)
+}
+
+/**
+ * New dates for the copy: it starts today (or when the cycle starts, if later),
+ * keeps the original goal's length and ends no later than the cycle does.
+ * null when the cycle ends today or has already ended — no room for the copy.
+ */
+export function getCarryForwardDates(goal, activeCycle, today = new Date()) {
+  const cycleStart = toDate(activeCycle?.startDate ?? activeCycle?.startDt) || today
+  const cycleEnd = toDate(activeCycle?.endDate ?? activeCycle?.endDt)
+  const oldStart = toDate(goal?.startDate)
+  const oldEnd = toDate(goal?.endDate)
+
+  const duration = oldStart && oldEnd && oldEnd > oldStart
+    ? differenceInCalendarDays(oldEnd, oldStart)
+    : DEFAULT_DURATION_DAYS
+  const start = max([today, cycleStart])
+  if (cycleEnd && differenceInCalendarDays(cycleEnd, start) < 1) return null
+  const end = cycleEnd ? min([addDays(start, duration), cycleEnd]) : addDays(start, duration)
+  return { startDate: toDateString(start), endDate: toDateString(end) }
+}
+
+/**
+ * Carry goals forward one request at a time (utils/bulkRun). `dates` may
+ * override the proposed dates per goal: { [goalId]: { startDate, endDate } }.
+ * A goal without valid dates is not sent and is reported in `failed`.
+ *   onProgress(done, total) is called after each goal.
+ */
+export function carryForwardGoals(goals, activeCycle, { managerApproved = false, dates = {} } = {}, onProgress) {
+  return runBulk(goals, (goal) => {
+    const newDates = dates[goal.goalId] || getCarryForwardDates(goal, activeCycle)
+    if (!newDates) throw new Error('The active review cycle has already ended')
+    if (!newDates.startDate || !newDates.endDate || newDates.endDate <= newDates.startDate) {
+      throw new Error('The end date must be after the start date')
+    }
+    return goalService.carryForwardGoal(goal.goalId, {
+      ...newDates,
+      cycleId: cycleIdOf(activeCycle),
+      managerApproved,
+    })
+  }, onProgress)
+}
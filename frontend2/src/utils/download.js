@@ -0,0 +1,33 @@
+// ─── DOWNLOAD HELPERS ─────────────────────────────────────────────────────────
+// Small helpers for turning data into files the browser downloads.
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Trigger a browser download of a Blob under the given file name. */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/** Quote a single CSV cell if it contains a comma, quote or newline. */
+export function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/** Rows (arrays of cells) → CSV text with Windows line endings (opens cleanly in Excel). */
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n')
+}
+
+/** "2024-03-05" style date stamp for file names. */
+export function fileDateStamp(date = new Date()) {
+  return date.toISOString().split('T')[0]
+}
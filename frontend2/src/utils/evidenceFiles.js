@@ -0,0 +1,58 @@
+// ─── EVIDENCE FILE RULES ──────────────────────────────────────────────────────
+// What an employee may attach as completion evidence, and small helpers for
+// showing the files. Shared by the uploader (employee) and the evidence
+// preview (manager), so both sides agree on the limits.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const EVIDENCE_MAX_FILES = 5
+export const EVIDENCE_MAX_SIZE  = 10 * 1024 * 1024   // 10 MB per file
+
+// Accepted extensions → MIME type (PDFs, images, office documents, plain text)
+const EVIDENCE_TYPES = {
+  pdf:  'application/pdf',
+  png:  'image/png',
+  jpg:  'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif:  'image/gif',
+  webp: 'image/webp',
+  doc:  'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls:  'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt:  'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  txt:  'text/plain',
+  csv:  'text/csv',
+}
+
+// For <input type="file" accept={EVIDENCE_ACCEPT}>
+export const EVIDENCE_ACCEPT = Object.keys(EVIDENCE_TYPES).map(ext => `.${ext}`).join(',')
+
+const extensionOf = (name = '') => name.split('.').pop().toLowerCase()
+
+/** Human-readable size, e.g. 1.4 MB */
+export function formatFileSize(bytes) {
+  if (bytes == null) return ''
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/** Why `file` can't be attached, or null if it is fine. */
+export function validateEvidenceFile(file) {
+  if (!EVIDENCE_TYPES[extensionOf(file.name)]) {
+    return `${file.name}: only PDFs, images and documents can be attached`
+  }
+  if (file.size > EVIDENCE_MAX_SIZE) {
+    return `${file.name} is ${formatFileSize(file.size)} — the limit is ${formatFileSize(EVIDENCE_MAX_SIZE)}`
+  }
+  return null
+}
+
+/** How a stored file can be previewed in the browser: 'image' | 'pdf' | null (download only) */
+export function getPreviewKind(file) {
+  const type = file.contentType || EVIDENCE_TYPES[extensionOf(file.fileName)] || ''
+  if (type.startsWith('image/')) return 'image'
+  if (type === 'application/pdf') return 'pdf'
+  return null
+}
@@ -0,0 +1,22 @@
+import { differenceInCalendarDays, parseISO } from 'date-fns'
+
+// ─── GOAL DATES ───────────────────────────────────────────────────────────────
+// A goal's start / end date as a Date, and whether an open goal is past its end.
+// Used by GoalTimeline and the manager review's goal outcome summary.
+//
+// Usage:
+//   goalStart(goal), goalEnd(goal)   → Date | null
+//   isGoalOverdue(goal)              → true for an open goal past its end date
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CLOSED_STATUSES = ['COMPLETED', 'REJECTED']
+
+// Goal dates arrive as 'yyyy-MM-dd' (or a full ISO timestamp)
+const toDate = (value) => (value ? parseISO(String(value)) : null)
+export const goalStart = (goal) => toDate(goal.startDate || goal.startDt)
+export const goalEnd   = (goal) => toDate(goal.endDate || goal.endDt)
+
+export const isGoalOverdue = (goal, today = new Date()) => {
+  const end = goalEnd(goal)
+  return !!end && !CLOSED_STATUSES.includes(goal.status) && differenceInCalendarDays(today, end) > 0
+}
@@ -0,0 +1,114 @@
+import { differenceInCalendarDays, parseISO, isValid } from 'date-fns'
+import { getKeyResults } from './keyResults'
+
+// ─── GOAL QUALITY (SMART) ─────────────────────────────────────────────────────
+// Local checks that a goal is Specific, Measurable, Achievable, Relevant and
+// Time-bound. The create wizard (SmartGoalWizard) shows them per step and warns
+// before saving; managers see the same score on TeamGoalsPage, so both sides
+// judge a goal by the same rules.
+//
+// Works on the goal form and on goals from the API alike.
+//
+// Usage:
+//   const { score, checks, warnings } = checkGoalQuality(goalForm, { activeCycle })
+//   checks   → [{ key, step, label, passed, message }]
+//   warnings → the checks that did not pass
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const SMART_STEPS = [
+  { key: 'S', label: 'Specific',   hint: 'What exactly will you achieve?' },
+  { key: 'M', label: 'Measurable', hint: 'How will you know it is done?' },
+  { key: 'A', label: 'Achievable', hint: 'Is it realistic, and how important is it?' },
+  { key: 'R', label: 'Relevant',   hint: 'Where does it fit in your work?' },
+  { key: 'T', label: 'Time-bound', hint: 'When will it start and finish?' },
+]
+
+export const MIN_DESCRIPTION_LENGTH = 50
+const MIN_TITLE_WORDS = 3
+const MIN_DURATION_DAYS = 7
+
+// Titles that say nothing about the outcome
+const VAGUE_PHRASES = ['do better', 'be better', 'improve', 'work harder', 'try harder', 'get better', 'learn more', 'tbd', 'misc']
+
+const toDate = (value) => {
+  if (!value) return null
+  const date = typeof value === 'string' ? parseISO(value) : new Date(value)
+  return isValid(date) ? date : null
+}
+
+const cycleDates = (cycle) => ({
+  start: toDate(cycle?.startDate ?? cycle?.startDt),
+  end:   toDate(cycle?.endDate ?? cycle?.endDt),
+})
+
+/**
+ * Score a goal (0–100, the share of checks it passes) and say what to fix.
+ * `activeCycle` is optional; without one the cycle check is skipped.
+ */
+export function checkGoalQuality(goal, { activeCycle } = {}) {
+  const title = (goal?.title || '').trim()
+  const description = (goal?.description ?? goal?.desc ?? '').trim()
+  const keyResults = getKeyResults(goal)
+  const start = toDate(goal?.startDate ?? goal?.startDt)
+  const end = toDate(goal?.endDate ?? goal?.endDt)
+  const cycle = cycleDates(activeCycle)
+
+  const normalizedTitle = title.toLowerCase().replace(/[^a-z0-9 ]/g, '').trim()
+  const isVague = VAGUE_PHRASES.includes(normalizedTitle)
+  const hasNumber = /\d/.test(`${title} ${description}`)
+
+  const checks = [
+    {
+      key: 'specificTitle', step: 'S', label: 'Specific title',
+      passed: title.split(/\s+/).filter(Boolean).length >= MIN_TITLE_WORDS && !isVague,
+      message: `Name the outcome in at least ${MIN_TITLE_WORDS} words — "${title || 'do better'}" could mean anything`,
+    },
+    {
+      key: 'description', step: 'S', label: 'Detailed description',
+      passed: description.length >= MIN_DESCRIPTION_LENGTH,
+      message: `Describe the goal in at least ${MIN_DESCRIPTION_LENGTH} characters (${description.length} so far)`,
+    },
+    {
+      key: 'measurable', step: 'M', label: 'Measurable target',
+      passed: keyResults.length > 0 || hasNumber,
+      message: 'Add a key result, or a number to aim for (e.g. "reduce build time to 5 minutes")',
+    },
+    {
+      key: 'achievable', step: 'A', label: 'Realistic timeframe',
+      passed: !start || !end || differenceInCalendarDays(end, start) >= MIN_DURATION_DAYS,
+      message: `Allow at least ${MIN_DURATION_DAYS} days between the start and end date`,
+    },
+    {
+      key: 'relevant', step: 'R', label: 'Categorised',
+      passed: !!(goal?.category ?? goal?.cat) && (goal?.category ?? goal?.cat) !== 'OTHER',
+      message: 'Pick the category the goal contributes to rather than OTHER',
+    },
+    {
+      key: 'endDate', step: 'T', label: 'End date after start date',
+      passed: !!end && (!start || end > start),
+      message: end ? 'The end date must be after the start date' : 'Set an end date',
+    },
+  ]
+
+  if (cycle.start && cycle.end) {
+    checks.push({
+      key: 'inCycle', step: 'T', label: 'Inside the active review cycle',
+      passed: !!end && end >= cycle.start && end <= cycle.end && (!start || start >= cycle.start),
+      message: `Keep the dates inside the active review cycle (${activeCycle.title ? `${activeCycle.title}, ` : ''}${activeCycle.startDate ?? activeCycle.startDt} → ${activeCycle.endDate ?? activeCycle.endDt})`,
+    })
+  }
+
+  const passed = checks.filter(c => c.passed).length
+  return {
+    score: Math.round((passed / checks.length) * 100),
+    checks,
+    warnings: checks.filter(c => !c.passed),
+  }
+}
+
+/** Tailwind classes for a quality score pill */
+export function getQualityColor(score) {
+  if (score >= 80) return 'bg-green-100 text-green-700'
+  if (score >= 50) return 'bg-yellow-100 text-yellow-800'
+  return 'bg-red-100 text-red-700'
+}
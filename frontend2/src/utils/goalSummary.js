@@ -0,0 +1,92 @@
+import { isGoalOverdue } from './goalDates'
+import { getEntryDate } from './progressEntries'
+import { getGoalCompletion } from './goalWeights'
+
+// ─── GOAL OUTCOME SUMMARY ─────────────────────────────────────────────────────
+// What an employee's goals in a review cycle came to, for the manager review
+// (ManagerReviewsPage → GoalOutcomesPanel): completed, rejected and overdue
+// goals, the latest progress note of each goal and how its evidence was judged.
+// The text helpers turn it into a paragraph to paste into the review form.
+//
+// Usage:
+//   const summary = summarizeGoalOutcomes(goals, progressByGoalId)
+//   formatFeedbackSummary(summary)     → text for managerFeedback
+//   formatNextPeriodSummary(summary)   → text for nextPeriodGoals
+//   appendText(form.managerFeedback, text)
+// ─────────────────────────────────────────────────────────────────────────────
+
+const EVIDENCE_LABELS = {
+  VERIFIED: 'evidence verified',
+  NEEDS_REVISION: 'evidence needed revision',
+  REJECTED: 'evidence rejected',
+}
+
+/** Latest progress note for a goal: its newest progress entry, else the goal's own notes */
+function latestNote(goal, entries = []) {
+  const withNote = entries
+    .filter(e => (e.note || e.notes) && getEntryDate(e))
+    .sort((a, b) => new Date(getEntryDate(b)) - new Date(getEntryDate(a)))
+  if (withNote.length) return { note: withNote[0].note || withNote[0].notes, date: getEntryDate(withNote[0]) }
+  return goal.progressNotes ? { note: goal.progressNotes, date: null } : null
+}
+
+/**
+ * → { total, completed, rejected, overdue, open, notes: [{ goal, note, date }],
+ *     evidence: [{ goal, status, label, notes }] }
+ *   completed / rejected / overdue / open are lists of goals.
+ */
+export function summarizeGoalOutcomes(goals = [], progressByGoalId = {}) {
+  return {
+    total: goals.length,
+    completed: goals.filter(g => g.status === 'COMPLETED'),
+    rejected: goals.filter(g => g.status === 'REJECTED'),
+    overdue: goals.filter(g => isGoalOverdue(g)),
+    open: goals.filter(g => !['COMPLETED', 'REJECTED'].includes(g.status)),
+    notes: goals
+      .map(goal => ({ goal, ...latestNote(goal, progressByGoalId[goal.goalId]) }))
+      .filter(n => n.note),
+    evidence: goals
+      .filter(g => g.evidenceVerificationStatus)
+      .map(goal => ({
+        goal,
+        status: goal.evidenceVerificationStatus,
+        label: EVIDENCE_LABELS[goal.evidenceVerificationStatus] || goal.evidenceVerificationStatus.toLowerCase(),
+        notes: goal.evidenceVerificationNotes,
+      })),
+  }
+}
+
+const evidenceFor = (summary, goal) => summary.evidence.find(e => e.goal.goalId === goal.goalId)
+
+/** A paragraph on the cycle's goal outcomes, for the manager feedback */
+export function formatFeedbackSummary(summary) {
+  const lines = [`Goal outcomes this cycle: ${summary.completed.length} of ${summary.total} goals completed` +
+    (summary.rejected.length ? `, ${summary.rejected.length} rejected` : '') +
+    (summary.overdue.length ? `, ${summary.overdue.length} overdue` : '') + '.']
+
+  summary.completed.forEach(goal => {
+    const evidence = evidenceFor(summary, goal)
+    lines.push(`- Completed: ${goal.title}${evidence ? ` (${evidence.label})` : ''}`)
+  })
+  summary.rejected.forEach(goal => {
+    lines.push(`- Rejected: ${goal.title}${goal.rejectionReason ? ` — ${goal.rejectionReason}` : ''}`)
+  })
+  summary.overdue.forEach(goal => {
+    lines.push(`- Overdue: ${goal.title} (due ${goal.endDate}, ${getGoalCompletion(goal)}% done)`)
+  })
+  return lines.join('\n')
+}
+
+/** The unfinished goals as a starting point for next period's goals */
+export function formatNextPeriodSummary(summary) {
+  const unfinished = [...summary.open, ...summary.rejected]
+  if (unfinished.length === 0) return 'All goals of this cycle were completed.'
+  return unfinished
+    .map(goal => `- ${goal.status === 'REJECTED' ? 'Revisit' : 'Continue'}: ${goal.title} (${getGoalCompletion(goal)}% done)`)
+    .join('\n')
+}
+
+/** `text` added below what is already in a form field */
+export function appendText(current, text) {
+  return current?.trim() ? `${current.trimEnd()}\n\n${text}` : text
+}
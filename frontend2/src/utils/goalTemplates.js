@@ -0,0 +1,55 @@
+import { addDays, format } from 'date-fns'
+
+// ─── GOAL TEMPLATES ───────────────────────────────────────────────────────────
+// Helpers for the goal templates admins maintain (see goalTemplateService):
+// reading them in one shape, picking the ones that apply to an employee's
+// department, and filling the create-goal form from one.
+//
+// Usage:
+//   const templates = (await goalTemplateService.getTemplates()).map(normalizeTemplate)
+//   getTemplatesForDepartment(templates, user.department)
+//   setGoalForm(applyTemplate(template, goalForm))
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const DEFAULT_TEMPLATE_DURATION = 90   // days
+
+/** A template in one shape, whatever the backend called the fields. */
+export function normalizeTemplate(t) {
+  return {
+    templateId:   t.templateId ?? t.id,
+    title:        t.title || '',
+    description:  t.description ?? t.desc ?? '',
+    category:     t.category ?? t.cat ?? 'OTHER',
+    priority:     t.priority ?? t.pri ?? 'MEDIUM',
+    department:   t.department ?? t.dept ?? '',
+    durationDays: t.durationDays ?? t.durDays ?? DEFAULT_TEMPLATE_DURATION,
+  }
+}
+
+/**
+ * Templates an employee of `department` can use: company-wide ones (no
+ * department) plus their own department's, department-specific first.
+ */
+export function getTemplatesForDepartment(templates, department) {
+  const dept = (department || '').trim().toLowerCase()
+  return templates
+    .filter(t => !t.department || t.department.trim().toLowerCase() === dept)
+    .sort((a, b) => Number(!a.department) - Number(!b.department) || a.title.localeCompare(b.title))
+}
+
+/**
+ * The goal form filled in from `template`: title, description skeleton,
+ * category and priority, with dates running from today for its default duration.
+ * Everything else in the form (manager, key results) is kept.
+ */
+export function applyTemplate(template, form, today = new Date()) {
+  return {
+    ...form,
+    title: template.title,
+    description: template.description,
+    category: template.category,
+    priority: template.priority,
+    startDate: format(today, 'yyyy-MM-dd'),
+    endDate: format(addDays(today, Number(template.durationDays) || DEFAULT_TEMPLATE_DURATION), 'yyyy-MM-dd'),
+  }
+}
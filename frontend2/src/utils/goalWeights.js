@@ -0,0 +1,138 @@
+import { isValid, parseISO } from 'date-fns'
+import { getKeyResultsProgress } from './keyResults'
+import goalService from '../services/goalService'
+import { reviewCycleService } from '../services/reviewService'
+
+// ─── GOAL WEIGHTS ─────────────────────────────────────────────────────────────
+// Each goal can carry a weight (percent). The weights of one employee's goals
+// in a review cycle should add up to 100%; the weighted completion score then
+// says how much of the cycle's planned work was delivered, and managers rate
+// against it in the review (ManagerReviewsPage).
+//
+// Usage:
+//   getGoalWeight(goal)                           → number | null
+//   isGoalInCycle(goal, cycle)
+//   getWeightTotal(goals, { exceptGoalId })       → sum of the weights set
+//   getBudgetWeight(goals, { exceptGoalId })      → the same, leaving out rejected goals
+//   validateGoalWeight(weight, otherTotal)        → message | null
+//   const budget = await loadWeightBudget()       → { cycle, goals } | null, loaded once for many goals
+//   getOtherWeight(goal, budget)                  → weight of the owner's other goals in that cycle
+//   await getOtherCycleWeight(goal)               → the same for one goal, loading the budget itself
+//   getWeightedGoalScore(goals)                   → { score, rating, totalWeight, weighted, rows }
+// ─────────────────────────────────────────────────────────────────────────────
+
+const toDate = (value) => {
+  const date = value ? parseISO(value) : null
+  return date && isValid(date) ? date : null
+}
+
+/** The goal's weight in percent, or null if none was given */
+export function getGoalWeight(goal) {
+  const weight = goal?.weight ?? goal?.wt
+  return weight === '' || weight == null || isNaN(Number(weight)) ? null : Number(weight)
+}
+
+/** Does `goal` belong to review cycle `cycle`? By cycle id when both have one, else by its dates. */
+export function isGoalInCycle(goal, cycle) {
+  if (!goal || !cycle) return false
+  const goalCycleId = goal.cycleId ?? goal.reviewCycleId
+  const cycleId = cycle.cycleId ?? cycle.id
+  if (goalCycleId != null && cycleId != null) return String(goalCycleId) === String(cycleId)
+
+  const cycleStart = toDate(cycle.startDate ?? cycle.startDt)
+  const cycleEnd = toDate(cycle.endDate ?? cycle.endDt)
+  const date = toDate(goal.endDate) || toDate(goal.startDate)
+  return !!cycleStart && !!cycleEnd && !!date && date >= cycleStart && date <= cycleEnd
+}
+
+/** Sum of the weights set on `goals`, leaving out `exceptGoalId` (the goal being edited) */
+export function getWeightTotal(goals = [], { exceptGoalId } = {}) {
+  return goals
+    .filter(g => exceptGoalId == null || String(g.goalId) !== String(exceptGoalId))
+    .reduce((sum, g) => sum + (getGoalWeight(g) ?? 0), 0)
+}
+
+/**
+ * Weight already planned in a cycle: the sum over `goals`, leaving out
+ * `exceptGoalId` and rejected goals — a rejected goal's weight is free again.
+ */
+export function getBudgetWeight(goals = [], { exceptGoalId } = {}) {
+  return getWeightTotal(goals.filter(g => g.status !== 'REJECTED'), { exceptGoalId })
+}
+
+/** Why `weight` can't be saved next to goals already weighing `otherTotal`, or null */
+export function validateGoalWeight(weight, otherTotal = 0) {
+  if (weight === '' || weight == null) return null
+  const value = Number(weight)
+  if (isNaN(value) || value < 0 || value > 100) return 'Weight must be between 0 and 100%'
+  if (otherTotal + value > 100) {
+    return `Goal weights in this cycle would add up to ${otherTotal + value}% — at most ${Math.max(0, 100 - otherTotal)}% is left for this goal`
+  }
+  return null
+}
+
+/**
+ * The active review cycle and every goal, for checking weights against the
+ * cycle budget (manager approval). Load it once when approving many goals.
+ * null when there is no active cycle.
+ */
+export async function loadWeightBudget() {
+  const cycle = await reviewCycleService.getActiveCycle().then(data => data?.data || data).catch(() => null)
+  if (!cycle) return null
+  return { cycle, goals: await goalService.getAllGoals() }
+}
+
+/** Weight of the goal owner's other goals in the budget's cycle — what `goal` has to fit next to. null without a budget. */
+export function getOtherWeight(goal, budget) {
+  if (!budget) return null
+  return getBudgetWeight(
+    budget.goals.filter(g => g.assignedToUserId === goal.assignedToUserId && isGoalInCycle(g, budget.cycle)),
+    { exceptGoalId: goal.goalId })
+}
+
+/** getOtherWeight for a single goal, loading the budget itself. null when there is no active cycle. */
+export async function getOtherCycleWeight(goal) {
+  return getOtherWeight(goal, await loadWeightBudget())
+}
+
+/** How far a goal got, 0–100: completed goals count in full, rejected ones not at all */
+export function getGoalCompletion(goal) {
+  if (goal.status === 'COMPLETED') return 100
+  if (goal.status === 'REJECTED') return 0
+  return getKeyResultsProgress(goal) ?? goal.progressPercentage ?? 0
+}
+
+/**
+ * Weighted completion score of one employee's goals in a cycle.
+ * Goals without a weight share whatever is left of 100% equally; if no goal
+ * has a weight at all, every goal counts the same (`weighted: false`).
+ *   → { score: 0–100, rating: 0–5, totalWeight, weighted,
+ *       rows: [{ goal, weight, completion, contribution }] }
+ */
+export function getWeightedGoalScore(goals = []) {
+  if (goals.length === 0) return null
+
+  const totalWeight = getWeightTotal(goals)
+  const unweighted = goals.filter(g => getGoalWeight(g) == null)
+  const share = totalWeight === 0
+    ? 100 / goals.length
+    : unweighted.length ? Math.max(0, 100 - totalWeight) / unweighted.length : 0
+
+  const rows = goals.map(goal => {
+    const weight = getGoalWeight(goal) ?? share
+    const completion = getGoalCompletion(goal)
+    return { goal, weight, completion, contribution: (weight * completion) / 100 }
+  })
+  const weightSum = rows.reduce((sum, r) => sum + r.weight, 0)
+  const score = weightSum
+    ? Math.round((rows.reduce((sum, r) => sum + r.weight * r.completion, 0) / weightSum))
+    : 0
+
+  return {
+    score,
+    rating: Math.round((score / 20) * 10) / 10,
+    totalWeight,
+    weighted: totalWeight > 0,
+    rows,
+  }
+}
@@ -0,0 +1,298 @@
+import {
+  CheckCircle, XCircle, MessageSquare, Eye, TrendingUp, Upload, Edit2, Trash2,
+} from 'lucide-react'
+import goalService from '../services/goalService'
+import evidenceService from '../services/evidenceService'
+import { getGoalWeight, getOtherCycleWeight, getOtherWeight, loadWeightBudget, validateGoalWeight } from './goalWeights'
+import { getKeyResults, getKeyResultsProgress, validateKeyResultValues } from './keyResults'
+import { runBulk } from './bulkRun'
+
+// ─── GOAL WORKFLOW ────────────────────────────────────────────────────────────
+// The goal lifecycle in one place. Every goal page renders its action buttons
+// from here, so the 7-phase workflow looks and behaves the same everywhere:
+//
+//   1. Employee creates goal          → PENDING
+//   2. Manager approves               → IN_PROGRESS
+//      (or requests changes           → stays PENDING, employee edits)
+//   3. Employee records progress      → IN_PROGRESS
+//   4. Employee submits completion    → PENDING_COMPLETION_APPROVAL
+//   5. Manager verifies evidence      → PENDING_COMPLETION_APPROVAL
+//      (or asks for more evidence)
+//   6. Manager approves completion    → COMPLETED
+//   7. …or rejects it                 → REJECTED
+//
+// Each action says who may run it, from which statuses, what input it needs
+// (`form`) and which goalService call performs it (`run`).
+//
+// Usage:
+//   getAvailableActions(goal, user)          → [{ key, label, icon, … }]
+//   getInitialForm('PROGRESS', goal, { latestProgress })
+//   findTransition(goal, 'COMPLETED', user)  → { key } | { reason } | null
+//   await runGoalAction('APPROVE', goal, form)
+//   await runBulkGoalAction('APPROVE', goals, user)  → { succeeded, failed }
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const GOAL_STATUSES = [
+  'PENDING',
+  'IN_PROGRESS',
+  'PENDING_COMPLETION_APPROVAL',
+  'COMPLETED',
+  'REJECTED',
+]
+
+// Goal categories and priorities from the backend enums
+export const GOAL_CATEGORIES = ['TECHNICAL', 'BEHAVIORAL', 'PROFESSIONAL_DEVELOPMENT', 'OTHER']
+export const GOAL_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL']
+
+export const GOAL_STATUS_LABELS = {
+  PENDING:                     'Pending Approval',
+  IN_PROGRESS:                 'In Progress',
+  PENDING_COMPLETION_APPROVAL: 'Pending Completion',
+  COMPLETED:                   'Completed',
+  REJECTED:                    'Rejected',
+}
+
+// Form kinds (rendered by GoalActionModal):
+//   CONFIRM   – no input, just a confirmation message (+ the goal's weight when `weight` is set;
+//               `otherWeight` in the form is what the owner's other cycle goals already weigh)
+//   COMMENT   – one text field (required or optional, see `comment`)
+//   PROGRESS  – notes + percentage slider, or — when the goal has key results —
+//               their current values (the percentage then follows from them)
+//   COMPLETION – completion notes + evidence link + evidence files
+//   EVIDENCE  – submitted evidence (link, file previews) + verification decision + notes
+//   EDIT      – handled by the page itself (the create/edit goal modal)
+export const GOAL_ACTIONS = {
+  // ── Employee ──
+  EDIT: {
+    role: 'EMPLOYEE', from: ['PENDING'], to: 'PENDING',
+    label: 'Edit', icon: Edit2, buttonClass: 'btn-secondary',
+    form: 'EDIT',
+  },
+  DELETE: {
+    role: 'EMPLOYEE', from: ['PENDING'], to: null,
+    label: 'Delete', title: 'Delete Goal', icon: Trash2, buttonClass: 'btn-danger',
+    form: 'CONFIRM',
+    confirmText: 'This will permanently delete the goal. This cannot be undone.',
+    confirmTone: 'danger',
+    success: 'Goal deleted',
+    run: (goal) => goalService.deleteGoal(goal.goalId),
+  },
+  PROGRESS: {
+    role: 'EMPLOYEE', from: ['IN_PROGRESS'], to: 'IN_PROGRESS',
+    label: 'Update Progress', title: 'Add Progress Update', icon: TrendingUp, buttonClass: 'btn-secondary',
+    form: 'PROGRESS',
+    validate: (form) => (!form.notes?.trim() ? 'Progress notes are required' : validateKeyResultValues(form.keyResults)),
+    success: 'Progress updated!',
+    run: (goal, form) => (form.keyResults
+      ? goalService.addProgress(goal.goalId, form.notes, getKeyResultsProgress(form), form.keyResults)
+      : goalService.addProgress(goal.goalId, form.notes, form.progressPercentage)),
+  },
+  SUBMIT_COMPLETION: {
+    role: 'EMPLOYEE', from: ['IN_PROGRESS'], to: 'PENDING_COMPLETION_APPROVAL',
+    label: 'Submit Completion', title: 'Submit Goal for Completion', icon: Upload, buttonClass: 'btn-success',
+    form: 'COMPLETION',
+    validate: (form) => (!form.completionNotes ? 'Completion notes are required' : null),
+    success: 'Goal submitted for completion review!',
+    run: async (goal, form) => {
+      const result = await goalService.submitCompletion(goal.goalId, form)
+      await evidenceService.markSubmitted(form.evidenceFiles)
+      return result
+    },
+  },
+
+  // ── Manager ──
+  APPROVE: {
+    role: 'MANAGER', from: ['PENDING'], to: 'IN_PROGRESS',
+    label: 'Approve', title: 'Approve Goal', icon: CheckCircle, buttonClass: 'btn-success',
+    form: 'CONFIRM',
+    confirmText: 'This will approve the goal and allow the employee to start working on it.',
+    confirmTone: 'success',
+    weight: true,
+    validate: (form) => validateGoalWeight(form.weight, form.otherWeight ?? 0),
+    success: 'Goal approved!',
+    run: async (goal, form) => {
+      // Approved without the modal or a bulk budget (board drop): check the weight budget here
+      if (form.otherWeight === undefined) {
+        const otherWeight = await getOtherCycleWeight(goal).catch(() => null)
+        const problem = validateGoalWeight(form.weight ?? getGoalWeight(goal), otherWeight ?? 0)
+        if (problem) throw new Error(problem)
+      }
+      return goalService.approveGoal(goal.goalId, form.weight)
+    },
+  },
+  REQUEST_CHANGES: {
+    role: 'MANAGER', from: ['PENDING'], to: 'PENDING',
+    label: 'Request Changes', title: 'Request Changes', icon: MessageSquare, buttonClass: 'btn-secondary',
+    form: 'COMMENT',
+    comment: { label: 'Comments / Reason', placeholder: 'Describe what needs to be changed...', required: true },
+    success: 'Change request sent to employee',
+    run: (goal, form) => goalService.requestChanges(goal.goalId, form.comments),
+  },
+  VERIFY_EVIDENCE: {
+    role: 'MANAGER', from: ['PENDING_COMPLETION_APPROVAL'], to: 'PENDING_COMPLETION_APPROVAL',
+    label: 'Verify Evidence', title: 'Verify Evidence', icon: Eye, buttonClass: 'btn-primary',
+    form: 'EVIDENCE',
+    success: 'Evidence verification submitted!',
+    run: (goal, form) => goalService.verifyEvidence(goal.goalId, form.verificationStatus, form.notes),
+  },
+  APPROVE_COMPLETION: {
+    role: 'MANAGER', from: ['PENDING_COMPLETION_APPROVAL'], to: 'COMPLETED',
+    label: 'Approve Completion', title: 'Approve Completion', icon: CheckCircle, buttonClass: 'btn-success',
+    form: 'COMMENT',
+    comment: { label: 'Completion Comments', placeholder: 'Optional: Add completion comments...', required: false },
+    success: 'Goal completion approved!',
+    run: (goal, form) => goalService.approveCompletion(goal.goalId, form.comments),
+  },
+  REJECT_COMPLETION: {
+    role: 'MANAGER', from: ['PENDING_COMPLETION_APPROVAL'], to: 'REJECTED',
+    label: 'Reject Completion', title: 'Reject Completion', icon: XCircle, buttonClass: 'btn-danger',
+    form: 'COMMENT',
+    comment: { label: 'Reason', placeholder: 'Explain why the completion is rejected...', required: true },
+    success: 'Completion rejected',
+    run: (goal, form) => goalService.rejectCompletion(goal.goalId, form.comments),
+  },
+  REQUEST_EVIDENCE: {
+    role: 'MANAGER', from: ['PENDING_COMPLETION_APPROVAL'], to: 'PENDING_COMPLETION_APPROVAL',
+    label: 'Request Evidence', title: 'Request Additional Evidence', icon: MessageSquare, buttonClass: 'btn-secondary',
+    form: 'COMMENT',
+    comment: { label: 'Message to Employee', placeholder: 'Describe what additional evidence is needed...', required: true },
+    success: 'Evidence request sent',
+    run: (goal, form) => goalService.requestAdditionalEvidence(goal.goalId, form.comments),
+  },
+}
+
+// Is the user the one this action is for? Employees act on their own goals,
+// managers on goals assigned to them (unknown assignment → let the backend decide).
+function isActor(action, goal, user) {
+  if (!user || user.role !== action.role) return false
+  if (action.role === 'EMPLOYEE') return goal.assignedToUserId === user.userId
+  return goal.assignedManagerId == null || goal.assignedManagerId === user.userId
+}
+
+/** Can `user` run action `key` on `goal` right now? */
+export function canRunAction(key, goal, user) {
+  const action = GOAL_ACTIONS[key]
+  if (!action || !goal) return false
+  return isActor(action, goal, user) &&
+    action.from.includes(goal.status) &&
+    (!action.when || action.when(goal))
+}
+
+/** Actions `user` can run on `goal`, in workflow order: [{ key, ...action }] */
+export function getAvailableActions(goal, user) {
+  return Object.entries(GOAL_ACTIONS)
+    .filter(([key]) => canRunAction(key, goal, user))
+    .map(([key, action]) => ({ key, ...action }))
+}
+
+/**
+ * Does the action need input before it can run? Confirm-only actions and
+ * optional comments can run straight away (e.g. when dropped on the board).
+ */
+export function actionNeedsInput(key) {
+  const action = GOAL_ACTIONS[key]
+  if (!action) return false
+  if (action.form === 'CONFIRM') return false
+  if (action.form === 'COMMENT') return !!action.comment?.required
+  return true
+}
+
+/**
+ * The action that moves `goal` into `toStatus` for `user` (Kanban drag & drop).
+ *   → null               same status, nothing to do
+ *   → { key }            allowed, run GOAL_ACTIONS[key]
+ *   → { reason }         blocked, with a message to show the user
+ */
+export function findTransition(goal, toStatus, user) {
+  if (!goal || goal.status === toStatus) return null
+  const candidates = Object.keys(GOAL_ACTIONS).filter(key =>
+    GOAL_ACTIONS[key].to === toStatus && GOAL_ACTIONS[key].from.includes(goal.status))
+
+  const key = candidates.find(k => canRunAction(k, goal, user))
+  if (key) return { key }
+
+  const from = GOAL_STATUS_LABELS[goal.status] || goal.status
+  const to   = GOAL_STATUS_LABELS[toStatus] || toStatus
+  if (candidates.length === 0) {
+    return { reason: `A goal can't move from "${from}" to "${to}"` }
+  }
+  const action = GOAL_ACTIONS[candidates[0]]
+  const who = action.role === 'EMPLOYEE' ? 'the employee who owns the goal' : 'the assigned manager'
+  return { reason: `Only ${who} can ${action.label.toLowerCase()} ("${from}" → "${to}")` }
+}
+
+/**
+ * Empty form for an action. `context.latestProgress` pre-fills the progress slider;
+ * a goal with key results gets their current values to update instead.
+ */
+export function getInitialForm(key, goal, context = {}) {
+  switch (GOAL_ACTIONS[key]?.form) {
+    case 'PROGRESS': {
+      const keyResults = getKeyResults(goal)
+      return keyResults.length
+        ? { notes: '', keyResults }
+        : { notes: '', progressPercentage: goal?.progressPercentage ?? context.latestProgress ?? 50 }
+    }
+    case 'COMPLETION':
+      return { completionNotes: '', evidenceLink: '', evidenceLinkDescription: '', evidenceFiles: [] }
+    case 'EVIDENCE':
+      return { verificationStatus: 'VERIFIED', notes: '' }
+    case 'COMMENT':
+      return { comments: '' }
+    case 'CONFIRM':
+      return GOAL_ACTIONS[key].weight ? { weight: getGoalWeight(goal) ?? '' } : {}
+    default:
+      return {}
+  }
+}
+
+/** The error message for an incomplete form, or null if it can be submitted. */
+export function validateActionForm(key, form) {
+  const action = GOAL_ACTIONS[key]
+  if (action?.comment?.required && !form.comments?.trim()) return `${action.comment.label} is required`
+  return action?.validate ? action.validate(form) : null
+}
+
+/**
+ * Validate and perform an action through goalService.
+ * Throws an Error with a user-facing message if the form is incomplete.
+ */
+export async function runGoalAction(key, goal, form = {}) {
+  const action = GOAL_ACTIONS[key]
+  if (!action?.run) throw new Error(`Unknown goal action: ${key}`)
+  const problem = validateActionForm(key, form)
+  if (problem) throw new Error(problem)
+  return action.run(goal, form)
+}
+
+/**
+ * Run one action on many goals, one request at a time (manager bulk actions).
+ * Goals the action does not apply to are skipped and reported as failures.
+ * Weighted actions (approve) load the cycle budget once for the whole batch
+ * and count each approved goal in it before checking the next one.
+ *   onProgress(done, total) is called after each goal.
+ *   → { succeeded: [goal], failed: [{ goal, reason }] }
+ */
+export async function runBulkGoalAction(key, goals, user, form = {}, onProgress) {
+  const action = GOAL_ACTIONS[key]
+  const budget = action.weight ? await loadWeightBudget().catch(() => null) : null
+  return runBulk(goals, async (goal) => {
+    if (!canRunAction(key, goal, user)) {
+      const status = GOAL_STATUS_LABELS[goal.status] || goal.status
+      throw new Error(action.from.includes(goal.status)
+        ? 'This goal is not assigned to you'
+        : `Can't ${action.label.toLowerCase()} a goal that is "${status}"`)
+    }
+    if (!action.weight) return runGoalAction(key, goal, form)
+
+    const updated = await runGoalAction(key, goal,
+      { ...form, weight: getGoalWeight(goal) ?? '', otherWeight: getOtherWeight(goal, budget) })
+    if (budget) {
+      budget.goals = [
+        ...budget.goals.filter(g => String(g.goalId) !== String(goal.goalId)),
+        updated?.goalId ? updated : goal,
+      ]
+    }
+    return updated
+  }, onProgress)
+}
@@ -0,0 +1,92 @@
+// ─── KEY RESULTS (OKR) ────────────────────────────────────────────────────────
+// A goal can carry measurable key results: a metric with a start value, a
+// target and the current value. When it has any, the goal's overall progress
+// is the average of its key results' progress.
+//
+// Usage:
+//   getKeyResults(goal)                → [{ keyResultId, metric, startValue, targetValue, currentValue }]
+//   getKeyResultProgress(kr)           → 0–100
+//   getKeyResultsProgress(goal)        → 0–100, or null when the goal has none
+//   validateKeyResultValues(krs)       → message | null for a progress update
+//   summarizeKeyResults(goals)         → totals for the reports pages
+// ─────────────────────────────────────────────────────────────────────────────
+
+const toNumber = (value) => (value === '' || value == null || isNaN(Number(value)) ? null : Number(value))
+
+// The backend uses short field names (startVal, targetVal, …) like the rest of the goal API
+function normalizeKeyResult(kr) {
+  return {
+    keyResultId:  kr.keyResultId ?? kr.krId ?? kr.id ?? null,
+    metric:       kr.metric ?? kr.title ?? kr.name ?? '',
+    startValue:   toNumber(kr.startValue ?? kr.startVal) ?? 0,
+    targetValue:  toNumber(kr.targetValue ?? kr.targetVal),
+    currentValue: toNumber(kr.currentValue ?? kr.currentVal) ?? toNumber(kr.startValue ?? kr.startVal) ?? 0,
+  }
+}
+
+/** The goal's key results in one shape, whatever the backend called the fields. */
+export function getKeyResults(goal) {
+  return (goal?.keyResults || goal?.krs || []).map(normalizeKeyResult)
+}
+
+/**
+ * How far `current` has moved from `start` towards `target`, 0–100.
+ * Works for metrics that should go down too (e.g. bug count 40 → 10).
+ */
+export function getKeyResultProgress({ startValue, targetValue, currentValue }) {
+  const start = toNumber(startValue) ?? 0
+  const target = toNumber(targetValue)
+  const current = toNumber(currentValue) ?? start
+  if (target == null) return 0
+  if (target === start) return current === target ? 100 : 0
+  const percent = ((current - start) / (target - start)) * 100
+  return Math.round(Math.min(100, Math.max(0, percent)))
+}
+
+/** Overall goal progress from its key results, or null if it has none. */
+export function getKeyResultsProgress(goal) {
+  const krs = getKeyResults(goal)
+  if (krs.length === 0) return null
+  return Math.round(krs.reduce((sum, kr) => sum + getKeyResultProgress(kr), 0) / krs.length)
+}
+
+/** Why the key results in a goal form can't be saved, or null if they can. */
+export function validateKeyResults(krs = []) {
+  for (const [i, kr] of krs.entries()) {
+    const n = i + 1
+    if (!kr.metric?.trim()) return `Key result ${n} needs a metric`
+    if (toNumber(kr.targetValue) == null) return `Key result ${n} needs a numeric target`
+    if (toNumber(kr.startValue) === toNumber(kr.targetValue)) return `Key result ${n}: the target must differ from the start value`
+  }
+  return null
+}
+
+/** Why the current values in a progress update can't be saved, or null if they can. */
+export function validateKeyResultValues(krs = []) {
+  const missing = krs.find(kr => toNumber(kr.currentValue) == null)
+  return missing ? `Enter the current value of "${missing.metric}"` : null
+}
+
+/**
+ * Roll the key results of many goals up for the goal analytics:
+ * { goalsWithKeyResults, totalKeyResults, achieved, avgProgress, byCategory: [{ category, count, avgProgress }] }
+ */
+export function summarizeKeyResults(goals = []) {
+  const all = []
+  goals.forEach(goal => getKeyResults(goal).forEach(kr =>
+    all.push({ category: goal.category || 'OTHER', progress: getKeyResultProgress(kr) })))
+
+  const average = (items) => (items.length ? Math.round(items.reduce((s, k) => s + k.progress, 0) / items.length) : null)
+  const categories = [...new Set(all.map(k => k.category))]
+
+  return {
+    goalsWithKeyResults: goals.filter(g => getKeyResults(g).length > 0).length,
+    totalKeyResults: all.length,
+    achieved: all.filter(k => k.progress >= 100).length,
+    avgProgress: average(all),
+    byCategory: categories.map(category => {
+      const items = all.filter(k => k.category === category)
+      return { category, count: items.length, avgProgress: average(items) }
+    }),
+  }
+}
@@ -0,0 +1,60 @@
+// ─── NOTIFICATION LINKS ───────────────────────────────────────────────────────
+// Works out where a notification should take the user when clicked.
+// Used by NotificationsPage (list items) and NotificationContext (SSE toasts).
+//
+//   GOAL     → /goals/{id}                  (GoalDetailPage handles deleted/forbidden goals)
+//   REVIEW   → /reviews?reviewId={id}       (the reviews page opens that review)
+//   FEEDBACK → /feedback?feedbackId={id}    (employees only — highlights the item)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Fallback when the notification has no relatedEntityType: guess from its type
+const TYPE_PREFIX_ENTITY = {
+  GOAL_:     'GOAL',
+  REVIEW_:   'REVIEW',
+  FEEDBACK_: 'FEEDBACK',
+}
+
+function getEntityType(notif) {
+  if (notif.relatedEntityType) {
+    // Backend may send "Goal", "PERFORMANCE_REVIEW", "PerformanceReview", …
+    const type = notif.relatedEntityType.toUpperCase()
+    if (type.includes('GOAL')) return 'GOAL'
+    if (type.includes('REVIEW')) return 'REVIEW'
+    if (type.includes('FEEDBACK')) return 'FEEDBACK'
+    return null
+  }
+  const prefix = Object.keys(TYPE_PREFIX_ENTITY).find(p => notif.type?.startsWith(p))
+  return prefix ? TYPE_PREFIX_ENTITY[prefix] : null
+}
+
+function getEntityId(notif, entityType) {
+  if (notif.relatedEntityId != null) return notif.relatedEntityId
+  if (entityType === 'GOAL') return notif.goalId
+  if (entityType === 'REVIEW') return notif.reviewId
+  if (entityType === 'FEEDBACK') return notif.feedbackId
+  return null
+}
+
+/**
+ * Route for the entity a notification refers to, or null if it has none
+ * (or it lives on a page this role can't open).
+ * @param {Object} notif - notification from the API or the SSE stream
+ * @param {string} role  - current user's role (ADMIN | MANAGER | EMPLOYEE)
+ */
+export function getNotificationLink(notif, role) {
+  if (!notif) return null
+  const entityType = getEntityType(notif)
+  const entityId = getEntityId(notif, entityType)
+  if (!entityType || entityId == null) return null
+
+  switch (entityType) {
+    case 'GOAL':
+      return `/goals/${entityId}`
+    case 'REVIEW':
+      return role === 'ADMIN' ? null : `/reviews?reviewId=${entityId}`
+    case 'FEEDBACK':
+      return role === 'EMPLOYEE' ? `/feedback?feedbackId=${entityId}` : null
+    default:
+      return null
+  }
+}
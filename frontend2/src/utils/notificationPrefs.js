@@ -0,0 +1,53 @@
+// ─── NOTIFICATION PREFERENCES ─────────────────────────────────────────────────
+// Per-type delivery settings, chosen in ProfilePage and applied by
+// NotificationContext to both SSE and REST-loaded notifications.
+// Stored in localStorage per user: notificationPrefs:{userId} → { TYPE: MODE }
+// ─────────────────────────────────────────────────────────────────────────────
+
+// How a notification of a given type is delivered
+export const DELIVERY_MODES = [
+  { value: 'AUTO',    label: 'Default',        hint: 'Listed; toast only if high priority or action required' },
+  { value: 'MUTE',    label: 'Mute',           hint: 'Hidden everywhere' },
+  { value: 'LIST',    label: 'List only',      hint: 'Shown on the notifications page, no popup' },
+  { value: 'TOAST',   label: 'Toast',          hint: 'Listed + in-app popup' },
+  { value: 'DESKTOP', label: 'Desktop',        hint: 'Listed + browser desktop notification' },
+]
+
+// Types the backend sends today — anything else falls under OTHER
+export const NOTIFICATION_TYPES = [
+  { value: 'GOAL_APPROVAL',           label: 'Goal approved' },
+  { value: 'GOAL_REJECTION',          label: 'Goal rejected / changes requested' },
+  { value: 'GOAL_COMPLETION_REQUEST', label: 'Goal completion requests' },
+  { value: 'REVIEW_REQUEST',          label: 'Performance review requests' },
+  { value: 'FEEDBACK_REQUEST',        label: 'Feedback' },
+  { value: 'OTHER',                   label: 'Everything else' },
+]
+
+const KNOWN_TYPES = NOTIFICATION_TYPES.map(t => t.value)
+
+const storageKey = (userId) => `notificationPrefs:${userId}`
+
+/** Saved preferences for a user ({} if none / unreadable). */
+export function loadNotificationPrefs(userId) {
+  if (!userId) return {}
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(userId))) || {}
+  } catch {
+    return {}
+  }
+}
+
+export function saveNotificationPrefs(userId, prefs) {
+  if (userId) localStorage.setItem(storageKey(userId), JSON.stringify(prefs))
+}
+
+/** Delivery mode for one notification: MUTE | LIST | TOAST | DESKTOP. AUTO is resolved here. */
+export function getDeliveryMode(prefs, notif) {
+  const type = KNOWN_TYPES.includes(notif.type) ? notif.type : 'OTHER'
+  const mode = prefs[type] || 'AUTO'
+  if (mode !== 'AUTO') return mode
+  return notif.priority === 'HIGH' || notif.actionRequired ? 'TOAST' : 'LIST'
+}
+
+/** True if the browser supports desktop notifications at all. */
+export const desktopNotificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window
@@ -0,0 +1,19 @@
+// ─── PROGRESS ENTRIES ─────────────────────────────────────────────────────────
+// Helpers for a goal's progress entries (GET /goals/{id}/progress), shared by
+// ProgressChart, the goal pages and the goal outcome summary.
+//
+// Usage:
+//   getEntryDate(entry)          → the entry's date string
+//   getLatestProgress(entries)   → latest recorded percentage, or null
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The date field name varies between entries
+export const getEntryDate = (entry) => entry.createdDate || entry.updatedDate || entry.timestamp
+
+// Latest recorded percentage, or null if no entry has one
+export function getLatestProgress(entries = []) {
+  const withValue = entries
+    .filter(e => e.progressPercentage != null)
+    .sort((a, b) => new Date(getEntryDate(a)) - new Date(getEntryDate(b)))
+  return withValue.length ? withValue[withValue.length - 1].progressPercentage : null
+}
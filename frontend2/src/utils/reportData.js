@@ -0,0 +1,120 @@
+// ─── REPORT DATA HELPERS ──────────────────────────────────────────────────────
+// Turns the raw report API payloads into the shapes our charts and tables use.
+// Shared by the live report pages (AdminReportsPage, TeamReportsPage) and the
+// generated-report history, so a stored snapshot renders exactly like live data.
+// ─────────────────────────────────────────────────────────────────────────────
+
+import { summarizeKeyResults } from './keyResults'
+
+/**
+ * Goal status counts → [{ name, value }] for pie/bar charts.
+ * Prefers goal analytics, falls back to the dashboard metrics.
+ */
+export function getGoalStatusData(goalAnalytics, dashboard) {
+  if (goalAnalytics) {
+    return [
+      { name: 'Pending',            value: goalAnalytics.pending || 0 },
+      { name: 'In Progress',        value: goalAnalytics.inProgress || 0 },
+      { name: 'Pending Completion', value: goalAnalytics.pendingCompletion || 0 },
+      { name: 'Completed',          value: goalAnalytics.completed || 0 },
+      { name: 'Rejected',           value: goalAnalytics.rejected || 0 },
+    ].filter(d => d.value > 0)
+  }
+  if (dashboard) {
+    return [
+      { name: 'Completed',   value: dashboard.completedGoals || 0 },
+      { name: 'In Progress', value: dashboard.inProgressGoals || 0 },
+      { name: 'Pending',     value: dashboard.pendingGoals || 0 },
+      { name: 'Rejected',    value: dashboard.rejectedGoals || 0 },
+    ].filter(d => d.value > 0)
+  }
+  return []
+}
+
+/**
+ * Department performance → [{ dept, department, avgRating, completedGoals, employeeCount }].
+ * The backend returns either an array or { departments: { NAME: {...} } }.
+ * `dept` is truncated for chart axis labels; `department` keeps the full name.
+ */
+export function getDeptData(deptPerformance) {
+  const shorten = (name) => (name.length > 12 ? name.substring(0, 12) + '…' : name)
+  const toRow = (department, d) => ({
+    dept: shorten(department),
+    department,
+    avgRating: +(d.avgRating || 0).toFixed(2),
+    completedGoals: d.completedGoals || 0,
+    employeeCount: d.employeeCount || 0,
+  })
+
+  if (Array.isArray(deptPerformance)) {
+    return deptPerformance.map(d => toRow(d.department || '', d))
+  }
+  if (deptPerformance?.departments) {
+    return Object.entries(deptPerformance.departments).map(([dept, data]) => toRow(dept, data))
+  }
+  return []
+}
+
+/**
+ * Performance summary → [{ name, value }] for the rating chart.
+ * Uses the rating distribution when present, else the self vs manager averages.
+ */
+export function getRatingData(perfSummary) {
+  if (perfSummary?.ratingDistribution) {
+    return Object.entries(perfSummary.ratingDistribution).map(([rating, count]) => ({ name: `${rating}★`, value: count }))
+  }
+  if (perfSummary?.avgSelfRating != null || perfSummary?.avgManagerRating != null) {
+    return [
+      { name: 'Avg Self Rating',    value: +(perfSummary.avgSelfRating || 0).toFixed(2) },
+      { name: 'Avg Manager Rating', value: +(perfSummary.avgManagerRating || 0).toFixed(2) },
+    ].filter(d => d.value > 0)
+  }
+  return []
+}
+
+/**
+ * Goal analytics + the key-result roll-up of `goals` (see utils/keyResults).
+ * Kept as `goalAnalytics.keyResults` so exports and snapshots carry it along;
+ * a roll-up sent by the backend wins over the one computed here.
+ */
+export function withKeyResults(goalAnalytics, goals) {
+  if (!goalAnalytics || (!goalAnalytics.keyResults && !goals)) return goalAnalytics
+  return { ...goalAnalytics, keyResults: goalAnalytics.keyResults ?? summarizeKeyResults(goals) }
+}
+
+/** Completed / total goals as a whole percentage, or null if there are no goals. */
+export function getCompletionRate(dashboard) {
+  return dashboard?.totalGoals
+    ? Math.round((dashboard.completedGoals / dashboard.totalGoals) * 100)
+    : null
+}
+
+/**
+ * A generated report (GET /reports/{id}) → { dashboard, goalAnalytics, perfSummary, deptPerformance }.
+ * The stored snapshot may arrive as an object or as a JSON string, under a few field names.
+ */
+export function parseReportSnapshot(report) {
+  let snapshot = report?.data ?? report?.content ?? report?.snapshot ?? report?.reportData ?? {}
+  if (typeof snapshot === 'string') {
+    try { snapshot = JSON.parse(snapshot) } catch { snapshot = {} }
+  }
+  return {
+    dashboard:       snapshot.dashboard ?? snapshot.dashboardMetrics ?? null,
+    goalAnalytics:   snapshot.goalAnalytics ?? null,
+    perfSummary:     snapshot.performanceSummary ?? snapshot.perfSummary ?? null,
+    deptPerformance: snapshot.departmentPerformance ?? snapshot.deptPerformance ?? null,
+  }
+}
+
+/** Headline numbers of a snapshot — used to compare two reports side by side. */
+export function getSnapshotKpis({ dashboard, goalAnalytics, perfSummary }) {
+  const completionRate = getCompletionRate(dashboard)
+  return [
+    { label: 'Total Goals',        value: dashboard?.totalGoals ?? null },
+    { label: 'Completed Goals',    value: goalAnalytics?.completed ?? dashboard?.completedGoals ?? null },
+    { label: 'Completion Rate',    value: completionRate, suffix: '%' },
+    { label: 'Total Reviews',      value: perfSummary?.totalReviews ?? dashboard?.totalReviews ?? null },
+    { label: 'Avg Self Rating',    value: perfSummary?.avgSelfRating != null ? +perfSummary.avgSelfRating.toFixed(2) : null },
+    { label: 'Avg Manager Rating', value: perfSummary?.avgManagerRating != null ? +perfSummary.avgManagerRating.toFixed(2) : null },
+  ]
+}
@@ -0,0 +1,168 @@
+import reportService from '../services/reportService'
+import { getGoalStatusData, getDeptData, parseReportSnapshot } from './reportData'
+import { downloadBlob, toCsv, fileDateStamp } from './download'
+
+// ─── REPORT EXPORT ────────────────────────────────────────────────────────────
+// Builds downloadable CSV / XLSX / PDF files from report data on the client.
+// Used when the backend only returns JSON for POST /reports/generate
+// instead of a stored file.
+//
+// Every format is built from the same list of sections:
+//   Dashboard Metrics · Goal Analytics · Goals by Category ·
+//   Performance Summary · Rating Distribution · Department Performance
+//
+// jsPDF and write-excel-file are loaded on demand so they don't bloat the main bundle.
+// ─────────────────────────────────────────────────────────────────────────────
+
+export const EXPORT_FORMATS = ['CSV', 'XLSX', 'PDF']
+
+// "completedGoals" → "Completed Goals"
+const humanize = (key) => key
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .replace(/_/g, ' ')
+  .replace(/^./, c => c.toUpperCase())
+
+// Only plain numbers/strings go into metric tables (nested objects get their own section)
+const scalarEntries = (obj) => Object.entries(obj || {})
+  .filter(([, v]) => v === null || ['number', 'string', 'boolean'].includes(typeof v))
+  .map(([k, v]) => [humanize(k), typeof v === 'number' && !Number.isInteger(v) ? +v.toFixed(2) : v])
+
+/**
+ * { dashboard, goalAnalytics, perfSummary, deptPerformance } → [{ title, columns, rows }]
+ * Sections without data are left out.
+ */
+export function buildReportSections({ dashboard, goalAnalytics, perfSummary, deptPerformance }) {
+  const sections = [
+    { title: 'Dashboard Metrics', columns: ['Metric', 'Value'], rows: scalarEntries(dashboard) },
+    {
+      title: 'Goal Analytics',
+      columns: ['Status', 'Goals'],
+      rows: getGoalStatusData(goalAnalytics, dashboard).map(d => [d.name, d.value]),
+    },
+    {
+      title: 'Goals by Category',
+      columns: ['Category', 'Goals'],
+      rows: Object.entries(goalAnalytics?.categoryBreakdown || {}),
+    },
+    {
+      title: 'Key Results',
+      columns: ['Metric', 'Value'],
+      rows: goalAnalytics?.keyResults?.totalKeyResults ? [
+        ['Goals with key results', goalAnalytics.keyResults.goalsWithKeyResults],
+        ['Key results', goalAnalytics.keyResults.totalKeyResults],
+        ['Achieved', goalAnalytics.keyResults.achieved],
+        ['Average progress (%)', goalAnalytics.keyResults.avgProgress],
+      ] : [],
+    },
+    {
+      title: 'Key Results by Category',
+      columns: ['Category', 'Key Results', 'Avg Progress (%)'],
+      rows: (goalAnalytics?.keyResults?.byCategory || []).map(c => [c.category, c.count, c.avgProgress]),
+    },
+    { title: 'Performance Summary', columns: ['Metric', 'Value'], rows: scalarEntries(perfSummary) },
+    {
+      title: 'Rating Distribution',
+      columns: ['Rating', 'Reviews'],
+      rows: Object.entries(perfSummary?.ratingDistribution || {}),
+    },
+    {
+      title: 'Department Performance',
+      columns: ['Department', 'Employees', 'Completed Goals', 'Avg Rating'],
+      rows: getDeptData(deptPerformance).map(d => [d.department, d.employeeCount, d.completedGoals, d.avgRating]),
+    },
+  ]
+  return sections.filter(s => s.rows.length > 0)
+}
+
+function buildCsv(title, sections) {
+  const rows = [[title], []]
+  sections.forEach(section => {
+    rows.push([section.title], section.columns, ...section.rows, [])
+  })
+  return new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' })
+}
+
+// One worksheet per section
+async function buildXlsx(sections) {
+  const { default: writeXlsxFile } = await import('write-excel-file')
+  const sheets = sections.map(section => [
+    section.columns.map(value => ({ value, fontWeight: 'bold' })),
+    ...section.rows.map(row => row.map(value => ({ value }))),
+  ])
+  return writeXlsxFile(sheets, {
+    sheets: sections.map(s => s.title.substring(0, 31)),  // Excel limits sheet names to 31 chars
+    columns: sections.map(s => s.columns.map(() => ({ width: 24 }))),
+  })
+}
+
+async function buildPdf(title, sections) {
+  const [{ jsPDF }, { default: autoTable }] = await Promise.all([
+    import('jspdf'),
+    import('jspdf-autotable'),
+  ])
+  const doc = new jsPDF()
+  doc.setFontSize(16)
+  doc.text(title, 14, 18)
+  doc.setFontSize(9)
+  doc.setTextColor(120)
+  doc.text(`Generated ${new Date().toLocaleString()}`, 14, 24)
+
+  let y = 32
+  sections.forEach(section => {
+    doc.setFontSize(12)
+    doc.setTextColor(40)
+    doc.text(section.title, 14, y)
+    autoTable(doc, {
+      startY: y + 3,
+      head: [section.columns],
+      body: section.rows,
+      styles: { fontSize: 9 },
+      headStyles: { fillColor: [59, 130, 246] },
+    })
+    y = doc.lastAutoTable.finalY + 12
+    if (y > 270) { doc.addPage(); y = 20 }
+  })
+  return doc.output('blob')
+}
+
+const reportFileName = (scope, format) =>
+  `${scope.toLowerCase()}-report-${fileDateStamp()}.${format.toLowerCase()}`
+
+/**
+ * Build the report file in `format` ('CSV' | 'XLSX' | 'PDF') and download it.
+ * @param {Object} data   - { dashboard, goalAnalytics, perfSummary, deptPerformance }
+ * @param {string} format - one of EXPORT_FORMATS
+ * @param {string} scope  - "TEAM" | "DEPARTMENT" | "COMPANY" (used in the title and file name)
+ */
+export async function exportReport(data, format, scope) {
+  const sections = buildReportSections(data)
+  if (sections.length === 0) throw new Error('There is no report data to export')
+
+  const title = `${scope.charAt(0)}${scope.slice(1).toLowerCase()} Performance Report`
+  const fileName = reportFileName(scope, format)
+
+  const blob = format === 'CSV'
+    ? buildCsv(title, sections)
+    : format === 'XLSX'
+      ? await buildXlsx(sections)
+      : await buildPdf(title, sections)
+  downloadBlob(blob, fileName)
+}
+
+/**
+ * Download the file for a freshly generated report (result of POST /reports/generate).
+ *   1. If the backend produced a file → fetch and save it as-is
+ *   2. Else build it from the report's stored snapshot
+ *   3. Else build it from `fallbackData` (the data currently shown on the page)
+ */
+export async function downloadGeneratedReport(report, format, scope, fallbackData) {
+  const fileUrl = report?.downloadUrl || report?.fileUrl
+  if (fileUrl) {
+    const blob = await reportService.downloadReportFile(fileUrl)
+    downloadBlob(blob, report.fileName || reportFileName(scope, format))
+    return
+  }
+  const snapshot = parseReportSnapshot(report)
+  const hasSnapshot = Object.values(snapshot).some(Boolean)
+  await exportReport(hasSnapshot ? snapshot : fallbackData, format, scope)
+}